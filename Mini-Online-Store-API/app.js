@@ -23,10 +23,13 @@
 //   1. A customer (HTTP request) walks in.
 //   2. The greeter (logger middleware) notes their arrival — applied globally.
 //   3. If headed to the VIP lounge (/users), the bouncer (auth middleware)
-//      checks for a valid token.  Public areas (/products) have no bouncer.
+//      checks for a valid, signed token.  Public areas (/products) have no
+//      bouncer, and the reception desk (/auth) hands out the tokens.
 //   4. The waiter (route) takes the order to the correct chef (controller).
 //   5. The chef prepares the dish (processes the data) and returns a response.
 //   6. If the customer asks for something not on the menu → 404 handler.
+//   7. If anything goes wrong along the way, the front-of-house manager
+//      (error handler) answers the customer — always in the same format.
 //
 // ============================================================================
 
@@ -35,57 +38,141 @@
 const express = require('express');
 const path    = require('path');
 
+// Configuration
+const config = require('./config');
+
 // Middleware
-const logger = require('./middleware/logger');
-const auth   = require('./middleware/auth');
+const requestId = require('./middleware/requestId');
+const requestContext = require('./middleware/requestContext');
+const logger    = require('./middleware/logger');
+const auth      = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const validate  = require('./middleware/validate');
+
+// API documentation (generated from the routes below)
+const { collectRoutes, requirement } = require('./utils/openapi');
+const docsSchemas = require('./schemas/docs');
 
 // Routers
-const productRoutes = require('./routes/products');
-const userRoutes    = require('./routes/users');
+const authRoutes     = require('./routes/auth');
+const productRoutes  = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
+const currencyRoutes = require('./routes/currencies');
+const userRoutes     = require('./routes/users');
+const cartRoutes     = require('./routes/cart');
+const orderRoutes    = require('./routes/orders');
+const couponRoutes   = require('./routes/coupons');
+const webhookRoutes  = require('./routes/webhooks');
+const auditRoutes    = require('./routes/audit');
+const docsRoutes     = require('./routes/docs');
 
 // ──────────────────────────── 2. INITIALISE APP ─────────────────────────────
 
 const app  = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // ──────────────────────────── 3. GLOBAL MIDDLEWARE ───────────────────────────
 
-// 3a. Built-in body parser – allows us to read JSON payloads from req.body.
-//     🍽️  Like a translator who converts the customer's spoken order into a
-//         written ticket the chef can read.
-app.use(express.json());
+// 3a. Request ID – every request gets a ticket number (X-Request-Id) that
+//     error responses and log entries quote back, so a failure can be traced.
+app.use(requestId);
+
+// 3a'. Request context – code deep down (the audit trail) can ask which
+//      request, and so which user, it is running for.
+app.use(requestContext);
 
 // 3b. Serve the frontend (static files from /public folder).
+//     Placed before the logger so page assets don't flood the access log.
 app.use(express.static(path.join(__dirname, 'public')));
 
-// 3c. Custom Logger – applied to EVERY request (global / application-level).
-//     🍽️  The front-door greeter who logs every visitor.
+// 3b'. Uploaded product images.  File names are content hashes — a new image
+//      always gets a new URL — so browsers may keep them for a year.
+//      nosniff: the bytes were checked to be an image, serve them only as one.
+app.use('/uploads', express.static(config.uploads.dir, {
+  index: false,
+  immutable: true,
+  maxAge: '1y',
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+}));
+
+// 3c. Access Logger – applied to EVERY API request (global / application-level).
+//     🍽️  The front-door greeter who logs every visitor — status, latency,
+//         size, user and IP are written once the response has been sent.
+//     Placed before the body parser so even malformed JSON requests are logged.
 app.use(logger);
 
+// 3d. Built-in body parser – allows us to read JSON payloads from req.body.
+//     🍽️  Like a translator who converts the customer's spoken order into a
+//         written ticket the chef can read.
+//     A body that isn't valid JSON is handed to the error handler (400 INVALID_JSON).
+app.use(express.json());
+
 // ──────────────────────────── 4. MOUNT ROUTERS ──────────────────────────────
+//
+// Every router is fronted by a rate limiter (the doorman with a tally sheet).
+// It runs BEFORE auth, so clients hammering with bad tokens are throttled too.
+// Budgets are configured in config/index.js (RATE_LIMIT_* variables).
+
+const limits = {
+  products: rateLimit({ name: 'products', ...config.rateLimit.products }),
+  users:    rateLimit({ name: 'users', ...config.rateLimit.users }),
+  api:      rateLimit({ name: 'api', ...config.rateLimit.api }),
+};
+
+// 4a. Auth routes — register / login are PUBLIC; they issue signed tokens.
+app.use('/auth', limits.api, authRoutes);
 
-// 4a. Product routes — PUBLIC (no auth required)
+// 4b. Product routes — PUBLIC (no auth required)
 //     All routes defined in routes/products.js are prefixed with "/products".
 //     Example: router.get('/') inside products.js  →  GET /products
-app.use('/products', productRoutes);
+app.use('/products', limits.products, productRoutes);
 
-// 4b. User routes — PROTECTED (auth middleware runs before any user route)
+// 4c. Category routes — PUBLIC reads, admin-only writes.  They share the
+//     catalog's budget since browsing goes back and forth between the two.
+app.use('/categories', limits.products, categoryRoutes);
+
+// 4d. Currency routes — PUBLIC list of currencies, admin-only rate table.
+//     Products are shown in a currency with ?currency= / Accept-Currency.
+app.use('/currencies', limits.products, currencyRoutes);
+
+// 4e. User routes — PROTECTED (auth middleware runs before any user route)
 //     🍽️  The bouncer (auth) stands at the VIP entrance (/users).
-//     By passing `auth` as the FIRST handler before the router, Express will
-//     execute auth for EVERY request that starts with /users.
-app.use('/users', auth, userRoutes);
+//     By passing `auth` before the router, Express will execute auth for
+//     EVERY request that starts with /users.
+app.use('/users', limits.users, auth, userRoutes);
+
+// 4f. Cart routes — PROTECTED (each customer works on their own cart)
+app.use('/cart', limits.api, auth, cartRoutes);
+
+// 4g. Order routes — PROTECTED (checkout, order history, status lifecycle)
+app.use('/orders', limits.api, auth, orderRoutes);
+
+// 4h. Coupon routes — PROTECTED (admins manage discount codes)
+app.use('/coupons', limits.api, auth, couponRoutes);
+
+// 4i. Webhook routes — PROTECTED (admins subscribe URLs to store events)
+app.use('/webhooks', limits.api, auth, webhookRoutes);
+
+// 4j. Audit routes — PROTECTED (admins read who changed what, and when)
+app.use('/audit', limits.api, auth, auditRoutes);
+
+// 4k. API docs — PUBLIC: GET /openapi.json and the GET /docs page.
+//     The document is generated from the routers mounted above and their
+//     validation schemas, so it always matches what the API really does.
+app.use(docsRoutes);
 
 // ──────────────────────────── 5. ROOT ROUTE (Welcome) ───────────────────────
 
-app.get('/', (req, res) => {
+app.get('/', validate(docsSchemas.welcome), (req, res) => {
   res.status(200).json({
     success: true,
     message: '🛒 Welcome to the Mini Online Store API!',
-    endpoints: {
-      products: 'GET  /products          — List all products (public)',
-      userById: 'GET  /users/:id         — Get user by ID   (requires token)',
-      createUser: 'POST /users            — Create a user    (requires token)',
-    },
+    docs: '/docs',
+    openapi: '/openapi.json',
+    // Generated from the mounted routes, so the list is never out of date
+    endpoints: collectRoutes(app).map((route) =>
+      `${route.method.padEnd(6)} ${route.path} — ${route.schema.summary} (${requirement(route)})`),
   });
 });
 
@@ -94,30 +181,43 @@ app.get('/', (req, res) => {
 // 🍽️  RESTAURANT ANALOGY:
 //   If a customer orders something that doesn't exist on the menu, the waiter
 //   politely says "Sorry, we don't serve that."  This middleware catches any
-//   request that didn't match a defined route above and responds with 404.
+//   request that didn't match a defined route above and passes a 404
+//   (ROUTE_NOT_FOUND) on to the error handler.
 //
 // ⚠️  This MUST be placed AFTER all other routes & routers.  Express
 //     evaluates middleware/routes top-to-bottom; if nothing above matched,
 //     execution falls through to here.
 // ────────────────────────────────────────────────────────────────────────────
 
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `🔍 Route not found: ${req.method} ${req.originalUrl}`,
-    hint: 'Check the URL and HTTP method. Visit GET / for available endpoints.',
-  });
-});
+app.use(notFound);
 
-// ──────────────────────────── 7. START SERVER ───────────────────────────────
+// ──────────────────────────── 7. ERROR HANDLER ──────────────────────────────
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   Chefs don't argue with customers — they hand a complaint slip (throw an
+//   error from utils/errors.js) to the front-of-house manager, who answers
+//   every problem in the same format:
+//     { success: false, code, message, ...details, requestId }
+//   Unexpected errors become a 500 without internals (stack traces are only
+//   included when NODE_ENV=development).
+//
+// ⚠️  Registered LAST, with four arguments (err, req, res, next).
+// ────────────────────────────────────────────────────────────────────────────
+
+app.use(errorHandler);
+
+// ──────────────────────────── 8. START SERVER ───────────────────────────────
 
 app.listen(PORT, () => {
   console.log('='.repeat(60));
   console.log(`🚀  Mini Online Store API is running on http://localhost:${PORT}`);
   console.log('='.repeat(60));
+  console.log(`📖  API docs: http://localhost:${PORT}/docs`);
+  console.log('='.repeat(60));
   console.log('Available endpoints:');
-  console.log(`  GET    http://localhost:${PORT}/products`);
-  console.log(`  GET    http://localhost:${PORT}/users/:id   (token required)`);
-  console.log(`  POST   http://localhost:${PORT}/users       (token required)`);
+  collectRoutes(app).forEach((route) => {
+    const access = requirement(route);
+    console.log(`  ${route.method.padEnd(6)} http://localhost:${PORT}${route.path}${access === 'public' ? '' : `  (${access})`}`);
+  });
   console.log('='.repeat(60));
 });
@@ -0,0 +1,159 @@
+// ============================================================================
+// config/index.js — Central Application Configuration
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   This file is the **House Rules** pinned up in the kitchen.  Every chef,
+//   waiter and bouncer reads the same rules (opening port, the secret stamp
+//   used on VIP passes, how long a pass stays valid…) instead of each one
+//   inventing their own.
+//
+// 📐 WHY A CONFIG MODULE?
+//   Values that differ between environments (development, production) come
+//   from environment variables.  Reading them in ONE place means the rest of
+//   the codebase never touches `process.env` directly.
+// ============================================================================
+
+const path = require('path');
+
+const DEFAULT_SECRET = 'mini-store-dev-secret-change-me';
+
+const config = {
+  // Port the HTTP server listens on
+  port: parseInt(process.env.PORT, 10) || 3000,
+
+  // Current environment ("development" | "production" | "test")
+  env: process.env.NODE_ENV || 'development',
+
+  // Bearer-token (JWT-style) settings
+  auth: {
+    // HMAC secret used to sign and verify tokens — MUST be overridden in production
+    secret: process.env.AUTH_SECRET || DEFAULT_SECRET,
+    // Token lifetime in seconds (default: 1 hour)
+    expiresIn: parseInt(process.env.AUTH_EXPIRES_IN, 10) || 60 * 60,
+    // Shortest password accepted on register / change / reset
+    passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    // Lifetime of a password-reset token in seconds (default: 30 minutes)
+    resetTokenTtl: parseInt(process.env.PASSWORD_RESET_TTL, 10) || 30 * 60,
+  },
+
+  // Outgoing mail (see utils/mailer.js)
+  mail: {
+    // "outbox" (one .eml file per message) | "console"
+    transport: process.env.MAIL_TRANSPORT || 'outbox',
+    // Sender of every message
+    from: process.env.MAIL_FROM || 'MiniStore <no-reply@ministore.local>',
+    // Where the outbox transport writes messages
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+  },
+
+  // Outgoing webhooks (see utils/webhooks.js)
+  webhooks: {
+    // Give up on one attempt after this many milliseconds
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    // Attempts per delivery, the first one included
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    // Wait before the first retry; doubles after every failed attempt
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10 * 1000,
+    // Finished deliveries kept in each subscription's log
+    historyLimit: parseInt(process.env.WEBHOOK_HISTORY_LIMIT, 10) || 200,
+  },
+
+  // Uploaded files (see middleware/upload.js & utils/imageStore.js)
+  uploads: {
+    // Where uploaded images are stored (served at /uploads)
+    dir: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+    // Largest accepted image in bytes (default: 2 MB)
+    maxImageSize: parseInt(process.env.UPLOAD_MAX_IMAGE_SIZE, 10) || 2 * 1024 * 1024,
+    // Most images one product may have
+    maxImagesPerProduct: parseInt(process.env.UPLOAD_MAX_IMAGES_PER_PRODUCT, 10) || 10,
+  },
+
+  // Bulk product import (see controllers/productBulkController.js)
+  catalogImport: {
+    // Largest accepted import file in bytes (default: 1 MB)
+    maxFileSize: parseInt(process.env.PRODUCT_IMPORT_MAX_SIZE, 10) || 1024 * 1024,
+    // Most product rows in one file
+    maxRows: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS, 10) || 5000,
+  },
+
+  // Data storage (see repositories/)
+  storage: {
+    // "json" (persisted to disk) | "memory" (wiped on restart — handy for tests)
+    driver: process.env.STORE_DRIVER || 'json',
+    // Where the JSON backend keeps its files
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  },
+
+  // HTTP caching of public reads (see middleware/httpCache.js)
+  cache: {
+    // Seconds a client may reuse a product response without revalidating
+    // (default 0: always revalidate — cheap thanks to ETags, never stale)
+    productsMaxAge: parseInt(process.env.PRODUCTS_CACHE_MAX_AGE, 10) || 0,
+  },
+
+  // Audit trail (see utils/audit.js)
+  audit: {
+    // Entries kept — beyond this the oldest are dropped, so a write never
+    // gets slower as the log grows (the JSON backend rewrites the whole file)
+    maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES, 10) || 5000,
+  },
+
+  // Live product updates (see controllers/productStreamController.js)
+  stream: {
+    // Comment line sent this often so idle connections aren't cut by proxies
+    heartbeatMs: parseInt(process.env.PRODUCTS_STREAM_HEARTBEAT_MS, 10) || 25 * 1000,
+    // Reconnect delay suggested to EventSource clients
+    retryMs: parseInt(process.env.PRODUCTS_STREAM_RETRY_MS, 10) || 3000,
+    // Recent changes kept in memory for resuming with Last-Event-ID
+    historySize: parseInt(process.env.PRODUCTS_STREAM_HISTORY, 10) || 500,
+  },
+
+  // Request budgets per client (see middleware/rateLimit.js)
+  rateLimit: {
+    // Set RATE_LIMIT_ENABLED=false to switch every limiter off (e.g. load tests)
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // "sliding" (smooth) | "fixed" (clock-aligned windows)
+    algorithm: process.env.RATE_LIMIT_ALGORITHM || 'sliding',
+    // Public catalog — browsing, filtering, reviews
+    products: {
+      windowMs: (parseInt(process.env.RATE_LIMIT_PRODUCTS_WINDOW, 10) || 60) * 1000,
+      max: parseInt(process.env.RATE_LIMIT_PRODUCTS_MAX, 10) || 120,
+    },
+    // User records — stricter, these hold personal data
+    users: {
+      windowMs: (parseInt(process.env.RATE_LIMIT_USERS_WINDOW, 10) || 60) * 1000,
+      max: parseInt(process.env.RATE_LIMIT_USERS_MAX, 10) || 30,
+    },
+    // Everything else under the API (/auth, /cart, /orders, /coupons)
+    api: {
+      windowMs: (parseInt(process.env.RATE_LIMIT_API_WINDOW, 10) || 60) * 1000,
+      max: parseInt(process.env.RATE_LIMIT_API_MAX, 10) || 60,
+    },
+  },
+
+  // Access logging (see middleware/logger.js)
+  logging: {
+    // "silent" | "error" | "warn" | "info" | "debug"  (debug adds redacted request headers)
+    level: process.env.LOG_LEVEL || 'info',
+    // Console output: "pretty" (one readable line) | "json" (JSON lines)
+    format: process.env.LOG_FORMAT || 'pretty',
+    // Optional JSON-lines file, e.g. "logs/access.log" (empty = console only)
+    file: process.env.LOG_FILE ? path.resolve(process.env.LOG_FILE) : null,
+    // Rotate the file once it would grow beyond this many bytes (default: 5 MB)
+    maxSize: parseInt(process.env.LOG_MAX_SIZE, 10) || 5 * 1024 * 1024,
+    // Number of rotated files to keep (access.log.1 … access.log.N)
+    maxFiles: process.env.LOG_MAX_FILES ? parseInt(process.env.LOG_MAX_FILES, 10) : 5,
+    // Header values replaced by "[REDACTED]" before anything is logged
+    redactHeaders: (process.env.LOG_REDACT_HEADERS || 'authorization,cookie,set-cookie,x-api-key')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+  },
+};
+
+if (config.env === 'production' && config.auth.secret === DEFAULT_SECRET) {
+  console.warn('[CONFIG] ⚠️  AUTH_SECRET is not set — using the insecure development secret.');
+}
+
+module.exports = config;
@@ -0,0 +1,83 @@
+// ============================================================================
+// config/permissions.js — Role → Permission Map
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Staff Duty Roster**.  A wristband (token) only proves WHO you are;
+//   the roster says WHAT you may do.  The manager (admin) may enter the
+//   kitchen and rewrite the menu, while a regular guest (customer) may only
+//   look at — and update — their own reservation.
+//
+// 📐 NAMING:
+//   Permissions follow  "<resource>:<action>[:<scope>]".
+//   • ":any" — applies to every record of that resource
+//   • ":own" — applies only to records belonging to the current user
+// ============================================================================
+
+const PERMISSIONS = {
+  USERS_READ_ANY:   'users:read:any',
+  USERS_READ_OWN:   'users:read:own',
+  USERS_CREATE:     'users:create',
+  USERS_UPDATE_ANY: 'users:update:any',
+  USERS_UPDATE_OWN: 'users:update:own',
+  USERS_DELETE:     'users:delete',
+  PRODUCTS_WRITE:   'products:write',
+  CATEGORIES_MANAGE: 'categories:manage',
+  CURRENCIES_MANAGE: 'currencies:manage',
+  CART_MANAGE:      'cart:manage',
+  ORDERS_CREATE:    'orders:create',
+  ORDERS_READ_ANY:  'orders:read:any',
+  ORDERS_MANAGE:    'orders:manage',
+  INVENTORY_MANAGE: 'inventory:manage',
+  COUPONS_MANAGE:   'coupons:manage',
+  REVIEWS_WRITE:    'reviews:write',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  WEBHOOKS_MANAGE:  'webhooks:manage',
+  AUDIT_READ:       'audit:read',
+};
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    PERMISSIONS.USERS_READ_ANY,
+    PERMISSIONS.USERS_READ_OWN,
+    PERMISSIONS.USERS_CREATE,
+    PERMISSIONS.USERS_UPDATE_ANY,
+    PERMISSIONS.USERS_UPDATE_OWN,
+    PERMISSIONS.USERS_DELETE,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.CATEGORIES_MANAGE,
+    PERMISSIONS.CURRENCIES_MANAGE,
+    PERMISSIONS.CART_MANAGE,
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_READ_ANY,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.INVENTORY_MANAGE,
+    PERMISSIONS.COUPONS_MANAGE,
+    PERMISSIONS.REVIEWS_WRITE,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.WEBHOOKS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+  ],
+  customer: [
+    PERMISSIONS.USERS_READ_OWN,
+    PERMISSIONS.USERS_UPDATE_OWN,
+    PERMISSIONS.CART_MANAGE,
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.REVIEWS_WRITE,
+  ],
+};
+
+/**
+ * hasPermission — True when the given role grants the given permission.
+ *
+ * @param {string} role
+ * @param {string} permission
+ */
+const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// controllers/auditController.js — Reading the Audit Trail
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The owner leafing through the **Manager's Logbook**: "who changed the
+//   price of the headphones last week?"  The logbook itself is kept by
+//   utils/audit.js — this chef only looks things up, never writes.
+//
+// 📐 FILTERS (all optional, combined with AND):
+//   ?actorId=1  ?resource=product  ?resourceId=5  ?action=update
+//   ?requestId=…  ?from=2026-10-01T00:00:00Z  ?to=2026-10-31T23:59:59Z
+//   Entries come newest first (or in ?sort= order), paginated like every
+//   other list.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { ValidationError } = require('../utils/errors');
+const { parseSort, sortItems, paginate } = require('../utils/listQuery');
+
+// Loading the recorder starts the audit trail (see utils/audit.js)
+require('../utils/audit');
+
+// ---------- Model (Repository) ----------
+const auditLog = getRepository('auditLog');
+
+const SORTABLE_FIELDS = ['id', 'at', 'resource', 'resourceId', 'action'];
+const NEWEST_FIRST = [{ field: 'id', dir: -1 }];
+
+// ---------- Controller Functions ----------
+
+/**
+ * listAuditEntries — The audit trail, filtered & paginated (admin only).
+ *
+ * HTTP:  GET /audit?resource=product&resourceId=5&from=2026-10-01T00:00:00Z
+ */
+const listAuditEntries = (req, res) => {
+  const {
+    actorId, resource, resourceId, action, requestId, page, limit,
+  } = req.query;
+  const from = req.query.from ? Date.parse(req.query.from) : -Infinity;
+  const to = req.query.to ? Date.parse(req.query.to) : Infinity;
+
+  const { sort, errors } = parseSort(req.query.sort, SORTABLE_FIELDS);
+  if (from > to) {
+    errors.push({ location: 'query', field: 'from', code: 'INVALID_RANGE', message: '"from" must not be later than "to".' });
+  }
+  if (errors.length) throw new ValidationError(errors);
+
+  const matches = auditLog
+    .find((entry) =>
+      (actorId === undefined || (entry.actor && entry.actor.id === actorId)) &&
+      (!resource || entry.resource === resource) &&
+      (resourceId === undefined || entry.resourceId === resourceId) &&
+      (!action || entry.action === action) &&
+      (!requestId || entry.requestId === requestId) &&
+      Date.parse(entry.at) >= from &&
+      Date.parse(entry.at) <= to
+    );
+
+  res.status(200).json(paginate(req, sortItems(matches, sort.length ? sort : NEWEST_FIRST), { page, limit }));
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listAuditEntries,
+};
@@ -0,0 +1,248 @@
+// ============================================================================
+// controllers/authController.js — Business Logic for Authentication
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   This chef runs the **Reception Desk**.  New guests register their name
+//   and a secret word, returning guests repeat both, and in both cases the
+//   desk hands over a freshly stamped VIP wristband (signed token) that the
+//   bouncer (auth middleware) will check at the VIP entrance.
+//
+//   Guests who forgot their secret word get a one-time slip by mail
+//   (reset token) — valid for a short while, and only once.
+//
+// 📐 RESET TOKENS:
+//   Only a SHA-256 hash of each token is stored, so a leaked data file
+//   can't be used to take over accounts.  A token is single-use, expires
+//   after config.auth.resetTokenTtl seconds, and asking again replaces it.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const config = require('../config');
+const { sign } = require('../utils/token');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { mailer } = require('../utils/mailer');
+const { getRepository } = require('../repositories');
+const {
+  findUserById, findUserByEmail, addUser, setPassword, ensureStrongPassword, toUserView, emailTaken,
+} = require('./userController');
+const { BadRequestError, UnauthorizedError } = require('../utils/errors');
+
+const passwordResets = getRepository('passwordResets');
+
+// ---------- Helpers ----------
+
+/**
+ * issueToken — Signs a token for the given user and builds the response data.
+ *
+ * @param {{ id: number, role: string }} user
+ */
+const issueToken = (user) => ({
+  // `ver` ties the token to the current password (see middleware/auth.js)
+  token: sign({ sub: user.id, role: user.role, ver: user.tokenVersion || 0 }, config.auth),
+  tokenType: 'Bearer',
+  expiresIn: config.auth.expiresIn,
+  user: toUserView(user),
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Compared against when the email is unknown, so that a login for a missing
+// account takes as long as one with a wrong password
+let dummyHash = null;
+const timingDummy = () => {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+};
+
+/**
+ * resetMail — The message that carries a password-reset token.
+ */
+const resetMail = (user, token) => ({
+  to: `${user.name} <${user.email}>`,
+  subject: 'Reset your MiniStore password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone (hopefully you) asked to reset the password of your MiniStore account.',
+    `Your reset token is valid for ${Math.round(config.auth.resetTokenTtl / 60)} minutes and works once:`,
+    '',
+    `    ${token}`,
+    '',
+    'Send it together with your new password:',
+    '',
+    '    POST /auth/reset-password',
+    `    { "token": "${token}", "password": "<new password>" }`,
+    '',
+    "If you didn't ask for this, ignore this email — your password stays unchanged.",
+  ].join('\n'),
+});
+
+// ---------- Controller Functions ----------
+
+/**
+ * register — Creates a new customer account and returns a token for it.
+ *
+ * HTTP:  POST /auth/register
+ *
+ * Self-registration always produces a "customer"; admins are created by
+ * other admins through POST /users.
+ */
+const register = (req, res) => {
+  const { name, email, password } = req.body;
+
+  if (findUserByEmail(email)) throw emailTaken(email);
+  ensureStrongPassword(password, { name, email });
+
+  const user = addUser({ name, email, password, role: 'customer' });
+
+  res.status(201).json({
+    success: true,
+    message: 'Account registered successfully.',
+    data: issueToken(user),
+  });
+};
+
+/**
+ * login — Exchanges an account's email & password for a signed bearer token.
+ *
+ * HTTP:  POST /auth/login
+ *
+ * Unknown email, wrong password and "no password set yet" all get the same
+ * answer, so the endpoint can't be used to find out who has an account.
+ */
+const login = (req, res) => {
+  const { email, password } = req.body;
+
+  const user = findUserByEmail(email);
+  const valid = verifyPassword(password, user ? user.passwordHash : timingDummy());
+
+  if (!user || !valid) {
+    throw new UnauthorizedError('AUTH_INVALID_CREDENTIALS', 'Invalid email or password.');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged in successfully.',
+    data: issueToken(user),
+  });
+};
+
+/**
+ * me — Returns the user attached to the request by the auth middleware.
+ *
+ * HTTP:  GET /auth/me   (requires token)
+ */
+const me = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: toUserView(req.user),
+  });
+};
+
+/**
+ * changePassword — Sets a new password after checking the current one.
+ *
+ * HTTP:  PUT /auth/password   (requires token)
+ *
+ * Every other token of the account stops working; the response carries a
+ * fresh token so this client stays signed in.
+ */
+const changePassword = (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const { user } = req;
+
+  if (!verifyPassword(currentPassword, user.passwordHash)) {
+    throw new BadRequestError('CURRENT_PASSWORD_INCORRECT', 'The current password is incorrect.');
+  }
+  if (newPassword === currentPassword) {
+    throw new BadRequestError('PASSWORD_UNCHANGED', 'The new password must differ from the current one.');
+  }
+  ensureStrongPassword(newPassword, user, 'newPassword');
+
+  const updated = setPassword(user.id, newPassword);
+  console.log(`[AUTH] 🔑 user #${user.id} changed their password.`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed. Other sessions have been signed out.',
+    data: issueToken(updated),
+  });
+};
+
+/**
+ * forgotPassword — Mails a single-use reset token to the account's address.
+ *
+ * HTTP:  POST /auth/forgot-password
+ *
+ * Always answers 202 with the same message, whether or not the email
+ * belongs to an account.
+ */
+const forgotPassword = (req, res) => {
+  const user = findUserByEmail(req.body.email);
+
+  if (user) {
+    // Asking again replaces any earlier, unused token
+    passwordResets.find((r) => r.userId === user.id).forEach((r) => passwordResets.remove(r.id));
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    passwordResets.insert({
+      userId: user.id,
+      tokenHash: sha256(token),
+      expiresAt: new Date(Date.now() + config.auth.resetTokenTtl * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    });
+
+    // The answer must not depend on delivery (or reveal the account)
+    mailer.send(resetMail(user, token)).catch((err) => {
+      console.error(`[MAIL] ⚠️  Could not send the reset mail for user #${user.id}: ${err.message}`);
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'If an account exists for this email, a reset token has been sent to it.',
+  });
+};
+
+/**
+ * resetPassword — Sets a new password using a token from forgotPassword.
+ *
+ * HTTP:  POST /auth/reset-password
+ */
+const resetPassword = (req, res) => {
+  const { token, password } = req.body;
+
+  const reset = passwordResets.findOne((r) => r.tokenHash === sha256(token));
+  const user  = reset && findUserById(reset.userId);
+  if (!user) {
+    throw new BadRequestError('RESET_TOKEN_INVALID', 'This reset token is invalid or has already been used.');
+  }
+  if (Date.parse(reset.expiresAt) <= Date.now()) {
+    passwordResets.remove(reset.id);
+    throw new BadRequestError('RESET_TOKEN_EXPIRED', 'This reset token has expired — please request a new one.');
+  }
+
+  // Checked before the token is spent, so a weak choice can be corrected
+  ensureStrongPassword(password, user);
+
+  passwordResets.remove(reset.id); // single use
+  setPassword(user.id, password);
+  console.log(`[AUTH] 🔑 user #${user.id} reset their password.`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with the new password.',
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  register,
+  login,
+  me,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+};
@@ -0,0 +1,231 @@
+// ============================================================================
+// controllers/cartController.js — Business Logic for Shopping Carts
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   This chef keeps each guest's **Order Pad**.  The guest (req.user) adds
+//   dishes and quantities, changes their mind, crosses items out or tears
+//   the page off.  Whenever the pad is read back, the chef looks up TODAY's
+//   menu prices — so totals always reflect the current catalog, not the
+//   price at the moment an item was jotted down.  A voucher (coupon code)
+//   can be clipped to the pad; it is re-checked on every read.
+//
+// 📐 DATA SHAPE (stored in the "carts" repository):
+//   { id, userId, items: [ { productId, quantity } ], couponCode }
+//   Only IDs, quantities and the code are stored; names, prices, totals and
+//   the discount are computed on every read from productController's catalog
+//   and couponController's rules.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { findProductById } = require('./productController');
+const { priceWithCoupon } = require('./couponController');
+const { roundMoney } = require('../utils/money');
+const { BadRequestError, ValidationError, NotFoundError } = require('../utils/errors');
+
+// ---------- Model (Repository) ----------
+const carts = getRepository('carts');
+
+// ---------- Helpers ----------
+
+/**
+ * findCart — Returns the stored cart of a user, creating an empty one if needed.
+ *
+ * @param {number} userId
+ */
+const findCart = (userId) =>
+  carts.findOne((c) => c.userId === userId) || carts.insert({ userId, items: [] });
+
+/**
+ * buildCartView — Adds product details, line totals and the pricing breakdown
+ * (subtotal, discount, total and whether the clipped coupon applies).
+ *
+ * Lines whose product has since been removed from the catalog are kept
+ * (so the customer can see and remove them) but flagged `available: false`
+ * and excluded from the subtotal.
+ *
+ * @param {{ userId: number, items: { productId: number, quantity: number }[], couponCode?: string }} cart
+ */
+const buildCartView = (cart) => {
+  const items = cart.items.map(({ productId, quantity }) => {
+    const product = findProductById(productId);
+    if (!product) {
+      return { productId, quantity, available: false, lineTotal: 0 };
+    }
+    return {
+      productId,
+      name: product.name,
+      category: product.category,
+      unitPrice: product.price,
+      quantity,
+      available: true,
+      lineTotal: roundMoney(product.price * quantity),
+    };
+  });
+
+  const pricing = priceWithCoupon(items.filter((i) => i.available), cart.couponCode, cart.userId);
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    ...pricing,
+  };
+};
+
+/**
+ * getCartView — Priced view of a user's cart (shared with other controllers).
+ *
+ * @param {number} userId
+ */
+const getCartView = (userId) => buildCartView(findCart(userId));
+
+/**
+ * clearCart — Empties a user's cart and unclips its coupon (shared with other controllers).
+ *
+ * @param {number} userId
+ */
+const clearCart = (userId) => carts.update(findCart(userId).id, { items: [], couponCode: null });
+
+/**
+ * itemNotFound — 404 error for a product that isn't in the cart.
+ */
+const itemNotFound = (productId) =>
+  new NotFoundError('CART_ITEM_NOT_FOUND', `Product with ID ${productId} is not in your cart.`);
+
+/**
+ * sendCart — Responds with the priced cart.
+ */
+const sendCart = (res, cart, status = 200, message) =>
+  res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    data: buildCartView(cart),
+  });
+
+// ---------- Controller Functions ----------
+
+/**
+ * getCart — Returns the current user's cart with line totals and subtotal.
+ *
+ * HTTP:  GET /cart
+ */
+const getCart = (req, res) => {
+  sendCart(res, findCart(req.user.id));
+};
+
+/**
+ * addItem — Adds a product to the cart (or increases its quantity).
+ *
+ * HTTP:  POST /cart/items   { "productId": 2, "quantity": 1 }
+ */
+const addItem = (req, res) => {
+  // Types and ranges were checked by validate(schemas.addItem)
+  const { productId, quantity } = req.body;
+
+  if (!findProductById(productId)) {
+    throw new ValidationError([{
+      location: 'body',
+      field: 'productId',
+      code: 'PRODUCT_NOT_FOUND',
+      message: `Product with ID ${productId} does not exist.`,
+    }]);
+  }
+
+  const cart = findCart(req.user.id);
+  const existing = cart.items.find((item) => item.productId === productId);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    cart.items.push({ productId, quantity });
+  }
+
+  sendCart(res, carts.update(cart.id, { items: cart.items }), 201, 'Item added to cart.');
+};
+
+/**
+ * updateItem — Sets the quantity of a product already in the cart.
+ *
+ * HTTP:  PATCH /cart/items/:productId   { "quantity": 3 }
+ */
+const updateItem = (req, res) => {
+  const { productId } = req.params;
+  const { quantity } = req.body;
+
+  const cart = findCart(req.user.id);
+  const item = cart.items.find((i) => i.productId === productId);
+  if (!item) throw itemNotFound(productId);
+
+  item.quantity = quantity;
+  sendCart(res, carts.update(cart.id, { items: cart.items }), 200, 'Cart item updated.');
+};
+
+/**
+ * removeItem — Removes a product from the cart.
+ *
+ * HTTP:  DELETE /cart/items/:productId
+ */
+const removeItem = (req, res) => {
+  const { productId } = req.params;
+  const cart = findCart(req.user.id);
+
+  const items = cart.items.filter((i) => i.productId !== productId);
+  if (items.length === cart.items.length) throw itemNotFound(productId);
+
+  sendCart(res, carts.update(cart.id, { items }), 200, 'Item removed from cart.');
+};
+
+/**
+ * clear — Removes every item from the cart.
+ *
+ * HTTP:  DELETE /cart
+ */
+const clear = (req, res) => {
+  sendCart(res, clearCart(req.user.id), 200, 'Cart cleared.');
+};
+
+/**
+ * applyCoupon — Clips a coupon code to the cart.
+ *
+ * HTTP:  POST /cart/coupon   { "code": "AUDIO20" }
+ *
+ * The code is only stored if it currently applies; otherwise the response
+ * explains why it was rejected (reason code + message).
+ */
+const applyCoupon = (req, res) => {
+  const { code } = req.body;
+
+  const cart = findCart(req.user.id);
+  const view = buildCartView({ ...cart, couponCode: code });
+
+  if (!view.coupon.applied) {
+    throw new BadRequestError('COUPON_REJECTED', view.coupon.message, {
+      reason: view.coupon.reason,
+      data: view,
+    });
+  }
+
+  sendCart(res, carts.update(cart.id, { couponCode: view.coupon.code }), 200, 'Coupon applied.');
+};
+
+/**
+ * removeCoupon — Unclips the coupon from the cart.
+ *
+ * HTTP:  DELETE /cart/coupon
+ */
+const removeCoupon = (req, res) => {
+  const cart = findCart(req.user.id);
+  sendCart(res, carts.update(cart.id, { couponCode: null }), 200, 'Coupon removed.');
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clear,
+  applyCoupon,
+  removeCoupon,
+  getCartView,
+  clearCart,
+};
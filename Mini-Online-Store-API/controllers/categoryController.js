@@ -0,0 +1,397 @@
+// ============================================================================
+// controllers/categoryController.js — Business Logic for Product Categories
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Menu Sections**.  "Drinks" holds "Hot drinks" which holds "Tea" —
+//   every dish sits in exactly one section, and looking at a section shows
+//   its sub-sections' dishes too.  The manager may add, rename or move
+//   sections, but can't tear one out of the menu while dishes, sub-sections
+//   or vouchers still point at it.
+//
+// 📐 CATEGORY SHAPE (stored in the "categories" repository):
+//   { id, name, slug, parentId: number | null, icon, description }
+//
+//   Products (and category-scoped coupons) refer to a category by its NAME,
+//   so renaming a category renames it on every product and coupon as well.
+//   Names and slugs are unique (names case-insensitively); `icon` is a
+//   Lucide icon name used by the frontend.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { touchCatalog } = require('../utils/catalogVersion');
+const { publish } = require('../utils/events');
+
+// ---------- Seed Data (loaded into the repository on first run) ----------
+const seedCategories = [
+  { id: 1, name: 'Electronics', slug: 'electronics', parentId: null, icon: 'cpu',        description: 'Computers, peripherals and gadgets' },
+  { id: 2, name: 'Accessories', slug: 'accessories', parentId: null, icon: 'cable',      description: 'Hubs, stands, cables and everything around the desk' },
+  { id: 3, name: 'Audio',       slug: 'audio',       parentId: 1,    icon: 'headphones', description: 'Headphones, speakers and microphones' },
+];
+
+// ---------- Model (Repositories) ----------
+const categories = getRepository('categories', seedCategories);
+
+// Read (and renamed in place) here; written by their own controllers.
+// Looked up on use: productController loads this module before it creates
+// (and seeds) the products collection.
+const products = () => getRepository('products');
+const coupons  = () => getRepository('coupons');
+const toProductView = (product) => require('./productController').toProductView(product);
+
+const DEFAULT_ICON = 'box';
+
+// ---------- Helpers ----------
+
+/**
+ * slugify — "Home & Garden" → "home-garden".
+ *
+ * @param {string} text
+ */
+const slugify = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * findCategory — Looks a category up by name (case-insensitive) or slug.
+ *
+ * @param {string} ref - e.g. "Audio" or "audio"
+ * @returns {object|undefined}
+ */
+const findCategory = (ref) => {
+  if (typeof ref !== 'string') return undefined;
+  const lower = ref.trim().toLowerCase();
+  return categories.findOne((c) => c.name.toLowerCase() === lower || c.slug === lower);
+};
+
+/**
+ * descendantsOf — IDs of every sub-category below `categoryId` (any depth).
+ *
+ * @param {number}   categoryId
+ * @param {object[]} [all] - Every category, when already loaded
+ * @returns {number[]}
+ */
+const descendantsOf = (categoryId, all = categories.findAll()) => {
+  const ids = [];
+  const queue = [categoryId];
+  while (queue.length) {
+    const parentId = queue.shift();
+    all.filter((c) => c.parentId === parentId).forEach((child) => {
+      ids.push(child.id);
+      queue.push(child.id);
+    });
+  }
+  return ids;
+};
+
+/**
+ * categoryNamesWithin — Names of a category and all its sub-categories —
+ * what "products in this category" matches against.
+ *
+ * @param {object} category
+ * @returns {string[]}
+ */
+const categoryNamesWithin = (category) => {
+  const all = categories.findAll();
+  const ids = [category.id, ...descendantsOf(category.id, all)];
+  return all.filter((c) => ids.includes(c.id)).map((c) => c.name);
+};
+
+/**
+ * isInCategory — True when `name` is the category `ancestorName` or one of
+ * its sub-categories (e.g. "Audio" is in "Electronics").
+ *
+ * @param {string} name         - A product's category
+ * @param {string} ancestorName - e.g. a coupon's category scope
+ */
+const isInCategory = (name, ancestorName) => {
+  const ancestor = findCategory(ancestorName);
+  return Boolean(ancestor) && categoryNamesWithin(ancestor).includes(name);
+};
+
+/**
+ * unknownCategoryError — The validation entry for a category reference
+ * that doesn't exist (used for products, coupons and ?category=).
+ *
+ * @param {string} value
+ * @param {{ location?: string, field?: string }} [where]
+ */
+const unknownCategoryError = (value, { location = 'body', field = 'category' } = {}) => ({
+  location,
+  field,
+  code: 'UNKNOWN_CATEGORY',
+  message: `"${field}" must be an existing category name or slug — "${value}" is not. ` +
+    `Known categories: ${categories.findAll().map((c) => c.name).join(', ')}.`,
+});
+
+/**
+ * resolveCategoryName — The stored name for a category given by name or
+ * slug; throws a 400 UNKNOWN_CATEGORY if there is none.
+ *
+ * @param {string} ref
+ * @param {{ location?: string, field?: string }} [where]
+ * @returns {string}
+ */
+const resolveCategoryName = (ref, where) => {
+  const category = findCategory(ref);
+  if (!category) throw new ValidationError([unknownCategoryError(ref, where)]);
+  return category.name;
+};
+
+/**
+ * pathOf — Names from the root down to the category, e.g. ["Electronics", "Audio"].
+ */
+const pathOf = (category, byId) => {
+  const names = [];
+  for (let c = category; c; c = c.parentId ? byId.get(c.parentId) : null) names.unshift(c.name);
+  return names;
+};
+
+/**
+ * buildViews — Adds path, depth and product counts to every category.
+ *
+ * @returns {object[]} Sorted by path (parents before their children)
+ */
+const buildViews = () => {
+  const all  = categories.findAll();
+  const byId = new Map(all.map((c) => [c.id, c]));
+
+  const directCounts = new Map();
+  products().findAll().forEach((p) => directCounts.set(p.category, (directCounts.get(p.category) || 0) + 1));
+
+  return all.map((category) => {
+    const path = pathOf(category, byId);
+    const withinIds = [category.id, ...descendantsOf(category.id, all)];
+    return {
+      ...category,
+      icon: category.icon || DEFAULT_ICON,
+      path: path.join(' / '),
+      depth: path.length - 1,
+      productCount: directCounts.get(category.name) || 0,
+      totalProductCount: withinIds.reduce((sum, id) => sum + (directCounts.get(byId.get(id).name) || 0), 0),
+    };
+  }).sort((a, b) => a.path.localeCompare(b.path));
+};
+
+/**
+ * toTree — Nests flat category views under their parents (`children`).
+ */
+const toTree = (views) => {
+  const nodes = new Map(views.map((v) => [v.id, { ...v, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+const categoryNotFound = (categoryId) =>
+  new NotFoundError('CATEGORY_NOT_FOUND', `Category with ID ${categoryId} not found.`);
+
+/**
+ * checkCategoryExists — Throws the 404 getCategoryById would answer; lets
+ * the HTTP cache refuse a 304 to it (see routes/categories.js).
+ */
+const checkCategoryExists = (req) => {
+  if (!categories.findById(req.params.id)) throw categoryNotFound(req.params.id);
+};
+
+/**
+ * checkUnique — 409 if another category already uses this name or slug.
+ * Names and slugs share one namespace, so findCategory() is never ambiguous.
+ *
+ * @param {{ name?: string, slug?: string }} fields
+ * @param {number} [ownId] - The category being updated
+ */
+const checkUnique = ({ name, slug }, ownId) => {
+  const others = categories.find((c) => c.id !== ownId);
+  const taken = (ref) => others.some((c) => c.name.toLowerCase() === ref.toLowerCase() || c.slug === ref.toLowerCase());
+  if (name && taken(name)) {
+    throw new ConflictError('CATEGORY_NAME_TAKEN', `A category named "${name}" already exists.`);
+  }
+  if (slug && taken(slug)) {
+    throw new ConflictError('CATEGORY_SLUG_TAKEN', `A category with slug "${slug}" already exists.`);
+  }
+};
+
+/**
+ * checkParent — The parent must exist and must not be the category itself
+ * or one of its descendants (that would make a loop).
+ *
+ * @param {number|null} parentId
+ * @param {number} [ownId] - The category being moved
+ */
+const checkParent = (parentId, ownId) => {
+  if (parentId === null || parentId === undefined) return;
+
+  const fail = (code, message) => new ValidationError([{ location: 'body', field: 'parentId', code, message }]);
+  if (!categories.findById(parentId)) {
+    throw fail('UNKNOWN_PARENT', `Parent category with ID ${parentId} not found.`);
+  }
+  if (ownId !== undefined && (parentId === ownId || descendantsOf(ownId).includes(parentId))) {
+    throw fail('CATEGORY_CYCLE', 'A category cannot be moved below itself or one of its sub-categories.');
+  }
+};
+
+/**
+ * renameEverywhere — Renames a category on every product and coupon using it.
+ *
+ * @returns {object[]} The updated products
+ */
+const renameEverywhere = (oldName, newName) => {
+  coupons().find((c) => c.category === oldName).forEach((c) => coupons().update(c.id, { category: newName }));
+  return products().find((p) => p.category === oldName).map((p) => products().update(p.id, { category: newName }));
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * listCategories — Every category with its path and product counts (public).
+ *
+ * HTTP:  GET /categories            → flat list, parents before children
+ *        GET /categories?tree=true  → root categories with nested `children`
+ */
+const listCategories = (req, res) => {
+  const views = buildViews();
+  const data  = req.query.tree ? toTree(views) : views;
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * getCategoryById — One category with its direct sub-categories (public).
+ *
+ * HTTP:  GET /categories/:id
+ */
+const getCategoryById = (req, res) => {
+  const categoryId = req.params.id;
+  const views = buildViews();
+  const category = views.find((c) => c.id === categoryId);
+  if (!category) throw categoryNotFound(categoryId);
+
+  res.status(200).json({
+    success: true,
+    data: { ...category, children: views.filter((c) => c.parentId === categoryId) },
+  });
+};
+
+/**
+ * createCategory — Adds a category, optionally below a parent (admin only).
+ *
+ * HTTP:  POST /categories   { "name": "Keyboards", "parentId": 1, "icon": "keyboard" }
+ */
+const createCategory = (req, res) => {
+  const { name, parentId = null, icon = DEFAULT_ICON, description = '' } = req.body;
+  const slug = req.body.slug || slugify(name);
+  if (!slug) {
+    throw new ValidationError([{
+      location: 'body', field: 'slug', code: 'REQUIRED',
+      message: `No slug can be derived from "${name}" — please send a "slug".`,
+    }]);
+  }
+
+  checkUnique({ name, slug });
+  checkParent(parentId);
+
+  const category = categories.insert({ name, slug, parentId, icon, description });
+  touchCatalog();
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully.',
+    data: buildViews().find((c) => c.id === category.id),
+  });
+};
+
+/**
+ * updateCategory — Renames, moves or re-describes a category (admin only).
+ *
+ * HTTP:  PATCH /categories/:id
+ *
+ * A new name is applied to every product and coupon in the category (each
+ * product is published as "product.updated"); the slug only changes when sent.  `"parentId": null` moves it to the top level.
+ */
+const updateCategory = (req, res) => {
+  const categoryId = req.params.id;
+  const existing = categories.findById(categoryId);
+  if (!existing) throw categoryNotFound(categoryId);
+
+  const fields = {};
+  ['name', 'slug', 'parentId', 'icon', 'description'].forEach((key) => {
+    if (req.body[key] !== undefined) fields[key] = req.body[key];
+  });
+
+  checkUnique(fields, categoryId);
+  if (fields.parentId !== undefined) checkParent(fields.parentId, categoryId);
+
+  categories.update(categoryId, fields);
+  const renamed = fields.name && fields.name !== existing.name ? renameEverywhere(existing.name, fields.name) : [];
+  touchCatalog();
+  // Stream & webhook subscribers see each product's new category
+  renamed.forEach((product) => publish('product.updated', toProductView(product)));
+
+  res.status(200).json({
+    success: true,
+    message: 'Category updated successfully.',
+    data: buildViews().find((c) => c.id === categoryId),
+  });
+};
+
+/**
+ * deleteCategory — Removes an unused category (admin only).
+ *
+ * HTTP:  DELETE /categories/:id
+ *
+ * Refused with 409 CATEGORY_IN_USE while products, sub-categories or
+ * coupons still refer to it — move or delete those first.
+ */
+const deleteCategory = (req, res) => {
+  const categoryId = req.params.id;
+  const category = categories.findById(categoryId);
+  if (!category) throw categoryNotFound(categoryId);
+
+  const usage = {
+    products:      products().find((p) => p.category === category.name).length,
+    subcategories: categories.find((c) => c.parentId === categoryId).length,
+    coupons:       coupons().find((c) => c.category === category.name).length,
+  };
+  const uses = Object.entries(usage).filter(([, n]) => n > 0).map(([what, n]) => `${what}: ${n}`);
+  if (uses.length) {
+    throw new ConflictError('CATEGORY_IN_USE',
+      `Category "${category.name}" is still in use (${uses.join(', ')}).`, { usage });
+  }
+
+  categories.remove(categoryId);
+  touchCatalog();
+
+  res.status(200).json({
+    success: true,
+    message: 'Category deleted successfully.',
+    data: category,
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listCategories,
+  getCategoryById,
+  checkCategoryExists,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  findCategory,
+  categoryNamesWithin,
+  isInCategory,
+  unknownCategoryError,
+  resolveCategoryName,
+};
@@ -0,0 +1,321 @@
+// ============================================================================
+// controllers/couponController.js — Business Logic for Discount Codes
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The manager hands out **Vouchers**: "10% off", "$5 off your bill",
+//   "20% off desserts only", "valid until Friday", "one per guest"…
+//   When a guest presents a voucher, this chef reads the small print and
+//   either knocks the discount off the bill — saying which rule applied — or
+//   explains exactly why the voucher can't be used.
+//
+// 📐 COUPON SHAPE (stored in the "coupons" repository):
+//   { id, code, type: 'percentage' | 'fixed', value,
+//     category?, minSubtotal?, expiresAt?, maxUses?, perUserLimit?,
+//     active, usedCount, createdAt, updatedAt }
+//
+//   Each use is stored in "couponRedemptions" as { couponId, userId, orderId, at }
+//   so per-user limits can be enforced and cancelled orders can give uses back.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { roundMoney } = require('../utils/money');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { findCategory, isInCategory, unknownCategoryError } = require('./categoryController');
+
+// ---------- Model (Repositories) ----------
+const coupons     = getRepository('coupons');
+const redemptions = getRepository('couponRedemptions');
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+// ---------- Helpers ----------
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * findCouponByCode — Case-insensitive lookup by coupon code.
+ *
+ * @param {string} code
+ */
+const findCouponByCode = (code) => coupons.findOne((c) => c.code === normalizeCode(code));
+
+/**
+ * describeRule — Human-readable summary of what a coupon does.
+ */
+const describeRule = (coupon) => {
+  const amount = coupon.type === 'percentage' ? `${coupon.value}% off` : `${coupon.value.toFixed(2)} off`;
+  const scope  = coupon.category ? ` ${coupon.category} items` : ' your order';
+  const minimum = coupon.minSubtotal ? ` (minimum subtotal ${coupon.minSubtotal.toFixed(2)})` : '';
+  return `${amount}${scope}${minimum}`;
+};
+
+/**
+ * rejection — Builds the "coupon not applied" part of a pricing breakdown.
+ */
+const rejection = (code, reason, message) => ({ code, applied: false, reason, message });
+
+/**
+ * priceWithCoupon — Computes the pricing breakdown for a set of order lines.
+ *
+ * @param {{ category: string, lineTotal: number }[]} lines - Priced lines (cart view or order snapshot)
+ * @param {string|null} code     - Coupon code to apply (or null for none)
+ * @param {number}      userId   - The customer, for per-user limits
+ * @returns {{ subtotal: number, discount: number, total: number, coupon: object|null }}
+ *          `coupon.applied` tells whether the discount was granted; when it
+ *          wasn't, `coupon.reason` is a machine-readable code and
+ *          `coupon.message` explains why.
+ */
+const priceWithCoupon = (lines, code, userId) => {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const noDiscount = (coupon) => ({ subtotal, discount: 0, total: subtotal, coupon });
+
+  if (!code) return noDiscount(null);
+
+  const normalized = normalizeCode(code);
+  const coupon = findCouponByCode(normalized);
+
+  if (!coupon) {
+    return noDiscount(rejection(normalized, 'COUPON_NOT_FOUND', `Coupon "${normalized}" does not exist.`));
+  }
+  if (!coupon.active) {
+    return noDiscount(rejection(normalized, 'COUPON_INACTIVE', 'This coupon is no longer active.'));
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) {
+    return noDiscount(rejection(normalized, 'COUPON_EXPIRED', `This coupon expired on ${coupon.expiresAt}.`));
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    return noDiscount(rejection(normalized, 'COUPON_USAGE_LIMIT_REACHED',
+      'This coupon has reached its maximum number of uses.'));
+  }
+  if (coupon.perUserLimit) {
+    const usedByUser = redemptions.find((r) => r.couponId === coupon.id && r.userId === userId).length;
+    if (usedByUser >= coupon.perUserLimit) {
+      return noDiscount(rejection(normalized, 'COUPON_USER_LIMIT_REACHED',
+        `You have already used this coupon ${usedByUser} time(s) — the limit is ${coupon.perUserLimit}.`));
+    }
+  }
+  if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+    return noDiscount(rejection(normalized, 'COUPON_MIN_SUBTOTAL_NOT_MET',
+      `Spend at least ${coupon.minSubtotal.toFixed(2)} to use this coupon (subtotal is ${subtotal.toFixed(2)}).`));
+  }
+
+  const eligible = coupon.category ? lines.filter((line) => isInCategory(line.category, coupon.category)) : lines;
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (eligibleSubtotal === 0) {
+    return noDiscount(rejection(normalized, 'COUPON_NOT_APPLICABLE',
+      `This coupon only applies to ${coupon.category} items.`));
+  }
+
+  const discount = coupon.type === 'percentage'
+    ? roundMoney(eligibleSubtotal * (coupon.value / 100))
+    : Math.min(coupon.value, eligibleSubtotal);
+
+  return {
+    subtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    coupon: {
+      code: coupon.code,
+      applied: true,
+      rule: describeRule(coupon),
+      eligibleSubtotal,
+    },
+  };
+};
+
+/**
+ * redeemCoupon — Records one use of a coupon for an order.
+ *
+ * @param {string} code
+ * @param {{ userId: number, orderId: number }} context
+ */
+const redeemCoupon = (code, { userId, orderId }) => {
+  const coupon = findCouponByCode(code);
+  if (!coupon) return;
+
+  coupons.update(coupon.id, { usedCount: coupon.usedCount + 1 });
+  redemptions.insert({ couponId: coupon.id, userId, orderId, at: new Date().toISOString() });
+};
+
+/**
+ * releaseCoupon — Gives back the coupon use of a cancelled order.
+ *
+ * @param {number} orderId
+ */
+const releaseCoupon = (orderId) => {
+  const redemption = redemptions.findOne((r) => r.orderId === orderId);
+  if (!redemption) return;
+
+  const coupon = coupons.findById(redemption.couponId);
+  if (coupon) coupons.update(coupon.id, { usedCount: Math.max(0, coupon.usedCount - 1) });
+  redemptions.remove(redemption.id);
+};
+
+/**
+ * checkCouponRules — Rules that span several coupon fields (the per-field
+ * rules live in schemas/coupons.js).
+ *
+ * @param {object} data - A complete coupon (for PATCH: the stored coupon merged with the changes)
+ * @returns {object[]} Validation errors
+ */
+const checkCouponRules = (data) => {
+  const errors = [];
+  if (data.type === 'percentage' && data.value > 100) {
+    errors.push({
+      location: 'body',
+      field: 'value',
+      code: 'TOO_LARGE',
+      message: 'A percentage "value" cannot exceed 100.',
+    });
+  }
+  if (data.category && !findCategory(data.category)) errors.push(unknownCategoryError(data.category));
+  return errors;
+};
+
+/**
+ * pickCouponFields — Copies only the writable coupon fields from `data`.
+ * `null` clears an optional restriction (e.g. { "expiresAt": null }).
+ */
+const pickCouponFields = (data) => {
+  const fields = {};
+  ['type', 'value', 'category', 'minSubtotal', 'maxUses', 'perUserLimit', 'active'].forEach((key) => {
+    if (data[key] !== undefined) fields[key] = data[key];
+  });
+  if (data.code !== undefined) fields.code = normalizeCode(data.code);
+  if (data.category) fields.category = findCategory(data.category).name; // name or slug → name
+  if (data.expiresAt !== undefined) {
+    fields.expiresAt = data.expiresAt === null ? null : new Date(data.expiresAt).toISOString();
+  }
+  return fields;
+};
+
+const couponNotFound = (couponId) =>
+  new NotFoundError('COUPON_NOT_FOUND', `Coupon with ID ${couponId} not found.`);
+
+const codeTaken = (code) =>
+  new ConflictError('COUPON_CODE_TAKEN', `A coupon with code "${code}" already exists.`);
+
+// ---------- Controller Functions ----------
+
+/**
+ * listCoupons — All coupons (admin only).
+ *
+ * HTTP:  GET /coupons
+ */
+const listCoupons = (req, res) => {
+  const data = coupons.findAll().map((c) => ({ ...c, rule: describeRule(c) }));
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * getCouponById — One coupon with its redemptions (admin only).
+ *
+ * HTTP:  GET /coupons/:id
+ */
+const getCouponById = (req, res) => {
+  const couponId = req.params.id;
+  const coupon = coupons.findById(couponId);
+  if (!coupon) throw couponNotFound(couponId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...coupon,
+      rule: describeRule(coupon),
+      redemptions: redemptions.find((r) => r.couponId === couponId),
+    },
+  });
+};
+
+/**
+ * createCoupon — Adds a discount code (admin only).
+ *
+ * HTTP:  POST /coupons
+ * Body:  { "code": "AUDIO20", "type": "percentage", "value": 20, "category": "Audio",
+ *          "minSubtotal": 50, "expiresAt": "2026-12-31T23:59:59Z", "maxUses": 100, "perUserLimit": 1 }
+ */
+const createCoupon = (req, res) => {
+  const errors = checkCouponRules(req.body);
+  if (errors.length) throw new ValidationError(errors);
+
+  const fields = pickCouponFields(req.body);
+  if (findCouponByCode(fields.code)) throw codeTaken(fields.code);
+
+  const now = new Date().toISOString();
+  const coupon = coupons.insert({
+    active: true,
+    ...fields,
+    usedCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully.',
+    data: { ...coupon, rule: describeRule(coupon) },
+  });
+};
+
+/**
+ * updateCoupon — Changes some fields of a coupon (admin only).
+ *
+ * HTTP:  PATCH /coupons/:id
+ */
+const updateCoupon = (req, res) => {
+  const couponId = req.params.id;
+  const existing = coupons.findById(couponId);
+  if (!existing) throw couponNotFound(couponId);
+
+  // Validate the merged result so e.g. switching to "percentage" can't leave a value above 100
+  const errors = checkCouponRules({ ...existing, ...req.body });
+  if (errors.length) throw new ValidationError(errors);
+
+  const fields = pickCouponFields(req.body);
+  if (fields.code && fields.code !== existing.code && findCouponByCode(fields.code)) {
+    throw codeTaken(fields.code);
+  }
+
+  const coupon = coupons.update(couponId, { ...fields, updatedAt: new Date().toISOString() });
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully.',
+    data: { ...coupon, rule: describeRule(coupon) },
+  });
+};
+
+/**
+ * deleteCoupon — Removes a coupon (admin only).
+ *
+ * HTTP:  DELETE /coupons/:id
+ */
+const deleteCoupon = (req, res) => {
+  const couponId = req.params.id;
+  const removed = coupons.remove(couponId);
+  if (!removed) throw couponNotFound(couponId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully.',
+    data: removed,
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  priceWithCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  COUPON_TYPES,
+};
@@ -0,0 +1,198 @@
+// ============================================================================
+// controllers/currencyController.js — Currencies & Exchange Rates
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Bureau de Change Board** by the till.  The menu is priced in
+//   dollars; tourists may ask to see it in their own money.  The manager
+//   chalks up each day's rates — even tomorrow's, to switch over at
+//   midnight — and old rates stay on the board's back for the record.
+//
+// 📐 EXCHANGE RATE SHAPE (stored in the "exchangeRates" repository):
+//   { id, currency: 'EUR', rate: 0.92, effectiveFrom, note, createdBy, createdAt }
+//
+//   `rate` = units of `currency` per 1 unit of the base currency (USD).
+//   The rate in effect at a moment is the one with the latest
+//   `effectiveFrom` not in the future; rates are never edited, a new rate
+//   is added instead (and a mistaken one deleted).
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/money');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const { touchCatalog } = require('../utils/catalogVersion');
+
+// ---------- Seed Data (loaded into the repository on first run) ----------
+const SEED_DATE = '2026-01-01T00:00:00.000Z';
+const seedRates = [
+  { id: 1, currency: 'EUR', rate: 0.92,  effectiveFrom: SEED_DATE, note: 'Initial rate', createdBy: null, createdAt: SEED_DATE },
+  { id: 2, currency: 'GBP', rate: 0.79,  effectiveFrom: SEED_DATE, note: 'Initial rate', createdBy: null, createdAt: SEED_DATE },
+  { id: 3, currency: 'PKR', rate: 278.5, effectiveFrom: SEED_DATE, note: 'Initial rate', createdBy: null, createdAt: SEED_DATE },
+  { id: 4, currency: 'JPY', rate: 149.5, effectiveFrom: SEED_DATE, note: 'Initial rate', createdBy: null, createdAt: SEED_DATE },
+  { id: 5, currency: 'KWD', rate: 0.307, effectiveFrom: SEED_DATE, note: 'Initial rate', createdBy: null, createdAt: SEED_DATE },
+];
+
+// ---------- Model (Repository) ----------
+const rates = getRepository('exchangeRates', seedRates);
+
+// ---------- Helpers ----------
+
+/**
+ * effectiveRate — The rate record of `currency` in effect at `at`, or null.
+ *
+ * @param {string} currency - ISO code other than the base currency
+ * @param {Date}   [at=now]
+ */
+const effectiveRate = (currency, at = new Date()) => {
+  const candidates = rates.find((r) => r.currency === currency && Date.parse(r.effectiveFrom) <= at.getTime());
+  if (!candidates.length) return null;
+
+  // Latest effectiveFrom wins; of two with the same moment, the newer record
+  return candidates.reduce((best, r) =>
+    (r.effectiveFrom > best.effectiveFrom || (r.effectiveFrom === best.effectiveFrom && r.id > best.id) ? r : best));
+};
+
+/**
+ * conversionFor — How to show base-currency prices in `currency` right now.
+ *
+ * @param {string} currency - A key of CURRENCIES
+ * @returns {{ code: string, base: string, rate: number, rateId: number|null,
+ *             effectiveFrom: string|null, minorUnits: number } | null}
+ *          null when no rate for the currency is in effect yet
+ */
+const conversionFor = (currency) => {
+  const { minorUnits } = CURRENCIES[currency];
+  if (currency === BASE_CURRENCY) {
+    return { code: currency, base: BASE_CURRENCY, rate: 1, rateId: null, effectiveFrom: null, minorUnits };
+  }
+
+  const record = effectiveRate(currency);
+  if (!record) return null;
+  return {
+    code: currency,
+    base: BASE_CURRENCY,
+    rate: record.rate,
+    rateId: record.id,
+    effectiveFrom: record.effectiveFrom,
+    minorUnits,
+  };
+};
+
+/**
+ * rateStatus — "current", "scheduled" (future) or "superseded".
+ */
+const rateStatus = (rate, now = new Date()) => {
+  if (Date.parse(rate.effectiveFrom) > now.getTime()) return 'scheduled';
+  const current = effectiveRate(rate.currency, now);
+  return current && current.id === rate.id ? 'current' : 'superseded';
+};
+
+const rateNotFound = (rateId) =>
+  new NotFoundError('EXCHANGE_RATE_NOT_FOUND', `Exchange rate with ID ${rateId} not found.`);
+
+// ---------- Controller Functions ----------
+
+/**
+ * listCurrencies — Every supported currency with the rate in effect (public).
+ *
+ * HTTP:  GET /currencies
+ */
+const listCurrencies = (req, res) => {
+  const data = Object.entries(CURRENCIES).map(([code, { name, minorUnits }]) => {
+    const conversion = conversionFor(code);
+    return {
+      code,
+      name,
+      minorUnits,
+      base: code === BASE_CURRENCY,
+      available: Boolean(conversion),
+      rate: conversion ? conversion.rate : null,
+      effectiveFrom: conversion ? conversion.effectiveFrom : null,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    base: BASE_CURRENCY,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * listRates — The exchange-rate table, newest first (admin only).
+ *
+ * HTTP:  GET /currencies/rates?currency=EUR
+ */
+const listRates = (req, res) => {
+  const { currency } = req.query;
+  const now = new Date();
+  const data = rates.find((r) => !currency || r.currency === currency)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.id - a.id)
+    .map((r) => ({ ...r, status: rateStatus(r, now) }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * createRate — Adds an exchange rate, effective now or from a later moment (admin only).
+ *
+ * HTTP:  POST /currencies/rates   { "currency": "EUR", "rate": 0.93, "effectiveFrom": "2026-11-01T00:00:00Z" }
+ */
+const createRate = (req, res) => {
+  const { currency, rate, note = '' } = req.body;
+  const effectiveFrom = new Date(req.body.effectiveFrom || Date.now()).toISOString();
+
+  const clash = rates.findOne((r) => r.currency === currency && r.effectiveFrom === effectiveFrom);
+  if (clash) {
+    throw new ConflictError('EXCHANGE_RATE_EXISTS',
+      `A ${currency} rate effective from ${effectiveFrom} already exists (ID ${clash.id}) — delete it first.`);
+  }
+
+  const record = rates.insert({
+    currency,
+    rate,
+    effectiveFrom,
+    note,
+    createdBy: req.user.id,
+    createdAt: new Date().toISOString(),
+  });
+  touchCatalog(); // prices shown in this currency may have changed
+
+  res.status(201).json({
+    success: true,
+    message: `Exchange rate for ${currency} saved.`,
+    data: { ...record, status: rateStatus(record) },
+  });
+};
+
+/**
+ * deleteRate — Removes a mistaken exchange rate (admin only).
+ *
+ * HTTP:  DELETE /currencies/rates/:id
+ */
+const deleteRate = (req, res) => {
+  const rateId = req.params.id;
+  const removed = rates.remove(rateId);
+  if (!removed) throw rateNotFound(rateId);
+  touchCatalog();
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange rate deleted successfully.',
+    data: removed,
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listCurrencies,
+  listRates,
+  createRate,
+  deleteRate,
+  conversionFor,
+};
@@ -0,0 +1,44 @@
+// ============================================================================
+// controllers/docsController.js — Serves the API Documentation
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Host Stand with the Printed Menus**.  The menu (OpenAPI document)
+//   is printed from the kitchen itself (utils/openapi.js) the first time a
+//   guest asks for it, then handed out from the stack — the routes don't
+//   change while the restaurant is open.
+// ============================================================================
+
+const path = require('path');
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+const DOCS_PAGE = path.join(__dirname, '..', 'public', 'docs.html');
+
+// Built on first request, once every router is mounted
+let spec = null;
+
+// ---------- Controller Functions ----------
+
+/**
+ * getSpec — Returns the OpenAPI document for this app.
+ *
+ * HTTP:  GET /openapi.json
+ */
+const getSpec = (req, res) => {
+  if (!spec) spec = buildOpenApiSpec(req.app);
+  res.status(200).json(spec);
+};
+
+/**
+ * getDocsPage — Returns the interactive docs page (which loads /openapi.json).
+ *
+ * HTTP:  GET /docs
+ */
+const getDocsPage = (req, res) => {
+  res.status(200).sendFile(DOCS_PAGE);
+};
+
+module.exports = {
+  getSpec,
+  getDocsPage,
+};
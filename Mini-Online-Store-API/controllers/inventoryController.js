@@ -0,0 +1,191 @@
+// ============================================================================
+// controllers/inventoryController.js — Business Logic for Stock Levels
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   This chef runs the **Store Room**.  Before a kitchen ticket (order) is
+//   accepted, the store room checks that every ingredient is on the shelf
+//   and sets it aside in one go — either the whole ticket is covered or
+//   nothing is taken.  Cancelled tickets put their ingredients back, and
+//   deliveries / breakages are written up with a reason.  Every change is
+//   noted in the **Store Room Log** (inventory movement history).
+//
+// 📐 ATOMICITY:
+//   Node.js runs our JavaScript on a single thread, and none of the
+//   functions below `await` anything.  Checking every line and then
+//   decrementing every line therefore happens without any other request
+//   running in between — no two checkouts can sell the same last unit.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const {
+  findProductById, getStock, setProductStock, toProductView, productNotFound,
+} = require('./productController');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+// ---------- Model (Repository) ----------
+// { id, productId, delta, stockAfter, type, reason, orderId?, userId, at }
+const movements = getRepository('inventoryMovements');
+
+// ---------- Helpers ----------
+
+/**
+ * recordMovement — Changes a product's stock and logs the movement.
+ */
+const recordMovement = ({ productId, delta, type, reason, orderId, userId }) => {
+  const stockAfter = getStock(findProductById(productId)) + delta;
+  setProductStock(productId, stockAfter);
+
+  return movements.insert({
+    productId,
+    delta,
+    stockAfter,
+    type,
+    reason,
+    ...(orderId !== undefined ? { orderId } : {}),
+    userId,
+    at: new Date().toISOString(),
+  });
+};
+
+/**
+ * recordOpeningStock — Logs the units a product was created with, so its
+ * movement history adds up to its stock.  The stock itself is already set.
+ *
+ * @param {{ id: number, stock?: number }} product - Just created
+ * @param {number} userId - Admin who created it
+ * @returns {object|null} The movement, or null for a product created empty
+ */
+const recordOpeningStock = (product, userId) => {
+  const stock = getStock(product);
+  if (stock <= 0) return null;
+
+  return movements.insert({
+    productId: product.id,
+    delta: stock,
+    stockAfter: stock,
+    type: 'adjustment',
+    reason: 'Opening stock',
+    userId,
+    at: new Date().toISOString(),
+  });
+};
+
+/**
+ * findShortages — Lists order lines that can't be covered by current stock.
+ *
+ * @param {{ productId: number, quantity: number }[]} items
+ * @returns {{ productId: number, name: string, requested: number, available: number }[]}
+ */
+const findShortages = (items) =>
+  items
+    .map(({ productId, quantity }) => {
+      const product = findProductById(productId);
+      const available = product ? getStock(product) : 0;
+      return { productId, name: product ? product.name : undefined, requested: quantity, available };
+    })
+    .filter(({ requested, available }) => requested > available);
+
+/**
+ * reserveStock — Takes stock for every line of an order, all or nothing.
+ *
+ * @param {{ productId: number, quantity: number }[]} items - De-duplicated order lines
+ * @param {{ orderId: number, userId: number }} context
+ * @returns {object[]} The shortages; empty when the stock was reserved
+ */
+const reserveStock = (items, { orderId, userId }) => {
+  const shortages = findShortages(items);
+  if (shortages.length) return shortages;
+
+  items.forEach(({ productId, quantity }) => {
+    recordMovement({
+      productId, delta: -quantity, type: 'order', reason: `Order #${orderId} placed`, orderId, userId,
+    });
+  });
+  return [];
+};
+
+/**
+ * releaseStock — Puts the stock of a cancelled order back on the shelf.
+ * Lines whose product has since been deleted are skipped.
+ *
+ * @param {{ productId: number, quantity: number }[]} items
+ * @param {{ orderId: number, userId: number }} context
+ */
+const releaseStock = (items, { orderId, userId }) => {
+  items
+    .filter(({ productId }) => findProductById(productId))
+    .forEach(({ productId, quantity }) => {
+      recordMovement({
+        productId, delta: quantity, type: 'cancellation', reason: `Order #${orderId} cancelled`, orderId, userId,
+      });
+    });
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * adjustStock — Manually adds or removes units (delivery, breakage, recount…).
+ *
+ * HTTP:  POST /products/:id/stock   { "delta": -2, "reason": "Damaged in transit" }
+ *        (admin only)
+ */
+const adjustStock = (req, res) => {
+  const productId = req.params.id;
+  const product = findProductById(productId);
+  if (!product) throw productNotFound(productId);
+
+  // Types were checked by validate(schemas.adjustStock); a zero change is meaningless
+  const { delta, reason } = req.body;
+  if (delta === 0) {
+    throw new ValidationError([
+      { location: 'body', field: 'delta', code: 'INVALID_VALUE', message: '"delta" must not be 0.' },
+    ]);
+  }
+
+  if (getStock(product) + delta < 0) {
+    throw new ConflictError('INSUFFICIENT_STOCK', `Cannot remove ${-delta} units — only ${getStock(product)} in stock.`, {
+      shortItems: [{ productId, name: product.name, requested: -delta, available: getStock(product) }],
+    });
+  }
+
+  const movement = recordMovement({
+    productId, delta, type: 'adjustment', reason, userId: req.user.id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock adjusted successfully.',
+    data: {
+      product: toProductView(findProductById(productId)),
+      movement,
+    },
+  });
+};
+
+/**
+ * getMovements — Stock movement history of a product (newest first).
+ *
+ * HTTP:  GET /products/:id/stock/movements   (admin only)
+ */
+const getMovements = (req, res) => {
+  const productId = req.params.id;
+  if (!findProductById(productId)) throw productNotFound(productId);
+
+  const data = movements.find((m) => m.productId === productId).sort((a, b) => b.id - a.id);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  adjustStock,
+  getMovements,
+  reserveStock,
+  releaseStock,
+  recordOpeningStock,
+};
@@ -0,0 +1,296 @@
+// ============================================================================
+// controllers/orderController.js — Business Logic for Orders & Checkout
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   When the guest is ready, the order pad (cart) is torn off and turned
+//   into a **Kitchen Ticket** (order).  The ticket copies each dish's name
+//   and price AT THAT MOMENT — if the menu changes later, the ticket (and
+//   the bill) stays the same.  The ticket then travels through the kitchen:
+//
+//       pending ──► paid ──► shipped ──► delivered
+//          │          │
+//          └──────────┴──► cancelled
+//
+//   A ticket can never jump backwards or skip a station; such requests are
+//   rejected with 409 Conflict.
+//
+//   Placing an order takes its items out of the store room (stock) and uses
+//   up one redemption of its voucher (coupon); a cancellation gives both
+//   back — see inventoryController.js and couponController.js.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { findProductById } = require('./productController');
+const { getCartView, clearCart } = require('./cartController');
+const { reserveStock, releaseStock } = require('./inventoryController');
+const { priceWithCoupon, redeemCoupon, releaseCoupon } = require('./couponController');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const { roundMoney } = require('../utils/money');
+const { publish } = require('../utils/events');
+const {
+  BadRequestError, ValidationError, ForbiddenError, NotFoundError, ConflictError,
+} = require('../utils/errors');
+
+// ---------- Model (Repository) ----------
+const orders = getRepository('orders');
+
+// ---------- Order Lifecycle ----------
+
+// status → statuses it may move to next
+const ORDER_TRANSITIONS = {
+  pending:   ['paid', 'cancelled'],
+  paid:      ['shipped', 'cancelled'],
+  shipped:   ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// ---------- Helpers ----------
+
+/**
+ * orderNotFound — 404 error for an unknown (or someone else's) order.
+ */
+const orderNotFound = (orderId) =>
+  new NotFoundError('ORDER_NOT_FOUND', `Order with ID ${orderId} not found.`);
+
+/**
+ * canReadAllOrders — Admin-style access to every customer's orders.
+ */
+const canReadAllOrders = (user) => hasPermission(user.role, PERMISSIONS.ORDERS_READ_ANY);
+
+/**
+ * findVisibleOrder — Returns the order if the user may see it, else undefined.
+ * Other customers' orders are reported as "not found" so IDs don't leak.
+ */
+const findVisibleOrder = (user, orderId) => {
+  const order = orders.findById(orderId);
+  if (!order) return undefined;
+  return canReadAllOrders(user) || order.userId === user.id ? order : undefined;
+};
+
+/**
+ * findUnknownProducts — Flags explicit checkout lines whose product doesn't
+ * exist.  The shape of the list was already checked by validate(schemas.checkout).
+ *
+ * @param {{ productId: number, quantity: number }[]} items
+ * @returns {object[]} Validation errors (empty when every product exists)
+ */
+const findUnknownProducts = (items) =>
+  items
+    .map(({ productId }, i) => ({ productId, i }))
+    .filter(({ productId }) => !findProductById(productId))
+    .map(({ productId, i }) => ({
+      location: 'body',
+      field: `items[${i}].productId`,
+      code: 'PRODUCT_NOT_FOUND',
+      message: `Product with ID ${productId} does not exist.`,
+    }));
+
+/**
+ * snapshotItems — Copies the current name & price of each product into the
+ * order lines, merging duplicate product IDs.
+ *
+ * @param {{ productId: number, quantity: number }[]} items
+ */
+const snapshotItems = (items) => {
+  const quantities = new Map();
+  items.forEach(({ productId, quantity }) => {
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  });
+
+  return [...quantities].map(([productId, quantity]) => {
+    const product = findProductById(productId);
+    return {
+      productId,
+      name: product.name,
+      category: product.category,
+      unitPrice: product.price,
+      quantity,
+      lineTotal: roundMoney(product.price * quantity),
+    };
+  });
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * checkout — Creates a "pending" order from the cart or an explicit item list.
+ *
+ * HTTP:  POST /orders
+ * Body:  {}                                            → order the whole cart (and its coupon)
+ *        { "items": [{ "productId": 1, "quantity": 2 }] } → order these items
+ *        Either form accepts "couponCode" to apply (or, with null, drop) a coupon.
+ */
+const checkout = (req, res) => {
+  const fromCart = req.body.items === undefined;
+  let requested;
+  let couponCode = req.body.couponCode;
+
+  if (fromCart) {
+    const cart = getCartView(req.user.id);
+    if (cart.items.length === 0) {
+      throw new BadRequestError('CART_EMPTY',
+        'Your cart is empty — add items or send an explicit "items" list.');
+    }
+    const unavailable = cart.items.filter((item) => !item.available);
+    if (unavailable.length) {
+      throw new ValidationError(unavailable.map((item) => ({
+        location: 'cart',
+        field: 'items',
+        code: 'PRODUCT_UNAVAILABLE',
+        message: `Product with ID ${item.productId} is no longer available — remove it from your cart.`,
+      })));
+    }
+    requested = cart.items;
+    if (couponCode === undefined && cart.coupon) couponCode = cart.coupon.code;
+  } else {
+    const errors = findUnknownProducts(req.body.items);
+    if (errors.length) throw new ValidationError(errors);
+    requested = req.body.items;
+  }
+
+  const items = snapshotItems(requested);
+  const now = new Date().toISOString();
+
+  const pricing = priceWithCoupon(items, couponCode, req.user.id);
+  if (pricing.coupon && !pricing.coupon.applied) {
+    throw new BadRequestError('COUPON_REJECTED', pricing.coupon.message, {
+      reason: pricing.coupon.reason,
+    });
+  }
+
+  // Reserve stock for the ticket number the order is about to get.  Nothing
+  // below awaits, so no other checkout can run between the check and the
+  // insert (see inventoryController.js).
+  const shortages = reserveStock(items, { orderId: orders.nextId(), userId: req.user.id });
+  if (shortages.length) {
+    throw new ConflictError('INSUFFICIENT_STOCK', 'Not enough stock to fulfil this order.', {
+      shortItems: shortages,
+    });
+  }
+
+  const order = orders.insert({
+    userId: req.user.id,
+    status: 'pending',
+    items,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    total: pricing.total,
+    coupon: pricing.coupon ? { code: pricing.coupon.code, rule: pricing.coupon.rule } : null,
+    statusHistory: [{ status: 'pending', at: now, by: req.user.id }],
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  if (pricing.coupon) redeemCoupon(pricing.coupon.code, { userId: req.user.id, orderId: order.id });
+  if (fromCart) clearCart(req.user.id);
+  publish('order.created', order);
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully.',
+    data: order,
+  });
+};
+
+/**
+ * listOrders — Customers see their own orders; admins see everyone's.
+ *
+ * HTTP:  GET /orders?status=paid&userId=2   (userId filter: admins only)
+ */
+const listOrders = (req, res) => {
+  const { status } = req.query;
+
+  // Customers' userId filter is ignored — they only ever see their own orders
+  const userId = canReadAllOrders(req.user) ? req.query.userId : req.user.id;
+
+  const data = orders
+    .find((o) => (userId === undefined || o.userId === userId) && (!status || o.status === status))
+    .sort((a, b) => b.id - a.id); // newest first
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * getOrderById — Returns one order (own order, or any order for admins).
+ *
+ * HTTP:  GET /orders/:id
+ */
+const getOrderById = (req, res) => {
+  const orderId = req.params.id;
+  const order = findVisibleOrder(req.user, orderId);
+  if (!order) throw orderNotFound(orderId);
+
+  res.status(200).json({
+    success: true,
+    data: order,
+  });
+};
+
+/**
+ * updateOrderStatus — Moves an order to its next lifecycle status.
+ *
+ * HTTP:  PATCH /orders/:id/status   { "status": "paid" }
+ *
+ * Admins ("orders:manage") may perform any valid transition.  Customers may
+ * only cancel their own orders while they are still "pending".
+ */
+const updateOrderStatus = (req, res) => {
+  const orderId = req.params.id;
+  const { status } = req.body;
+
+  const order = findVisibleOrder(req.user, orderId);
+  if (!order) throw orderNotFound(orderId);
+
+  const isManager = hasPermission(req.user.role, PERMISSIONS.ORDERS_MANAGE);
+  const isOwnPendingCancel =
+    order.userId === req.user.id && order.status === 'pending' && status === 'cancelled';
+
+  if (!isManager && !isOwnPendingCancel) {
+    throw new ForbiddenError(
+      `Forbidden – Missing permission "${PERMISSIONS.ORDERS_MANAGE}" (customers may only cancel their own pending orders).`,
+      PERMISSIONS.ORDERS_MANAGE
+    );
+  }
+
+  const allowed = ORDER_TRANSITIONS[order.status];
+  if (!allowed.includes(status)) {
+    throw new ConflictError('INVALID_STATUS_TRANSITION',
+      `Cannot move an order from "${order.status}" to "${status}".`, { allowedTransitions: allowed });
+  }
+
+  if (status === 'cancelled') {
+    releaseStock(order.items, { orderId, userId: req.user.id });
+    releaseCoupon(orderId);
+  }
+
+  const now = new Date().toISOString();
+  const updated = orders.update(orderId, {
+    status,
+    statusHistory: [...order.statusHistory, { status, at: now, by: req.user.id }],
+    updatedAt: now,
+  });
+  publish('order.status_changed', { ...updated, previousStatus: order.status });
+
+  res.status(200).json({
+    success: true,
+    message: `Order marked as ${status}.`,
+    data: updated,
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  checkout,
+  listOrders,
+  getOrderById,
+  updateOrderStatus,
+  ORDER_STATUSES,
+};
@@ -0,0 +1,328 @@
+// ============================================================================
+// controllers/productBulkController.js — Catalog Import & Export
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Menu Planner**.  The merchandisers plan the menu in a spreadsheet.
+//   The planner hands them the current menu as a sheet (export), and takes
+//   the edited sheet back (import).  First comes a read-through, line by
+//   line: "this dish is new, this one gets a new price, line 7 names a
+//   category we don't have" (dry run).  Only a sheet without mistakes goes
+//   on the menu — all of it at once, never half (commit).
+//
+// 📐 FILE FORMAT — the same columns both ways (prices in USD):
+//   id, sku, name, price, category, stock
+//
+//   CSV  → a header row naming the columns (any order, any subset), then
+//          one product per row.  An empty cell leaves the field as it is.
+//   JSON → an array of objects with those keys, or { "data": [ … ] } as
+//          exported.  `"sku": null` removes a SKU.
+//
+// 📐 MATCHING:
+//   A row with an `id` updates that product (it must exist).  Otherwise a
+//   row whose `sku` is already in the catalog updates that product, and any
+//   other row creates one (name, price and category required).  `stock` is
+//   only used for new products — after that, stock changes go through
+//   orders and POST /products/:id/stock so the movement history is complete.
+//
+// 📐 MODES (?mode=):
+//   dry-run (default) → a report of what each row would do; nothing stored
+//   commit            → every row is applied in one repository transaction,
+//                       or — if any row has a problem — nothing is
+//                       (400 VALIDATION_ERROR listing the rows)
+// ============================================================================
+
+const path = require('path');
+
+const { getRepository } = require('../repositories');
+const { checkFields } = require('../middleware/validate');
+const { importRow } = require('../schemas/products');
+const { parseCsv, readCell, toCsv } = require('../utils/csv');
+const { AppError, BadRequestError, ValidationError } = require('../utils/errors');
+const { touchCatalog } = require('../utils/catalogVersion');
+const { publish } = require('../utils/events');
+const config = require('../config');
+const {
+  findProductById, findProductBySku, normalizeSku, getStock, toProductView,
+} = require('./productController');
+const { findCategory, unknownCategoryError } = require('./categoryController');
+const { recordOpeningStock } = require('./inventoryController');
+
+// ---------- Model (Repository) ----------
+const products = getRepository('products');
+
+const COLUMNS = Object.keys(importRow);
+
+// Fields an import may change on an existing product
+const UPDATABLE = ['sku', 'name', 'price', 'category'];
+
+// ---------- Reading the File ----------
+
+const invalidFile = (message) => new BadRequestError('INVALID_IMPORT_FILE', `Bad Request – ${message}`);
+
+/**
+ * detectFormat — "csv" or "json": ?format=, else the file name, else its Content-Type.
+ */
+const detectFormat = (file, requested) => {
+  if (requested) return requested;
+
+  const ext = path.extname(file.filename).toLowerCase();
+  if (ext === '.csv' || /^text\/csv/i.test(file.contentType || '')) return 'csv';
+  if (ext === '.json' || /^application\/json/i.test(file.contentType || '')) return 'json';
+
+  throw new AppError(415, 'UNSUPPORTED_IMPORT_FORMAT',
+    `Unsupported Media Type – Can't tell whether "${file.filename}" is CSV or JSON. Name it .csv / .json or pass ?format=.`);
+};
+
+/**
+ * readCsvRows — Header + rows → [{ row, values }] (blank lines skipped).
+ */
+const readCsvRows = (text) => {
+  let lines;
+  try {
+    lines = parseCsv(text);
+  } catch (err) {
+    throw invalidFile(`${err.message}.`);
+  }
+  if (!lines.length) throw invalidFile('The file is empty — the first row must name the columns.');
+
+  const header = lines[0].map((name) => name.trim().toLowerCase());
+  const unknown = header.filter((name) => !COLUMNS.includes(name));
+  if (unknown.length) {
+    throw invalidFile(`Unknown column(s): ${unknown.map((name) => `"${name}"`).join(', ')}. Columns are: ${COLUMNS.join(', ')}.`);
+  }
+  const repeated = header.filter((name, i) => header.indexOf(name) !== i);
+  if (repeated.length) throw invalidFile(`Column "${repeated[0]}" appears more than once.`);
+
+  return lines
+    .map((cells, i) => ({ row: i + 1, cells }))
+    .slice(1)
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+    .map(({ row, cells }) => ({
+      row,
+      values: Object.fromEntries(header.map((name, i) => [name, readCell(cells[i] || '')])),
+      extraCells: Math.max(0, cells.length - header.length),
+    }));
+};
+
+/**
+ * readJsonRows — An array (or { data: [...] }) → [{ row, values }].
+ */
+const readJsonRows = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw invalidFile(`Not valid JSON (${err.message}).`);
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+  if (!Array.isArray(list)) throw invalidFile('A JSON import is an array of products, or { "data": [ … ] } as exported.');
+
+  return list.map((values, i) => ({ row: i + 1, values }));
+};
+
+// ---------- Planning ----------
+
+/**
+ * planRow — Checks one row and works out what it would do.
+ *
+ * @param {{ row: number, values: *, extraCells?: number }} entry
+ * @param {object} context - { fromText, claimedIds: Map, claimedSkus: Map } shared by all rows
+ * @returns {{ row, action, productId, sku, changes, warnings, errors }}
+ */
+const planRow = ({ row, values, extraCells }, { fromText, claimedIds, claimedSkus }) => {
+  const errors = [];
+  const warnings = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+  const result = () => ({ row, action: 'error', productId: null, sku: null, changes: {}, warnings, errors });
+
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    fail(null, 'INVALID_TYPE', 'Each product must be a JSON object.');
+    return result();
+  }
+  if (extraCells) fail(null, 'TOO_MANY_CELLS', `The row has ${extraCells} cell(s) more than the header.`);
+
+  const checked = checkFields(values, importRow, { fromText });
+  checked.errors.forEach(({ field, code, message }) => fail(field, code, message));
+  if (errors.length) return result();
+
+  const data = checked.value;
+  if (data.sku) data.sku = normalizeSku(data.sku);
+
+  // Which product the row is about
+  let product;
+  if (data.id !== undefined) {
+    product = findProductById(data.id);
+    if (!product) fail('id', 'PRODUCT_NOT_FOUND', `Product with ID ${data.id} not found — leave "id" empty to create a product.`);
+  } else if (data.sku) {
+    product = findProductBySku(data.sku);
+  }
+
+  if (product) {
+    if (claimedIds.has(product.id)) {
+      fail(data.id !== undefined ? 'id' : 'sku', 'DUPLICATE_ROW', `Product ${product.id} is already changed by row ${claimedIds.get(product.id)}.`);
+    } else {
+      claimedIds.set(product.id, row);
+    }
+  }
+
+  if (data.sku) {
+    const owner = findProductBySku(data.sku);
+    if (owner && (!product || owner.id !== product.id)) {
+      fail('sku', 'SKU_TAKEN', `SKU "${data.sku}" is already used by product ${owner.id}.`);
+    } else if (claimedSkus.has(data.sku)) {
+      fail('sku', 'DUPLICATE_SKU', `SKU "${data.sku}" is already used by row ${claimedSkus.get(data.sku)}.`);
+    } else {
+      claimedSkus.set(data.sku, row);
+    }
+  }
+
+  if (data.category !== undefined) {
+    const category = findCategory(data.category);
+    if (category) {
+      data.category = category.name;
+    } else {
+      const { field, code, message } = unknownCategoryError(data.category);
+      fail(field, code, message);
+    }
+  }
+
+  if (!product && data.id === undefined) {
+    ['name', 'price', 'category'].filter((field) => data[field] === undefined).forEach((field) => {
+      fail(field, 'REQUIRED', `"${field}" is required for a new product.`);
+    });
+  }
+  if (errors.length) return result();
+
+  // New product: every field is a change from nothing
+  if (!product) {
+    const fields = { sku: data.sku || null, name: data.name, price: data.price, category: data.category, stock: data.stock || 0 };
+    const changes = Object.fromEntries(Object.entries(fields).map(([field, to]) => [field, { from: null, to }]));
+    return { row, action: 'create', productId: null, sku: fields.sku, changes, warnings, errors };
+  }
+
+  const changes = {};
+  UPDATABLE.forEach((field) => {
+    const from = field === 'sku' ? product.sku || null : product[field];
+    if (data[field] !== undefined && data[field] !== from) changes[field] = { from, to: data[field] };
+  });
+  if (data.stock !== undefined && data.stock !== getStock(product)) {
+    warnings.push(`"stock" ignored (${getStock(product)} → ${data.stock}): it is only set for new products — use POST /products/${product.id}/stock.`);
+  }
+
+  return {
+    row,
+    action: Object.keys(changes).length ? 'update' : 'unchanged',
+    productId: product.id,
+    sku: changes.sku ? changes.sku.to : product.sku || null,
+    changes,
+    warnings,
+    errors,
+  };
+};
+
+/**
+ * summarize — Row counts per action.
+ */
+const summarize = (plan) => plan.reduce(
+  (summary, { action }) => ({ ...summary, [action]: summary[action] + 1 }),
+  { rows: plan.length, create: 0, update: 0, unchanged: 0, error: 0 }
+);
+
+/**
+ * applyPlan — Writes every create / update in one transaction; events are
+ * published only once the whole import is stored.  New products with stock
+ * get an opening movement, as from POST /products.
+ */
+const applyPlan = (plan, userId) => {
+  const written = products.transaction((repo) => plan.map((entry) => {
+    const fields = Object.fromEntries(Object.entries(entry.changes).map(([field, { to }]) => [field, to]));
+    if (entry.action === 'create') {
+      const product = repo.insert(fields);
+      entry.productId = product.id;
+      return { type: 'product.created', product };
+    }
+    if (entry.action === 'update') return { type: 'product.updated', product: repo.update(entry.productId, fields) };
+    return null;
+  })).filter(Boolean);
+
+  written
+    .filter(({ type }) => type === 'product.created')
+    .forEach(({ product }) => recordOpeningStock(product, userId));
+  if (written.length) touchCatalog();
+  written.forEach(({ type, product }) => publish(type, toProductView(product)));
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * exportProducts — Downloads the catalog (admin only).
+ *
+ * HTTP:  GET /products/export?format=csv|json
+ */
+const exportProducts = (req, res) => {
+  const { format } = req.query;
+  const rows = products.findAll()
+    .sort((a, b) => a.id - b.id)
+    .map((product) => ({ ...product, sku: product.sku || null, stock: getStock(product) }));
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200).attachment(filename);
+  if (format === 'json') {
+    res.json({
+      exportedAt: new Date().toISOString(),
+      count: rows.length,
+      data: rows.map((row) => Object.fromEntries(COLUMNS.map((column) => [column, row[column]]))),
+    });
+  } else {
+    res.type('text/csv; charset=utf-8').send(toCsv([COLUMNS, ...rows.map((row) => COLUMNS.map((column) => row[column]))]));
+  }
+};
+
+/**
+ * importProducts — Checks an uploaded CSV / JSON file and — in commit
+ * mode — applies it (admin only).
+ *
+ * HTTP:  POST /products/import?mode=dry-run|commit   multipart/form-data: file=<products.csv>
+ */
+const importProducts = (req, res) => {
+  const { mode } = req.query;
+  const [file] = req.files;
+  const format = detectFormat(file, req.query.format);
+  const text = file.data.toString('utf8');
+
+  const entries = format === 'csv' ? readCsvRows(text) : readJsonRows(text);
+  if (!entries.length) throw invalidFile('The file contains no products.');
+  if (entries.length > config.catalogImport.maxRows) {
+    throw new AppError(413, 'TOO_MANY_ROWS',
+      `Payload Too Large – ${entries.length} products; an import may contain at most ${config.catalogImport.maxRows}.`);
+  }
+
+  const context = { fromText: format === 'csv', claimedIds: new Map(), claimedSkus: new Map() };
+  const plan = entries.map((entry) => planRow(entry, context));
+  const summary = summarize(plan);
+
+  if (mode === 'commit') {
+    if (summary.error) {
+      throw new ValidationError(plan.flatMap(({ row, errors }) =>
+        errors.map(({ field, code, message }) => ({ location: 'file', row, field, code, message: `Row ${row}: ${message}` }))));
+    }
+    applyPlan(plan, req.user.id);
+  }
+
+  const changed = summary.create + summary.update;
+  res.status(200).json({
+    success: true,
+    message: mode === 'commit'
+      ? `Import complete — ${summary.create} created, ${summary.update} updated.`
+      : `Dry run — ${changed} product(s) would change${summary.error ? `, ${summary.error} row(s) have problems` : ''}. Nothing was stored.`,
+    data: { mode, format, summary, rows: plan },
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  exportProducts,
+  importProducts,
+};
@@ -14,39 +14,450 @@
 //     • If the recipe (logic) changes, we update the chef — not the menu.
 //
 // 📐 MVC PATTERN:
-//   Model      → Data layer (here we use a dummy array; in production this
-//                 would be a database model via Mongoose, Sequelize, etc.)
+//   Model      → Data layer — the "products" repository (see repositories/),
+//                 backed by a JSON file or memory depending on config.
 //   View       → In an API the "view" is the JSON response sent to the client.
 //   Controller → This file — orchestrates data retrieval and response.
+//
+//   A product may carry a `sku` (stock keeping unit) — unique, stored in
+//   upper case — so spreadsheets can refer to it (see productBulkController).
+//
+//   Every write bumps the catalog version (utils/catalogVersion.js) that the
+//   ETags of the public product reads are derived from.
 // ============================================================================
 
-// ---------- Dummy Data (simulates a Model / Database) ----------
-const products = [
-  { id: 1, name: 'Wireless Mouse',       price: 25.99, category: 'Electronics' },
-  { id: 2, name: 'Mechanical Keyboard',  price: 79.99, category: 'Electronics' },
-  { id: 3, name: 'USB-C Hub',            price: 34.50, category: 'Accessories' },
-  { id: 4, name: 'Laptop Stand',         price: 45.00, category: 'Accessories' },
-  { id: 5, name: 'Noise-Cancelling Headphones', price: 199.99, category: 'Audio' },
+// ---------- Seed Data (loaded into the repository on first run) ----------
+const seedProducts = [
+  { id: 1, sku: 'EL-MOUSE-01', name: 'Wireless Mouse',       price: 25.99, category: 'Electronics', stock: 50 },
+  { id: 2, sku: 'EL-KEYB-01',  name: 'Mechanical Keyboard',  price: 79.99, category: 'Electronics', stock: 20 },
+  { id: 3, sku: 'AC-HUB-01',   name: 'USB-C Hub',            price: 34.50, category: 'Accessories', stock: 35 },
+  { id: 4, sku: 'AC-STAND-01', name: 'Laptop Stand',         price: 45.00, category: 'Accessories', stock: 4 },
+  { id: 5, sku: 'AU-HEAD-01',  name: 'Noise-Cancelling Headphones', price: 199.99, category: 'Audio', stock: 10 },
 ];
 
+// ---------- Model (Repository) ----------
+const { getRepository } = require('../repositories');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { parseSort, sortItems, paginate } = require('../utils/listQuery');
+const { BASE_CURRENCY, roundToMinorUnits } = require('../utils/money');
+const { touchCatalog } = require('../utils/catalogVersion');
+const { publish } = require('../utils/events');
+const { imageUrl, releaseImageFile } = require('../utils/imageStore');
+const { findCategory, categoryNamesWithin, unknownCategoryError, resolveCategoryName } = require('./categoryController');
+// Looked up on use: inventoryController requires this module.
+const recordOpeningStock = (product, userId) => require('./inventoryController').recordOpeningStock(product, userId);
+
+// The repository hands out IDs from a counter, so an ID is never reused
+// even after products have been deleted.
+const products = getRepository('products', seedProducts);
+
+// Reviews are written by reviewController; here we only read them to
+// compute each product's average rating.
+const reviews = getRepository('reviews');
+
+// Image records are written by productImageController; here we read them
+// for the product views and drop them with their product.
+const images = getRepository('productImages');
+
+// At or below this many units a product is reported as "low_stock"
+const LOW_STOCK_THRESHOLD = 5;
+
+// ---------- Helpers ----------
+
+/**
+ * findProductById — Returns the product with the given numeric ID, or undefined.
+ *
+ * @param {number} id
+ */
+const findProductById = (id) => products.findById(id);
+
+/**
+ * normalizeSku — SKUs are compared and stored in upper case.
+ */
+const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+
+/**
+ * findProductBySku — Case-insensitive lookup by SKU, or undefined.
+ *
+ * @param {string} sku
+ */
+const findProductBySku = (sku) => {
+  const wanted = normalizeSku(sku);
+  return products.findOne((p) => p.sku === wanted);
+};
+
+/**
+ * assertSkuAvailable — 409 SKU_TAKEN if another product already uses the SKU.
+ *
+ * @param {string|null|undefined} sku
+ * @param {number} [productId] - The product being changed (may keep its own SKU)
+ */
+const assertSkuAvailable = (sku, productId) => {
+  if (!sku) return;
+  const owner = findProductBySku(sku);
+  if (owner && owner.id !== productId) {
+    throw new ConflictError('SKU_TAKEN', `SKU "${owner.sku}" is already used by product ${owner.id}.`, { productId: owner.id });
+  }
+};
+
+/**
+ * getStock — Units on hand (products saved before stock tracking count as 0).
+ *
+ * @param {{ stock?: number }} product
+ */
+const getStock = (product) => product.stock || 0;
+
+/**
+ * setProductStock — Overwrites a product's stock level.
+ *
+ * Only the inventory chef (inventoryController) should call this, so that
+ * every change is recorded in the movement history.
+ *
+ * @param {number} id
+ * @param {number} stock
+ */
+const setProductStock = (id, stock) => {
+  const product = products.update(id, { stock });
+  touchCatalog();
+  publish('product.stock_changed', toProductView(product));
+  return product;
+};
+
+/**
+ * getRatingSummaries — Average rating & review count per product ID,
+ * counting visible (non-hidden) reviews only.
+ *
+ * @returns {Map<number, { averageRating: number, reviewCount: number }>}
+ */
+const getRatingSummaries = () => {
+  const totals = new Map();
+  reviews.find((r) => !r.hidden).forEach(({ productId, rating }) => {
+    const entry = totals.get(productId) || { sum: 0, count: 0 };
+    totals.set(productId, { sum: entry.sum + rating, count: entry.count + 1 });
+  });
+
+  const summaries = new Map();
+  totals.forEach(({ sum, count }, productId) => {
+    summaries.set(productId, { averageRating: Math.round((sum / count) * 10) / 10, reviewCount: count });
+  });
+  return summaries;
+};
+
+/**
+ * toImageView — An image record as the API shows it.
+ */
+const toImageView = ({ id, file, alt, primary, contentType, size, createdAt }) => ({
+  id, url: imageUrl(file), alt, primary, contentType, size, createdAt,
+});
+
+/**
+ * getImagesByProduct — Image views per product ID, primary image first.
+ *
+ * @returns {Map<number, object[]>}
+ */
+const getImagesByProduct = () => {
+  const byProduct = new Map();
+  images.findAll()
+    .sort((a, b) => Number(b.primary) - Number(a.primary) || a.id - b.id)
+    .forEach((image) => {
+      byProduct.set(image.productId, [...(byProduct.get(image.productId) || []), toImageView(image)]);
+    });
+  return byProduct;
+};
+
+/**
+ * toProductView — Adds availability, rating and image information for API responses.
+ *
+ * @param {object} product
+ * @param {Map}    [ratings] - Result of getRatingSummaries(), when converting many products
+ * @param {Map}    [gallery] - Result of getImagesByProduct(), when converting many products
+ */
+const toProductView = (product, ratings = getRatingSummaries(), gallery = getImagesByProduct()) => {
+  const stock = getStock(product);
+  let availability = 'in_stock';
+  if (stock === 0) availability = 'out_of_stock';
+  else if (stock <= LOW_STOCK_THRESHOLD) availability = 'low_stock';
+
+  const { averageRating, reviewCount } = ratings.get(product.id) || { averageRating: null, reviewCount: 0 };
+  const productImages = gallery.get(product.id) || [];
+
+  return {
+    ...product, sku: product.sku || null, currency: BASE_CURRENCY, stock, inStock: stock > 0, availability, averageRating, reviewCount,
+    imageUrl: productImages.length ? productImages[0].url : null,
+    images: productImages,
+  };
+};
+
+/**
+ * inCurrency — A product view with its price converted (see middleware/currency.js).
+ *
+ * @param {object} view       - Result of toProductView()
+ * @param {object} conversion - req.currency: { code, rate, minorUnits, … }
+ */
+const inCurrency = (view, { code, rate, minorUnits }) => ({
+  ...view,
+  price: roundToMinorUnits(view.price * rate, minorUnits),
+  currency: code,
+});
+
+/**
+ * pickProductFields — Copies only the writable product fields from a
+ * validated body (see schemas/products.js).
+ *
+ * Stock is only set when a product is created; afterwards it changes
+ * through orders and POST /products/:id/stock so every change is recorded.
+ * The category may be given by name or slug and is stored by name
+ * (400 UNKNOWN_CATEGORY if there is no such category); `sku: null`
+ * removes the SKU.
+ */
+const pickProductFields = (data) => {
+  const fields = {};
+  if (data.sku !== undefined) fields.sku = data.sku === null ? null : normalizeSku(data.sku);
+  if (data.name !== undefined) fields.name = data.name;
+  if (data.price !== undefined) fields.price = data.price;
+  if (data.category !== undefined) fields.category = resolveCategoryName(data.category);
+  return fields;
+};
+
+/**
+ * productNotFound — 404 error for an unknown product ID (thrown by handlers,
+ * also used by the inventory and review controllers).
+ *
+ * @param {number} productId
+ */
+const productNotFound = (productId) =>
+  new NotFoundError('PRODUCT_NOT_FOUND', `Product with ID ${productId} not found.`);
+
+// ---------- Listing (filter / search / sort / paginate) ----------
+
+const SORTABLE_FIELDS = ['id', 'name', 'price', 'category', 'stock'];
+
+/**
+ * parseListQuery — Turns validated GET /products query parameters (see
+ * schemas/products.js) into listing options.  Only the rules that involve
+ * more than one field, or the list of sortable fields, are checked here.
+ *
+ * @param {object} query - req.query, already coerced by the validate middleware
+ * @returns {{ errors: object[], options: object }}
+ */
+const parseListQuery = (query) => {
+  const errors  = [];
+  const options = {
+    q:        query.q ? query.q.toLowerCase() : undefined,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    page:     query.page,
+    limit:    query.limit,
+  };
+
+  if (options.minPrice !== undefined && options.maxPrice !== undefined && options.minPrice > options.maxPrice) {
+    errors.push({
+      location: 'query',
+      field: 'minPrice',
+      code: 'INVALID_RANGE',
+      message: '"minPrice" must not be greater than "maxPrice".',
+    });
+  }
+
+  // A category matches its sub-categories too: "Electronics" includes "Audio"
+  if (query.category) {
+    const category = findCategory(query.category);
+    if (category) options.categories = categoryNamesWithin(category);
+    else errors.push(unknownCategoryError(query.category, { location: 'query' }));
+  }
+
+  // "price,-name"  →  [{ field: 'price', dir: 1 }, { field: 'name', dir: -1 }]
+  const sorting = parseSort(query.sort, SORTABLE_FIELDS);
+  options.sort = sorting.sort;
+  errors.push(...sorting.errors);
+
+  return { errors, options };
+};
+
+/**
+ * checkListQuery — Throws the 400 getAllProducts would answer for this
+ * query; lets the HTTP cache refuse a 304 to it (see routes/products.js).
+ */
+const checkListQuery = (req) => {
+  const { errors } = parseListQuery(req.query);
+  if (errors.length) throw new ValidationError(errors);
+};
+
+/**
+ * checkProductExists — Throws the 404 getProductById would answer.
+ */
+const checkProductExists = (req) => {
+  if (!findProductById(req.params.id)) throw productNotFound(req.params.id);
+};
+
+/**
+ * applyListQuery — Filters and sorts a product list (does not paginate).
+ */
+const applyListQuery = (items, { categories, q, minPrice, maxPrice, sort }) => {
+  const filtered = items.filter((p) =>
+    (!categories || categories.includes(p.category)) &&
+    (!q || p.name.toLowerCase().includes(q) || (p.sku && p.sku.toLowerCase() === q)) &&
+    (minPrice === undefined || p.price >= minPrice) &&
+    (maxPrice === undefined || p.price <= maxPrice)
+  );
+
+  return sortItems(filtered, sort);
+};
+
 // ---------- Controller Functions ----------
 
 /**
- * getAllProducts — Returns the full list of products.
+ * getAllProducts — Returns products, optionally filtered, sorted and paginated.
+ *
+ * HTTP:  GET /products?category=Audio&minPrice=10&maxPrice=100&q=mouse&sort=price,-name&page=1&limit=20
  *
- * HTTP:  GET /products
+ * Prices are converted to req.currency BEFORE filtering and sorting, so
+ * minPrice / maxPrice are in the currency the client reads.
  */
 const getAllProducts = (req, res) => {
-  // In a real app this would query the database.
-  // Here we simply return our in-memory array.
+  const { errors, options } = parseListQuery(req.query);
+  if (errors.length) throw new ValidationError(errors);
+
+  // With a real database this would be a query with WHERE / ORDER BY / LIMIT.
+  const ratings   = getRatingSummaries();
+  const gallery   = getImagesByProduct();
+  const views     = products.findAll().map((p) => inCurrency(toProductView(p, ratings, gallery), req.currency));
+  const matches   = applyListQuery(views, options);
+
+  res.status(200).json({ ...paginate(req, matches, options), currency: req.currency });
+};
+
+/**
+ * getProductById — Returns a single product.
+ *
+ * HTTP:  GET /products/:id
+ */
+const getProductById = (req, res) => {
+  const productId = req.params.id;
+  const product = findProductById(productId);
+
+  if (!product) throw productNotFound(productId);
+
+  res.status(200).json({
+    success: true,
+    currency: req.currency,
+    data: inCurrency(toProductView(product), req.currency),
+  });
+};
+
+/**
+ * createProduct — Adds a new product to the catalog.
+ *
+ * HTTP:  POST /products   (admin only)
+ */
+const createProduct = (req, res) => {
+  const fields = pickProductFields(req.body);
+  assertSkuAvailable(fields.sku);
+
+  const newProduct = products.insert({ ...fields, stock: req.body.stock });
+  recordOpeningStock(newProduct, req.user.id);
+  touchCatalog();
+  publish('product.created', toProductView(newProduct));
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully.',
+    data: toProductView(newProduct),
+  });
+};
+
+/**
+ * replaceProduct — Replaces every writable field of a product.
+ *
+ * HTTP:  PUT /products/:id   (admin only)
+ *
+ * A replacement without a `sku` removes the product's SKU — only PATCH
+ * keeps fields that are left out.
+ */
+const replaceProduct = (req, res) => {
+  const productId = req.params.id;
+  if (!findProductById(productId)) throw productNotFound(productId);
+
+  const fields = pickProductFields({ sku: null, ...req.body });
+  assertSkuAvailable(fields.sku, productId);
+
+  const product = products.update(productId, fields);
+  touchCatalog();
+  publish('product.updated', toProductView(product));
+
+  res.status(200).json({
+    success: true,
+    message: 'Product replaced successfully.',
+    data: toProductView(product),
+  });
+};
+
+/**
+ * updateProduct — Updates only the fields present in the body.
+ *
+ * HTTP:  PATCH /products/:id   (admin only)
+ */
+const updateProduct = (req, res) => {
+  const productId = req.params.id;
+  if (!findProductById(productId)) throw productNotFound(productId);
+
+  const fields = pickProductFields(req.body);
+  assertSkuAvailable(fields.sku, productId);
+
+  const product = products.update(productId, fields);
+  touchCatalog();
+  publish('product.updated', toProductView(product));
+
+  res.status(200).json({
+    success: true,
+    message: 'Product updated successfully.',
+    data: toProductView(product),
+  });
+};
+
+/**
+ * deleteProduct — Removes a product from the catalog.
+ *
+ * HTTP:  DELETE /products/:id   (admin only)
+ */
+const deleteProduct = (req, res) => {
+  const productId = req.params.id;
+  const removed = products.remove(productId);
+  if (!removed) throw productNotFound(productId);
+  const view = toProductView(removed);
+
+  // Its images go with it (files only once no other product uses them)
+  images.find((image) => image.productId === productId).forEach((image) => {
+    images.remove(image.id);
+    releaseImageFile(image.file);
+  });
+  touchCatalog();
+  publish('product.deleted', view);
+
   res.status(200).json({
     success: true,
-    count: products.length,
-    data: products,
+    message: 'Product deleted successfully.',
+    data: view,
   });
 };
 
 // Export all controller functions so routes can import them
 module.exports = {
   getAllProducts,
+  getProductById,
+  createProduct,
+  replaceProduct,
+  updateProduct,
+  deleteProduct,
+  checkListQuery,
+  checkProductExists,
+  findProductById,
+  findProductBySku,
+  normalizeSku,
+  getStock,
+  setProductStock,
+  toProductView,
+  toImageView,
+  inCurrency,
+  productNotFound,
 };
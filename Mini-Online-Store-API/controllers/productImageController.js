@@ -0,0 +1,217 @@
+// ============================================================================
+// controllers/productImageController.js — Product Images
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Menu Photographer**.  The manager hands in photos of a dish; the
+//   photographer checks each really is a photo (not a menu-shaped brick),
+//   files it in the album (utils/imageStore.js) and pins one as the cover
+//   shot shown on the menu card.
+//
+// 📐 IMAGE SHAPE (stored in the "productImages" repository):
+//   { id, productId, file, hash, contentType, size, alt, primary, createdBy, createdAt }
+//
+//   Every product with images has exactly one `primary` image — the first
+//   upload, until another is chosen.  Deleting the primary image promotes
+//   the oldest remaining one.  Product responses include `images` (primary
+//   first) and `imageUrl` (the primary image's URL, or null).
+// ============================================================================
+
+const config = require('../config');
+const { getRepository } = require('../repositories');
+const { findProductById, productNotFound, toProductView, toImageView } = require('./productController');
+const { AppError, ConflictError, NotFoundError } = require('../utils/errors');
+const { ACCEPTED_TYPES, detectImageType, hashImage, saveImage, releaseImageFile } = require('../utils/imageStore');
+const { touchCatalog } = require('../utils/catalogVersion');
+const { publish } = require('../utils/events');
+
+// ---------- Model (Repository) ----------
+const images = getRepository('productImages');
+
+// ---------- Helpers ----------
+
+const loadProduct = (productId) => {
+  const product = findProductById(productId);
+  if (!product) throw productNotFound(productId);
+  return product;
+};
+
+const imagesOf = (productId) =>
+  images.find((image) => image.productId === productId).sort((a, b) => a.id - b.id);
+
+const loadImage = (productId, imageId) => {
+  const image = images.findById(imageId);
+  if (!image || image.productId !== productId) {
+    throw new NotFoundError('IMAGE_NOT_FOUND', `Image with ID ${imageId} not found for product ${productId}.`);
+  }
+  return image;
+};
+
+/**
+ * makePrimary — Marks one image primary and every other image of the product not.
+ */
+const makePrimary = (productId, imageId) => {
+  imagesOf(productId).forEach((image) => {
+    if (image.primary !== (image.id === imageId)) images.update(image.id, { primary: image.id === imageId });
+  });
+};
+
+/**
+ * imagesChanged — Product images are part of the product views: new ETags,
+ * and a product.updated event for webhooks & live streams.
+ */
+const imagesChanged = (productId) => {
+  touchCatalog();
+  publish('product.updated', toProductView(findProductById(productId)));
+};
+
+/**
+ * checkUploads — Sniffs every uploaded file and checks it against the
+ * product's images, BEFORE anything is stored (all or nothing).
+ *
+ * @returns {{ file: object, type: { contentType, ext } }[]}
+ */
+const checkUploads = (productId, files) => {
+  const existing = imagesOf(productId);
+
+  if (existing.length + files.length > config.uploads.maxImagesPerProduct) {
+    throw new ConflictError('IMAGE_LIMIT_REACHED',
+      `A product can have at most ${config.uploads.maxImagesPerProduct} images (this one has ${existing.length}).`);
+  }
+
+  const seen = new Map(existing.map((image) => [image.hash, image.id]));
+  return files.map((file) => {
+    const type = detectImageType(file.data);
+    if (!type) {
+      throw new AppError(415, 'UNSUPPORTED_IMAGE_TYPE',
+        `Unsupported Media Type – "${file.filename}" is not an accepted image (${ACCEPTED_TYPES.join(', ')}).`,
+        { filename: file.filename, acceptedTypes: ACCEPTED_TYPES });
+    }
+
+    const hash = hashImage(file.data);
+    if (seen.has(hash)) {
+      throw new ConflictError('IMAGE_ALREADY_ATTACHED',
+        `"${file.filename}" is already an image of product ${productId}.`,
+        { filename: file.filename, imageId: seen.get(hash) || null });
+    }
+    seen.set(hash, null);
+    return { file, type };
+  });
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * listImages — A product's images, primary first.
+ *
+ * HTTP:  GET /products/:id/images
+ */
+const listImages = (req, res) => {
+  const productId = req.params.id;
+  loadProduct(productId);
+
+  const data = imagesOf(productId)
+    .sort((a, b) => Number(b.primary) - Number(a.primary) || a.id - b.id)
+    .map(toImageView);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * uploadImages — Stores one or more images of a product (admin only).
+ *
+ * HTTP:  POST /products/:id/images   multipart/form-data: images=<file>[, images=<file>…], alt, primary
+ *
+ * `alt` applies to every uploaded image; `primary=true` makes the first
+ * uploaded image the primary one.
+ */
+const uploadImages = (req, res) => {
+  const productId = req.params.id;
+  loadProduct(productId);
+
+  const checked = checkUploads(productId, req.files);
+  const hadImages = imagesOf(productId).length > 0;
+  const now = new Date().toISOString();
+
+  const created = checked.map(({ file, type }) => {
+    const { hash, file: stored } = saveImage(file.data, type.ext);
+    return images.insert({
+      productId,
+      file: stored,
+      hash,
+      contentType: type.contentType,
+      size: file.size,
+      alt: req.body.alt || '',
+      primary: false,
+      createdBy: req.user.id,
+      createdAt: now,
+    });
+  });
+
+  if (!hadImages || req.body.primary === 'true') makePrimary(productId, created[0].id);
+  imagesChanged(productId);
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} image(s) uploaded.`,
+    data: created.map((image) => toImageView(images.findById(image.id))),
+  });
+};
+
+/**
+ * updateImage — Changes an image's alt text or makes it the primary image (admin only).
+ *
+ * HTTP:  PATCH /products/:id/images/:imageId   { "alt": "…", "primary": true }
+ */
+const updateImage = (req, res) => {
+  const productId = req.params.id;
+  loadProduct(productId);
+  const image = loadImage(productId, req.params.imageId);
+
+  if (req.body.alt !== undefined) images.update(image.id, { alt: req.body.alt });
+  if (req.body.primary) makePrimary(productId, image.id);
+  imagesChanged(productId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image updated successfully.',
+    data: toImageView(images.findById(image.id)),
+  });
+};
+
+/**
+ * deleteImage — Removes an image; the file goes once no product uses it (admin only).
+ *
+ * HTTP:  DELETE /products/:id/images/:imageId
+ */
+const deleteImage = (req, res) => {
+  const productId = req.params.id;
+  loadProduct(productId);
+  const image = loadImage(productId, req.params.imageId);
+
+  images.remove(image.id);
+  releaseImageFile(image.file);
+
+  // The oldest remaining image takes over as primary
+  const remaining = imagesOf(productId);
+  if (image.primary && remaining.length) makePrimary(productId, remaining[0].id);
+  imagesChanged(productId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image deleted successfully.',
+    data: toImageView(image),
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listImages,
+  uploadImages,
+  updateImage,
+  deleteImage,
+};
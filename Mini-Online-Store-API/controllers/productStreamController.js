@@ -0,0 +1,136 @@
+// ============================================================================
+// controllers/productStreamController.js — Live Catalog Updates (SSE)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Specials Board Announcer**.  Guests who want to hear about changes
+//   leave their table's line open; whenever the kitchen bell rings for a
+//   dish (price, stock, new or removed dish), the announcer tells every open
+//   table at once.  A guest who stepped out says "the last thing I heard was
+//   #41" and hears everything since — or, if too much has happened, is told
+//   to read the whole menu again.
+//
+// 📐 PROTOCOL (Server-Sent Events — text/event-stream):
+//   retry: 3000                                ← reconnect delay for EventSource
+//
+//   id: lq0x3k-42                              ← one block per change
+//   event: product.updated                        (product.created / .updated /
+//   data: { …product view, priced in the          .deleted / .stock_changed)
+//           negotiated currency… }
+//
+//   event: reset                               ← sent on connect when the
+//   data: { "reason": "…" }                       missed changes can't be
+//                                                 replayed: reload the list
+//   id: lq0x3k-42
+//   event: ready                               ← after the replay — carries
+//   data: { "lastEventId": "lq0x3k-42" }          the current position
+//
+//   : heartbeat                                ← comment every 25 s, keeps
+//                                                 proxies from closing the line
+//
+//   Event IDs are "<server start>-<sequence>".  On reconnect EventSource
+//   sends the last one as the Last-Event-ID header (or pass ?lastEventId=);
+//   the changes since are replayed from the last config.stream.historySize
+//   changes kept in memory.  IDs from before a restart can't be resumed.
+// ============================================================================
+
+const config = require('../config');
+const { subscribe } = require('../utils/events');
+const { inCurrency } = require('./productController');
+
+const PRODUCT_EVENTS = ['product.created', 'product.updated', 'product.deleted', 'product.stock_changed'];
+
+// Identifies this server run, so IDs from an earlier run are never mistaken for ours
+const EPOCH = Date.now().toString(36);
+
+let lastSeq = 0;
+const history = [];          // recent changes, oldest first: { seq, id, type, data }
+const listeners = new Set(); // one per open stream
+
+// ---------- Helpers ----------
+
+const cursor = () => `${EPOCH}-${lastSeq}`;
+
+/**
+ * missedSince — The changes after `lastEventId`, or null when they can't
+ * be replayed (unknown ID, earlier server run, or older than the history).
+ *
+ * @param {string} lastEventId
+ * @returns {object[] | null}
+ */
+const missedSince = (lastEventId) => {
+  const [epoch, seqText] = String(lastEventId).split('-');
+  const seq = Number(seqText);
+  if (epoch !== EPOCH || !Number.isInteger(seq) || seq < 0 || seq > lastSeq) return null;
+
+  const oldest = history.length ? history[0].seq : lastSeq + 1;
+  if (seq + 1 < oldest) return null; // some of the missed changes were dropped
+
+  return history.filter((entry) => entry.seq > seq);
+};
+
+/**
+ * frame — One SSE message block.
+ */
+const frame = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Every product event → history + every open stream
+subscribe((event) => {
+  if (!PRODUCT_EVENTS.includes(event.type)) return;
+
+  lastSeq += 1;
+  const entry = { seq: lastSeq, id: cursor(), type: event.type, data: event.data };
+  history.push(entry);
+  if (history.length > config.stream.historySize) history.shift();
+
+  listeners.forEach((listener) => listener(entry));
+});
+
+// ---------- Controller Functions ----------
+
+/**
+ * streamProducts — Keeps the response open and pushes product changes.
+ *
+ * HTTP:  GET /products/stream?currency=EUR   (Accept: text/event-stream)
+ *
+ * Prices are converted with the exchange rate in effect when the stream
+ * opened (see middleware/currency.js).
+ */
+const streamProducts = (req, res) => {
+  const send = (entry) => res.write(frame({ id: entry.id, event: entry.type, data: inCurrency(entry.data, req.currency) }));
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // ask reverse proxies not to buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.stream.retryMs}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = missedSince(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(frame({ event: 'reset', data: { reason: 'Missed changes are no longer available — reload the product list.' } }));
+    }
+  }
+  res.write(frame({ id: cursor(), event: 'ready', data: { lastEventId: cursor(), currency: req.currency.code } }));
+
+  listeners.add(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.stream.heartbeatMs);
+
+  // Client went away (tab closed, network drop) → stop writing to it
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    listeners.delete(send);
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  streamProducts,
+};
@@ -0,0 +1,196 @@
+// ============================================================================
+// controllers/reviewController.js — Business Logic for Product Reviews
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Guest Book** next to each dish.  Any guest with a wristband can
+//   leave one entry per dish (1–5 stars and a comment), and later reword or
+//   tear out their own entry.  The manager can cover up (hide) entries that
+//   break the house rules — hidden entries stay in the book but no longer
+//   count towards the dish's average rating.
+//
+// 📐 REVIEW SHAPE (stored in the "reviews" repository):
+//   { id, productId, userId, rating, text, hidden, moderation?, createdAt, updatedAt }
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+const { findProductById, productNotFound } = require('./productController');
+const { findUserById } = require('./userController');
+const { hasPermission, PERMISSIONS } = require('../config/permissions');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { touchCatalog } = require('../utils/catalogVersion');
+
+// ---------- Model (Repository) ----------
+const reviews = getRepository('reviews');
+
+// ---------- Helpers ----------
+// (rating / text rules live in schemas/reviews.js and run before these handlers)
+
+/**
+ * toReviewView — Adds the author's display name.
+ */
+const toReviewView = (review) => {
+  const author = findUserById(review.userId);
+  return { ...review, author: author ? author.name : 'Deleted user' };
+};
+
+/**
+ * loadReview — Resolves :id (product) and :reviewId, throwing a 404 if either is unknown.
+ *
+ * @returns {object} The review
+ */
+const loadReview = (req) => {
+  const { id: productId, reviewId } = req.params;
+  if (!findProductById(productId)) {
+    throw productNotFound(productId);
+  }
+
+  const review = reviews.findById(reviewId);
+  if (!review || review.productId !== productId) {
+    throw new NotFoundError('REVIEW_NOT_FOUND', `Review with ID ${reviewId} not found for this product.`);
+  }
+  return review;
+};
+
+// ---------- Controller Functions ----------
+
+/**
+ * listReviews — Visible reviews of a product, newest first (public).
+ *
+ * HTTP:  GET /products/:id/reviews
+ */
+const listReviews = (req, res) => {
+  const productId = req.params.id;
+  if (!findProductById(productId)) throw productNotFound(productId);
+
+  const data = reviews
+    .find((r) => r.productId === productId && !r.hidden)
+    .sort((a, b) => b.id - a.id)
+    .map(toReviewView);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * createReview — Posts the current user's review of a product (one per user).
+ *
+ * HTTP:  POST /products/:id/reviews   { "rating": 5, "text": "Great!" }
+ */
+const createReview = (req, res) => {
+  const productId = req.params.id;
+  if (!findProductById(productId)) throw productNotFound(productId);
+
+  const existing = reviews.findOne((r) => r.productId === productId && r.userId === req.user.id);
+  if (existing) {
+    throw new ConflictError('REVIEW_EXISTS',
+      `You have already reviewed this product — edit review ${existing.id} instead.`);
+  }
+
+  const now = new Date().toISOString();
+  const review = reviews.insert({
+    productId,
+    userId: req.user.id,
+    rating: req.body.rating,
+    text: req.body.text,
+    hidden: false,
+    createdAt: now,
+    updatedAt: now,
+  });
+  touchCatalog(); // average rating changed
+
+  res.status(201).json({
+    success: true,
+    message: 'Review posted successfully.',
+    data: toReviewView(review),
+  });
+};
+
+/**
+ * updateReview — Edits the rating and/or text of the user's OWN review.
+ *
+ * HTTP:  PATCH /products/:id/reviews/:reviewId
+ */
+const updateReview = (req, res) => {
+  const review = loadReview(req);
+
+  if (review.userId !== req.user.id) {
+    throw new ForbiddenError('Forbidden – You can only edit your own reviews.', 'reviews:write:own');
+  }
+
+  const changes = { updatedAt: new Date().toISOString() };
+  if (req.body.rating !== undefined) changes.rating = req.body.rating;
+  if (req.body.text !== undefined) changes.text = req.body.text;
+
+  const updated = reviews.update(review.id, changes);
+  touchCatalog();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated successfully.',
+    data: toReviewView(updated),
+  });
+};
+
+/**
+ * deleteReview — Removes a review (its author, or a moderator).
+ *
+ * HTTP:  DELETE /products/:id/reviews/:reviewId
+ */
+const deleteReview = (req, res) => {
+  const review = loadReview(req);
+
+  const isModerator = hasPermission(req.user.role, PERMISSIONS.REVIEWS_MODERATE);
+  if (review.userId !== req.user.id && !isModerator) {
+    throw new ForbiddenError(
+      `Forbidden – Missing permission "${PERMISSIONS.REVIEWS_MODERATE}" (you may only delete your own reviews).`,
+      PERMISSIONS.REVIEWS_MODERATE
+    );
+  }
+
+  const removed = reviews.remove(review.id);
+  touchCatalog();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully.',
+    data: removed,
+  });
+};
+
+/**
+ * moderateReview — Hides or un-hides a review (moderators only).
+ *
+ * HTTP:  PATCH /products/:id/reviews/:reviewId/moderation   { "hidden": true, "reason": "Spam" }
+ */
+const moderateReview = (req, res) => {
+  const review = loadReview(req);
+
+  const { hidden, reason } = req.body;
+
+  const now = new Date().toISOString();
+  const updated = reviews.update(review.id, {
+    hidden,
+    moderation: { by: req.user.id, at: now, reason: reason || null },
+    updatedAt: now,
+  });
+  touchCatalog();
+
+  res.status(200).json({
+    success: true,
+    message: hidden ? 'Review hidden.' : 'Review restored.',
+    data: toReviewView(updated),
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+};
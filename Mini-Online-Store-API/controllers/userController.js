@@ -13,15 +13,206 @@
 //   resource, making the codebase easier to maintain, test, and scale.
 // ============================================================================
 
-// ---------- Dummy Data (simulates a Model / Database) ----------
-const users = [
-  { id: 1, name: 'Alice Johnson', email: 'alice@example.com', role: 'admin' },
-  { id: 2, name: 'Bob Smith',     email: 'bob@example.com',   role: 'customer' },
-  { id: 3, name: 'Charlie Lee',   email: 'charlie@example.com', role: 'customer' },
+// ---------- Seed Data (loaded into the repository on first run) ----------
+//   Every demo account's password is "demo-pass-123" (stored only as a
+//   salted scrypt hash — see utils/password.js).
+const seedUsers = [
+  {
+    id: 1, name: 'Alice Johnson', email: 'alice@example.com', role: 'admin',
+    passwordHash: 'scrypt$32768$8$1$aXkrTZnsdj77fLUDvlOpgQ==$gzNvoJRARY6LDQqwntI83PfY/WR+B9iKVKF75P8dWEnsV3kTLeRGcYORztKlHWwpk7FDrb/RxFdpCDhKFdIgXg==',
+  },
+  {
+    id: 2, name: 'Bob Smith', email: 'bob@example.com', role: 'customer',
+    passwordHash: 'scrypt$32768$8$1$EmS1MlSt2/30/wq5/HJ/aw==$iCbKv/X1dI3nOxiqpCf5Y9R4Ph3QVJ14ut6sZvtRBaNwAYWSHpctsQFQuEA5ZjiC3A3DGfs9ZeJftzUMHT22YQ==',
+  },
+  {
+    id: 3, name: 'Charlie Lee', email: 'charlie@example.com', role: 'customer',
+    passwordHash: 'scrypt$32768$8$1$8dL2DjHQLcOOnP1g406YVw==$Z7vlzEYTd7qLGKLXhSnkXLb4HMhwRQulDOvaBp4kqrnmPO0TtsAH6zfQ97C6ggAMPhEaK6hfe4K8PaRrx7irzQ==',
+  },
 ];
 
+// ---------- Model (Repository) ----------
+const { getRepository } = require('../repositories');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const {
+  ValidationError, ForbiddenError, NotFoundError, ConflictError,
+} = require('../utils/errors');
+const { parseSort, sortItems, paginate } = require('../utils/listQuery');
+const config = require('../config');
+const { hashPassword, checkPasswordStrength } = require('../utils/password');
+const { publish } = require('../utils/events');
+
+const users = getRepository('users', seedUsers);
+
+const SORTABLE_FIELDS = ['id', 'name', 'email', 'role'];
+
+// ---------- Data Helpers ----------
+//   Shared with other chefs (e.g. authController, auth middleware) so that
+//   nobody else reaches into the `users` repository directly.
+
+/**
+ * findUserById — Returns the user with the given numeric ID, or undefined.
+ *
+ * @param {number} id
+ */
+const findUserById = (id) => users.findById(id);
+
+/**
+ * findUserByEmail — Case-insensitive lookup by email address.
+ *
+ * @param {string} email
+ */
+const findUserByEmail = (email) =>
+  users.findOne((u) => u.email.toLowerCase() === String(email).toLowerCase());
+
+/**
+ * addUser — Stores a new user and returns it (the repository assigns the ID).
+ *
+ * Without a password the account can't log in until a password is set
+ * through the reset flow (POST /auth/forgot-password).
+ *
+ * @param {{ name: string, email: string, role?: string, password?: string }} data
+ */
+const addUser = ({ name, email, role, password }) => {
+  const user = users.insert({
+    name,
+    email,
+    role: role || 'customer', // default role
+    passwordHash: password ? hashPassword(password) : null,
+    tokenVersion: 0,
+  });
+  publish('user.created', toUserView(user));
+  return user;
+};
+
+/**
+ * ensureStrongPassword — Throws a 400 WEAK_PASSWORD listing every rule the
+ * password breaks (see utils/password.js).
+ *
+ * @param {string} password
+ * @param {{ name?: string, email?: string }} user - Used to reject personal passwords
+ * @param {string} [field='password'] - Body field name reported in the error
+ */
+const ensureStrongPassword = (password, { name, email }, field = 'password') => {
+  const problems = checkPasswordStrength(password, { minLength: config.auth.passwordMinLength, name, email });
+  if (problems.length) {
+    throw new ValidationError(problems.map((problem) => ({
+      location: 'body',
+      field,
+      code: 'WEAK_PASSWORD',
+      message: `"${field}" ${problem}.`,
+    })));
+  }
+};
+
+/**
+ * setPassword — Hashes and stores a new password.  Bumps the user's token
+ * version, so every token issued before stops working — even one from the
+ * same second (see middleware/auth.js).
+ *
+ * @param {number} userId
+ * @param {string} password - Already checked against the strength rules
+ */
+const setPassword = (userId, password) =>
+  users.update(userId, {
+    passwordHash: hashPassword(password),
+    tokenVersion: (findUserById(userId).tokenVersion || 0) + 1,
+  });
+
+/**
+ * toUserView — The user as sent to clients.
+ *
+ * Built from an allow-list, so fields added to stored users later (password
+ * hashes, reset tokens…) are never leaked by accident.  Every response that
+ * contains a user goes through this function.
+ *
+ * @param {object} user - Stored user
+ */
+const toUserView = ({ id, name, email, role }) => ({ id, name, email, role });
+
+/**
+ * emailTaken — 409 error for an email that already belongs to another account.
+ *
+ * @param {string} email
+ */
+const emailTaken = (email) =>
+  new ConflictError('EMAIL_TAKEN', `An account with email "${email}" already exists.`);
+
+/**
+ * userNotFound — 404 error for an unknown user ID.
+ *
+ * @param {number} userId
+ */
+const userNotFound = (userId) =>
+  new NotFoundError('USER_NOT_FOUND', `User with ID ${userId} not found.`);
+
+/**
+ * isLastAdmin — True if `user` is the only remaining admin.  Demoting or
+ * deleting them would leave nobody able to manage the store.
+ */
+const isLastAdmin = (user) =>
+  user.role === 'admin' && users.find((u) => u.role === 'admin').length === 1;
+
+/**
+ * applyChanges — Checks and stores an update of `userId` made by `actor`.
+ * Shared by PUT and PATCH; only the fields present in `changes` are written.
+ *
+ * @param {object} actor   - req.user
+ * @param {number} userId
+ * @param {{ name?: string, email?: string, role?: string }} changes
+ */
+const applyChanges = (actor, userId, changes) => {
+  const user = findUserById(userId);
+  if (!user) throw userNotFound(userId);
+
+  const fields = {};
+  ['name', 'email', 'role'].filter((key) => changes[key] !== undefined).forEach((key) => {
+    fields[key] = changes[key];
+  });
+
+  if (fields.role !== undefined && fields.role !== user.role) {
+    // Customers may edit their own name & email, never their role
+    if (!hasPermission(actor.role, PERMISSIONS.USERS_UPDATE_ANY)) {
+      throw new ForbiddenError('Forbidden – Only admins may change roles.', PERMISSIONS.USERS_UPDATE_ANY);
+    }
+    if (isLastAdmin(user)) {
+      throw new ConflictError('LAST_ADMIN', 'The last admin cannot be demoted.');
+    }
+  }
+
+  if (fields.email !== undefined) {
+    const owner = findUserByEmail(fields.email);
+    if (owner && owner.id !== userId) throw emailTaken(fields.email);
+  }
+
+  const updated = users.update(userId, fields);
+  publish('user.updated', toUserView(updated));
+  return updated;
+};
+
 // ---------- Controller Functions ----------
 
+/**
+ * listUsers — Returns users, optionally searched, filtered by role, sorted
+ * and paginated.
+ *
+ * HTTP:  GET /users?q=smith&role=customer&sort=name&page=1&limit=20
+ */
+const listUsers = (req, res) => {
+  const { q, role, page, limit } = req.query;
+  const { sort, errors } = parseSort(req.query.sort, SORTABLE_FIELDS);
+  if (errors.length) throw new ValidationError(errors);
+
+  // "q" searches name and email, case-insensitively
+  const needle  = q ? q.toLowerCase() : undefined;
+  const matches = users.find((u) =>
+    (!role || u.role === role) &&
+    (!needle || u.name.toLowerCase().includes(needle) || u.email.toLowerCase().includes(needle))
+  );
+
+  res.status(200).json(paginate(req, sortItems(matches, sort).map(toUserView), { page, limit }));
+};
+
 /**
  * getUserById — Fetches a single user by their ID (route parameter).
  *
@@ -31,24 +222,21 @@ const users = [
  * from the URL (e.g., /users/2  →  req.params.id === '2').
  */
 const getUserById = (req, res) => {
-  // req.params.id is always a string, so we convert it to a number
-  const userId = parseInt(req.params.id, 10);
+  // validate() has already coerced req.params.id to a number
+  const userId = req.params.id;
 
   // Search the dummy data for a matching user
-  const user = users.find((u) => u.id === userId);
-
-  if (user) {
-    res.status(200).json({
-      success: true,
-      data: user,
-    });
-  } else {
-    // User not found — return 404
-    res.status(404).json({
-      success: false,
-      message: `User with ID ${userId} not found.`,
-    });
+  const user = findUserById(userId);
+
+  if (!user) {
+    // User not found — the error handler turns this into a 404
+    throw userNotFound(userId);
   }
+
+  res.status(200).json({
+    success: true,
+    data: toUserView(user),
+  });
 };
 
 /**
@@ -61,37 +249,96 @@ const getUserById = (req, res) => {
  */
 const createUser = (req, res) => {
   // Destructure expected fields from the request body
-  const { name, email, role } = req.body;
-
-  // Basic validation
-  if (!name || !email) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation Error – "name" and "email" are required fields.',
-    });
-  }
+  // (already checked by validate(schemas.createUser) in routes/users.js)
+  const { name, email, role, password } = req.body;
 
-  // Build the new user object (simulate auto-increment ID)
-  const newUser = {
-    id: users.length + 1,
-    name,
-    email,
-    role: role || 'customer', // default role
-  };
+  // Emails identify accounts (login), so they must be unique
+  if (findUserByEmail(email)) throw emailTaken(email);
 
-  // Push into our in-memory array (in production: save to database)
-  users.push(newUser);
+  // Optional: without one, the user sets a password via "forgot password"
+  if (password !== undefined) ensureStrongPassword(password, { name, email });
+
+  // Build and store the new user object
+  const newUser = addUser({ name, email, role, password });
 
   // Respond with 201 Created
   res.status(201).json({
     success: true,
     message: 'User created successfully.',
-    data: newUser,
+    data: toUserView(newUser),
+  });
+};
+
+/**
+ * replaceUser — Replaces name and email (and, for admins, the role).
+ *
+ * HTTP:  PUT /users/:id
+ *
+ * An omitted role is kept — a customer replacing their own record must not
+ * have to (or be able to) restate it.
+ */
+const replaceUser = (req, res) => {
+  const user = applyChanges(req.user, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'User replaced successfully.',
+    data: toUserView(user),
+  });
+};
+
+/**
+ * updateUser — Updates only the fields present in the body.
+ *
+ * HTTP:  PATCH /users/:id
+ */
+const updateUser = (req, res) => {
+  const user = applyChanges(req.user, req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'User updated successfully.',
+    data: toUserView(user),
+  });
+};
+
+/**
+ * deleteUser — Removes a user account.  Their orders are kept as history.
+ *
+ * HTTP:  DELETE /users/:id
+ */
+const deleteUser = (req, res) => {
+  const userId = req.params.id;
+  const user = findUserById(userId);
+  if (!user) throw userNotFound(userId);
+
+  if (isLastAdmin(user)) {
+    throw new ConflictError('LAST_ADMIN', 'The last admin cannot be deleted.');
+  }
+
+  const removed = users.remove(userId);
+  publish('user.deleted', toUserView(removed));
+
+  res.status(200).json({
+    success: true,
+    message: 'User deleted successfully.',
+    data: toUserView(removed),
   });
 };
 
 // Export all controller functions so routes can import them
 module.exports = {
+  listUsers,
   getUserById,
   createUser,
+  replaceUser,
+  updateUser,
+  deleteUser,
+  findUserById,
+  findUserByEmail,
+  addUser,
+  setPassword,
+  ensureStrongPassword,
+  toUserView,
+  emailTaken,
 };
@@ -0,0 +1,296 @@
+// ============================================================================
+// controllers/webhookController.js — Webhook Subscriptions & Delivery Log
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Subscription Book** at the runner's desk.  The manager writes down
+//   which partner wants to hear about what ("tell the courier company about
+//   every new order") and where to deliver the notes.  The runner's
+//   delivery book shows every note sent, every knock on the door, and lets
+//   the manager send a note again.
+//
+// 📐 SUBSCRIPTION SHAPE (stored in the "webhooks" repository):
+//   { id, url, events: ['order.created', …] | ['*'], description, active,
+//     secret, createdBy, createdAt, updatedAt }
+//
+//   The secret signs every delivery (see utils/webhooks.js).  It is shown
+//   once — in the response that creates or changes it — and only a hint
+//   (its last 4 characters) afterwards.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const { getRepository } = require('../repositories');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { EVENT_TYPES } = require('../utils/events');
+const { enqueueDelivery, cancelDeliveries } = require('../utils/webhooks');
+const { paginate } = require('../utils/listQuery');
+
+// ---------- Model (Repository) ----------
+const webhooks   = getRepository('webhooks');
+const deliveries = getRepository('webhookDeliveries');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// ---------- Helpers ----------
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * toWebhookView — A subscription without its secret, plus delivery counts.
+ */
+const toWebhookView = ({ secret, ...webhook }) => {
+  const log = deliveries.find((d) => d.webhookId === webhook.id);
+  const counts = Object.fromEntries(DELIVERY_STATUSES.map((status) =>
+    [status, log.filter((d) => d.status === status).length]));
+
+  return { ...webhook, secretHint: `…${secret.slice(-4)}`, deliveries: counts };
+};
+
+/**
+ * toDeliverySummary — A log entry without its (possibly large) payload.
+ */
+const toDeliverySummary = ({ payload, ...delivery }) => delivery;
+
+const webhookNotFound = (webhookId) =>
+  new NotFoundError('WEBHOOK_NOT_FOUND', `Webhook with ID ${webhookId} not found.`);
+
+const loadWebhook = (webhookId) => {
+  const webhook = webhooks.findById(webhookId);
+  if (!webhook) throw webhookNotFound(webhookId);
+  return webhook;
+};
+
+const loadDelivery = (webhookId, deliveryId) => {
+  const delivery = deliveries.findById(deliveryId);
+  if (!delivery || delivery.webhookId !== webhookId) {
+    throw new NotFoundError('WEBHOOK_DELIVERY_NOT_FOUND',
+      `Delivery with ID ${deliveryId} not found for webhook ${webhookId}.`);
+  }
+  return delivery;
+};
+
+const ensureActive = (webhook) => {
+  if (!webhook.active) {
+    throw new ConflictError('WEBHOOK_INACTIVE', `Webhook ${webhook.id} is disabled — enable it first.`);
+  }
+};
+
+// "*" covers everything, so it makes the other entries redundant
+const normalizeEvents = (events) => (events.includes('*') ? ['*'] : [...new Set(events)]);
+
+// ---------- Controller Functions ----------
+
+/**
+ * listEventTypes — Every event a webhook can subscribe to.
+ *
+ * HTTP:  GET /webhooks/events
+ */
+const listEventTypes = (req, res) => {
+  const data = Object.entries(EVENT_TYPES).map(([type, description]) => ({ type, description }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * listWebhooks — All subscriptions.
+ *
+ * HTTP:  GET /webhooks
+ */
+const listWebhooks = (req, res) => {
+  const data = webhooks.findAll().map(toWebhookView);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+};
+
+/**
+ * getWebhookById — One subscription with its delivery counts.
+ *
+ * HTTP:  GET /webhooks/:id
+ */
+const getWebhookById = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: toWebhookView(loadWebhook(req.params.id)),
+  });
+};
+
+/**
+ * createWebhook — Subscribes a URL to store events.
+ *
+ * HTTP:  POST /webhooks   { "url": "https://example.com/hooks", "events": ["order.created"] }
+ *
+ * Without a `secret` one is generated; either way it is returned this once.
+ */
+const createWebhook = (req, res) => {
+  const { url, events, description = '', active = true } = req.body;
+  const secret = req.body.secret || generateSecret();
+  const now = new Date().toISOString();
+
+  const webhook = webhooks.insert({
+    url,
+    events: normalizeEvents(events),
+    description,
+    active,
+    secret,
+    createdBy: req.user.id,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created — store the secret now, it is not shown again.',
+    data: { ...toWebhookView(webhook), secret },
+  });
+};
+
+/**
+ * updateWebhook — Changes the URL, events, description, active flag or secret.
+ *
+ * HTTP:  PATCH /webhooks/:id
+ *
+ * Disabling a subscription stops its pending retries at their next attempt.
+ * Send `"secret": null` to have a new secret generated.
+ */
+const updateWebhook = (req, res) => {
+  const webhookId = req.params.id;
+  loadWebhook(webhookId);
+
+  const changes = { ...req.body, updatedAt: new Date().toISOString() };
+  if (changes.events) changes.events = normalizeEvents(changes.events);
+  if (changes.secret === null) changes.secret = generateSecret();
+
+  const webhook = webhooks.update(webhookId, changes);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook updated successfully.',
+    data: req.body.secret !== undefined ? { ...toWebhookView(webhook), secret: webhook.secret } : toWebhookView(webhook),
+  });
+};
+
+/**
+ * deleteWebhook — Removes a subscription, its pending retries and its log.
+ *
+ * HTTP:  DELETE /webhooks/:id
+ */
+const deleteWebhook = (req, res) => {
+  const webhookId = req.params.id;
+  const webhook = toWebhookView(loadWebhook(webhookId));
+
+  cancelDeliveries(webhookId);
+  deliveries.find((d) => d.webhookId === webhookId).forEach((d) => deliveries.remove(d.id));
+  webhooks.remove(webhookId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Webhook deleted successfully.',
+    data: webhook,
+  });
+};
+
+/**
+ * pingWebhook — Sends a "webhook.ping" event to this subscription only,
+ * to check the receiver and its signature verification.
+ *
+ * HTTP:  POST /webhooks/:id/ping
+ */
+const pingWebhook = (req, res) => {
+  const webhook = loadWebhook(req.params.id);
+  ensureActive(webhook);
+
+  const delivery = enqueueDelivery(webhook, {
+    id: `evt_${crypto.randomUUID()}`,
+    type: 'webhook.ping',
+    createdAt: new Date().toISOString(),
+    data: { webhookId: webhook.id, message: 'Ping from MiniStore — your endpoint is reachable.' },
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Ping queued — see the delivery log for the result.',
+    data: toDeliverySummary(delivery),
+  });
+};
+
+/**
+ * listDeliveries — A subscription's delivery log, newest first.
+ *
+ * HTTP:  GET /webhooks/:id/deliveries?status=failed&page=1&limit=20
+ */
+const listDeliveries = (req, res) => {
+  const webhookId = req.params.id;
+  loadWebhook(webhookId);
+
+  const { status, page, limit } = req.query;
+  const matches = deliveries
+    .find((d) => d.webhookId === webhookId && (!status || d.status === status))
+    .sort((a, b) => b.id - a.id)
+    .map(toDeliverySummary);
+
+  res.status(200).json(paginate(req, matches, { page, limit }));
+};
+
+/**
+ * getDelivery — One delivery with its payload and every attempt.
+ *
+ * HTTP:  GET /webhooks/:id/deliveries/:deliveryId
+ */
+const getDelivery = (req, res) => {
+  const webhookId = req.params.id;
+  loadWebhook(webhookId);
+
+  res.status(200).json({
+    success: true,
+    data: loadDelivery(webhookId, req.params.deliveryId),
+  });
+};
+
+/**
+ * redeliver — Sends a finished delivery's event again, as a new delivery
+ * (same event ID, so receivers can recognise a repeat).
+ *
+ * HTTP:  POST /webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+const redeliver = (req, res) => {
+  const webhook = loadWebhook(req.params.id);
+  const original = loadDelivery(webhook.id, req.params.deliveryId);
+
+  if (original.status === 'pending') {
+    throw new ConflictError('WEBHOOK_DELIVERY_PENDING',
+      `Delivery ${original.id} is still being attempted — wait for it to succeed or fail.`);
+  }
+  ensureActive(webhook);
+
+  const delivery = enqueueDelivery(webhook, original.payload, { redeliveryOf: original.id });
+
+  res.status(202).json({
+    success: true,
+    message: `Delivery ${original.id} queued again as delivery ${delivery.id}.`,
+    data: toDeliverySummary(delivery),
+  });
+};
+
+// Export all controller functions so routes can import them
+module.exports = {
+  listEventTypes,
+  listWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  DELIVERY_STATUSES,
+};
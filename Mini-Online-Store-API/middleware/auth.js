@@ -1,52 +1,95 @@
 // ============================================================================
-// middleware/auth.js — Simulated Authentication Middleware
+// middleware/auth.js — Bearer Token Authentication Middleware
 // ============================================================================
 //
 // 🍽️  RESTAURANT ANALOGY:
 //   This middleware is the **Bouncer / VIP Check** at the restaurant.
 //   While the greeter (logger) lets everyone through, the bouncer stands
-//   in front of the VIP lounge (/users routes) and checks whether the
-//   customer has a valid VIP pass (authorization token).
+//   in front of the VIP lounge (/users routes) and inspects each customer's
+//   VIP wristband (signed bearer token):
 //
-//   • If the token is present  → "Welcome in!" → next()
-//   • If the token is missing  → "Sorry, you can't enter." → 401 response
+//   • No wristband at all            → 401 AUTH_TOKEN_MISSING
+//   • Not presented as "Bearer …"    → 401 AUTH_SCHEME_INVALID
+//   • Torn / unreadable wristband    → 401 AUTH_TOKEN_MALFORMED
+//   • Forged seal (bad signature)    → 401 AUTH_TOKEN_INVALID
+//   • Wristband past its expiry time → 401 AUTH_TOKEN_EXPIRED
+//   • Guest no longer on the list    → 401 AUTH_USER_NOT_FOUND
+//   • Issued before a password change → 401 AUTH_TOKEN_REVOKED
+//   • Everything checks out          → req.user is set → next()
 //
 // 📐 SCALABLE ARCHITECTURE NOTE:
 //   This middleware is NOT applied globally.  It is mounted only on the
-//   /users router (Router-level middleware), keeping public routes like
-//   /products completely open. This selective application keeps security
-//   concerns modular and easy to manage.
+//   routes that need it, keeping public routes like /products completely
+//   open. This selective application keeps security concerns modular and
+//   easy to manage.
 // ============================================================================
 
+const config = require('../config');
+const { verify, TokenError } = require('../utils/token');
+const { findUserById } = require('../controllers/userController');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * reject — Hands a 401 (with a machine-readable code) to the error handler.
+ */
+const reject = (next, code, message) => {
+  console.log(`[AUTH] ❌ ${code} — access denied.`);
+  next(new UnauthorizedError(code, message));
+  // Notice: the request never reaches the route.  It stops at the bouncer.
+};
+
 /**
- * auth – Simulates token-based authentication.
+ * auth – Verifies the `Authorization: Bearer <token>` header.
  *
- * In a real-world app this would verify a JWT or session cookie.
- * Here we simply check for the existence of an `authorization` header.
+ * On success the authenticated user is attached to `req.user` so that
+ * controllers further down the chain know WHO is making the request.
  *
  * @param {import('express').Request}  req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 const auth = (req, res, next) => {
-  // Read the "authorization" header from the incoming request
-  const token = req.headers['authorization'];
-
-  // --- Simulate token validation ---
-  if (token) {
-    // Token exists — let the request proceed to the route handler
-    console.log('[AUTH] ✅ Token received — access granted.');
-    next();
-  } else {
-    // No token — block the request and send a 401 Unauthorized response
-    console.log('[AUTH] ❌ No token provided — access denied.');
-    res.status(401).json({
-      success: false,
-      message:
-        'Unauthorized – Please provide a valid token in the Authorization header.',
-    });
-    // Notice: we do NOT call next() here.  The request stops at the bouncer.
+  const header = req.headers['authorization'];
+
+  if (!header) {
+    return reject(next, 'AUTH_TOKEN_MISSING',
+      'Unauthorized – Please provide a token in the Authorization header.');
+  }
+
+  // Expect exactly:  Bearer <token>
+  const [scheme, token, ...rest] = header.trim().split(/\s+/);
+  if (!/^Bearer$/i.test(scheme) || !token || rest.length > 0) {
+    return reject(next, 'AUTH_SCHEME_INVALID',
+      'Unauthorized – Authorization header must use the format "Bearer <token>".');
   }
+
+  let payload;
+  try {
+    payload = verify(token, config.auth);
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return reject(next, err.code, `Unauthorized – ${err.message}`);
+    }
+    return next(err);
+  }
+
+  // The token is genuine — make sure its subject still exists
+  const user = findUserById(payload.sub);
+  if (!user) {
+    return reject(next, 'AUTH_USER_NOT_FOUND',
+      'Unauthorized – The account for this token no longer exists.');
+  }
+
+  // Changing or resetting the password bumps the user's token version and
+  // so signs out every older token (accounts stored before versions: 0)
+  if ((payload.ver || 0) !== (user.tokenVersion || 0)) {
+    return reject(next, 'AUTH_TOKEN_REVOKED',
+      'Unauthorized – The password has changed since this token was issued — please log in again.');
+  }
+
+  console.log(`[AUTH] ✅ Token verified — user #${user.id} (${user.role}).`);
+  req.user = user;
+  next();
 };
 
 module.exports = auth;
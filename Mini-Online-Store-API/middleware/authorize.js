@@ -0,0 +1,102 @@
+// ============================================================================
+// middleware/authorize.js — Role & Permission Checks
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The bouncer (auth) already checked the wristband and knows WHO you are.
+//   This is the **Floor Manager** standing behind the bouncer: they look up
+//   your role on the duty roster (config/permissions.js) and decide whether
+//   you may do what you're asking for.  If not → 403 Forbidden, naming the
+//   permission you were missing.
+//
+// 📐 ORDER MATTERS:
+//   These middleware read `req.user`, so they must run AFTER `auth`.
+//
+// 📐 SELF-DESCRIBING:
+//   Each returned middleware remembers what it checks (`.roles`,
+//   `.permission`, `.ownPermission`) so the API docs (utils/openapi.js) can
+//   list the requirement of every route without repeating it.
+// ============================================================================
+
+const { hasPermission } = require('../config/permissions');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * forbid — Hands a 403 naming the missing permission / role to the error handler.
+ */
+const forbid = (next, user, missing, message) => {
+  console.log(`[AUTHZ] ⛔ user #${user.id} (${user.role}) lacks "${missing}".`);
+  next(new ForbiddenError(message, missing));
+};
+
+/**
+ * requireRole — Allows the request only if `req.user.role` is one of `roles`.
+ *
+ * Usage:  router.delete('/:id', requireRole('admin'), controller.remove)
+ *
+ * @param {...string} roles
+ */
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (roles.includes(req.user.role)) return next();
+
+    const missing = `role:${roles.join('|')}`;
+    forbid(next, req.user, missing,
+      `Forbidden – This action requires the role "${roles.join('" or "')}".`);
+  };
+
+  middleware.roles = roles;
+  return middleware;
+};
+
+/**
+ * requirePermission — Allows the request only if the user's role grants
+ * `permission` (see config/permissions.js).
+ *
+ * @param {string} permission
+ */
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (hasPermission(req.user.role, permission)) return next();
+
+    forbid(next, req.user, permission,
+      `Forbidden – Missing permission "${permission}".`);
+  };
+
+  middleware.permission = permission;
+  return middleware;
+};
+
+/**
+ * requireOwnerOrPermission — For "/:id" routes on the user's own record.
+ *
+ * Passes when the user holds `anyPermission`, OR when they hold
+ * `ownPermission` AND the `:id` route parameter is their own ID.
+ *
+ * @param {string} anyPermission  - e.g. 'users:read:any'
+ * @param {string} ownPermission  - e.g. 'users:read:own'
+ * @param {string} [param='id']   - Route parameter holding the owner ID
+ */
+const requireOwnerOrPermission = (anyPermission, ownPermission, param = 'id') => {
+  const middleware = (req, res, next) => {
+    const { user } = req;
+
+    if (hasPermission(user.role, anyPermission)) return next();
+
+    const isOwner = parseInt(req.params[param], 10) === user.id;
+    if (isOwner && hasPermission(user.role, ownPermission)) return next();
+
+    forbid(next, user, anyPermission,
+      `Forbidden – Missing permission "${anyPermission}" (you may only access your own record).`);
+  };
+
+  middleware.permission = anyPermission;
+  middleware.ownPermission = ownPermission;
+  return middleware;
+};
+
+module.exports = {
+  requireRole,
+  requirePermission,
+  requireOwnerOrPermission,
+};
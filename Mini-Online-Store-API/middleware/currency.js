@@ -0,0 +1,71 @@
+// ============================================================================
+// middleware/currency.js — Which Currency to Show Prices In
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The waiter asking **"Which currency would you like the bill in?"**
+//   An explicit request ("in euros, please" — ?currency=EUR) is honoured or
+//   politely refused; a mere preference (Accept-Currency header, like
+//   Accept-Language) falls back to dollars when it can't be met.
+//
+// 📐 NEGOTIATION (sets req.currency — see currencyController.conversionFor):
+//   1. ?currency=EUR             → that currency, or 400 EXCHANGE_RATE_UNAVAILABLE
+//                                  when no rate is in effect yet
+//   2. Accept-Currency: EUR, GBP;q=0.5
+//                                → the most preferred currency that has a rate
+//   3. otherwise                 → the base currency (USD)
+//
+//   Responses get "Vary: Accept-Currency", so caches keep one copy per
+//   currency preference.
+// ============================================================================
+
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/money');
+const { conversionFor } = require('../controllers/currencyController');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * parseAcceptCurrency — "EUR, GBP;q=0.5, *;q=0" → ['EUR', 'GBP'] (by preference).
+ *
+ * @param {string} [header]
+ * @returns {string[]} Upper-case codes, most preferred first (q=0 dropped)
+ */
+const parseAcceptCurrency = (header) => {
+  if (!header) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [code, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { code: code.trim().toUpperCase(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ code, q }) => code && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ code }) => code);
+};
+
+/**
+ * negotiateCurrency — Resolves req.currency for routes that show prices.
+ * Runs after validate(), so ?currency= is already a supported code.
+ */
+const negotiateCurrency = (req, res, next) => {
+  res.vary('Accept-Currency');
+
+  if (req.query.currency) {
+    const conversion = conversionFor(req.query.currency);
+    if (!conversion) {
+      return next(new BadRequestError('EXCHANGE_RATE_UNAVAILABLE',
+        `No exchange rate for ${req.query.currency} is in effect yet.`));
+    }
+    req.currency = conversion;
+    return next();
+  }
+
+  const preferred = parseAcceptCurrency(req.get('Accept-Currency'))
+    .filter((code) => CURRENCIES[code])
+    .map(conversionFor)
+    .find(Boolean);
+
+  req.currency = preferred || conversionFor(BASE_CURRENCY);
+  next();
+};
+
+module.exports = negotiateCurrency;
@@ -0,0 +1,116 @@
+// ============================================================================
+// middleware/errorHandler.js — 404 Catch-All & Central Error Handler
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Front-of-House Manager**.  Whenever something goes wrong — a chef
+//   hands back a complaint slip (a thrown AppError), the translator can't
+//   read the order (malformed JSON), or a pan catches fire (a bug) — the
+//   manager is the ONE person who talks to the customer, always in the same
+//   polite format and always quoting the ticket number (request ID).
+//   Kitchen details (stack traces) are only shared with staff during
+//   development, never with customers in production.
+//
+// 📐 ERROR ENVELOPE (every failure):
+//   { success: false, code, message, ...details, requestId, stack? }
+//   (`stack` only for unexpected 500s, and only when NODE_ENV=development)
+//
+// ⚠️  Express recognises an error handler by its FOUR arguments
+//     (err, req, res, next), and it must be registered AFTER all routes.
+// ============================================================================
+
+const config = require('../config');
+const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+
+const showInternals = config.env === 'development';
+
+/**
+ * fromBodyParser — Maps errors raised by `express.json()` to AppErrors.
+ * Returns undefined for anything that didn't come from the body parser.
+ *
+ * @param {Error & { type?: string, status?: number }} err
+ */
+const fromBodyParser = (err) => {
+  switch (err.type) {
+    case 'entity.parse.failed':
+      return new BadRequestError('INVALID_JSON', 'Bad Request – The request body is not valid JSON.');
+    case 'entity.too.large':
+      return new AppError(413, 'PAYLOAD_TOO_LARGE', 'Payload Too Large – The request body exceeds the size limit.');
+    case 'encoding.unsupported':
+    case 'charset.unsupported':
+      return new AppError(415, 'UNSUPPORTED_ENCODING', `Unsupported Media Type – ${err.message}.`);
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * normalizeError — Turns anything that was thrown into an AppError.
+ * Unknown errors become a generic 500 so internals never leak.
+ *
+ * @param {*} err
+ * @returns {AppError}
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  const parserError = err && fromBodyParser(err);
+  if (parserError) return parserError;
+
+  // Other client errors raised by Express / its dependencies (e.g. bad URL encoding)
+  const status = err && (err.status || err.statusCode);
+  if (status >= 400 && status < 500 && err.expose) {
+    return new AppError(status, 'BAD_REQUEST', err.message);
+  }
+
+  return new AppError(500, 'INTERNAL_ERROR',
+    showInternals && err && err.message
+      ? `Internal Server Error – ${err.message}`
+      : 'Internal Server Error – Something went wrong on our side.');
+};
+
+/**
+ * notFound — 404 for any request that didn't match a route.
+ * Must be registered AFTER all routers.
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('ROUTE_NOT_FOUND', `🔍 Route not found: ${req.method} ${req.originalUrl}`, {
+    hint: 'Check the URL and HTTP method. Visit GET / for available endpoints.',
+  }));
+};
+
+/**
+ * errorHandler — Sends every error in the standard JSON envelope.
+ *
+ * @param {*} err
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const errorHandler = (err, req, res, next) => {
+  // A response is already on its way — let Express close the connection
+  if (res.headersSent) return next(err);
+
+  const error = normalizeError(err);
+
+  if (error.status >= 500) {
+    console.error(`[ERROR] 💥 ${req.method} ${req.originalUrl} (request ${req.id})`, err);
+  } else {
+    console.log(`[ERROR] ${error.status} ${error.code} — ${req.method} ${req.originalUrl}`);
+  }
+
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...error.details,
+    requestId: req.id,
+    // Unexpected errors only: a stack trace for a 404 would just be noise
+    ...(showInternals && error.status >= 500 && err && err.stack ? { stack: err.stack.split('\n') } : {}),
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,64 @@
+// ============================================================================
+// middleware/httpCache.js — Conditional GETs (ETag / Last-Modified / 304)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **"Menu Unchanged Since…" Sign**.  A regular asks "is this still the
+//   menu from edition 42?" — if nothing changed in the kitchen since, the
+//   waiter just nods (304 Not Modified) instead of reprinting the whole menu.
+//   Every change to a dish prints a new edition, so nobody keeps reading a
+//   stale one.
+//
+// 📐 HOW IT WORKS:
+//   httpCache(getValidators) runs after validation and BEFORE the controller:
+//     1. options.check(req), if given, throws the error the controller
+//        would answer (unknown ID, contradicting filters…) — a request
+//        that fails must never be answered 304
+//     2. getValidators(req) → { etag, lastModified }  (cheap — a version
+//        number, not the response body)
+//     3. Sets ETag, Last-Modified and Cache-Control on the response
+//     4. req.fresh (Express) compares them with If-None-Match /
+//        If-Modified-Since — if the client's copy is current, answers 304
+//        with no body and the controller never runs
+//
+//   If-None-Match wins over If-Modified-Since, and a request sent with
+//   "Cache-Control: no-cache" always gets the full response.
+//
+// 📐 CACHE-CONTROL:
+//   public, max-age=<maxAge>, must-revalidate
+//   With the default maxAge of 0, browsers & proxies may store the response
+//   but must ask again (a cheap conditional request) before every reuse —
+//   so a write is visible on the very next read.
+// ============================================================================
+
+/**
+ * httpCache — Middleware factory for conditional GET / HEAD requests.
+ *
+ * @param {(req: import('express').Request) => { etag: string, lastModified: Date }} getValidators
+ * @param {object} [options]
+ * @param {number} [options.maxAge=0] - Seconds a cached copy may be reused without asking
+ * @param {(req: import('express').Request) => void} [options.check] - Throws for a request the controller would reject
+ */
+const httpCache = (getValidators, { maxAge = 0, check } = {}) => {
+  const middleware = (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    if (check) check(req); // thrown errors reach the error handler
+
+    const { etag, lastModified } = getValidators(req);
+
+    res.set({
+      'Cache-Control': `public, max-age=${maxAge}, must-revalidate`,
+      ETag: etag,
+      'Last-Modified': lastModified.toUTCString(),
+    });
+
+    if (req.fresh) return res.status(304).end();
+    next();
+  };
+
+  // Read by utils/openapi.js to document the 304 response
+  middleware.httpCache = { maxAge };
+  return middleware;
+};
+
+module.exports = httpCache;
@@ -1,39 +1,179 @@
 // ============================================================================
-// middleware/logger.js — Global Request Logger
+// middleware/logger.js — Global Access Logger
 // ============================================================================
 //
 // 🍽️  RESTAURANT ANALOGY:
 //   Think of this middleware as the **Front-Door Greeter** of a restaurant.
 //   Every single customer (HTTP request) that walks in is greeted and their
-//   arrival time is noted in a log book — regardless of which table (route)
-//   they are headed to.  The greeter doesn't stop anyone; they simply record
-//   the visit and wave the customer through with `next()`.
+//   ticket number (request ID, see requestId.js) is noted — regardless of
+//   which table (route) they are headed to.  When the customer LEAVES, the
+//   greeter completes the entry in the log book: how it went (status code),
+//   how long it took, how much food went out, and who the guest was.  The
+//   greeter never writes down what's on a VIP wristband (the Authorization
+//   header is redacted).
 //
 // 📐 WHY A SEPARATE FILE?
 //   Keeping middleware in its own file follows the Scalable Application
 //   Architecture principle.  If we ever need to swap to a production-grade
 //   logging library (e.g., Morgan, Winston), we only touch THIS file —
 //   no changes needed in app.js or any route.
+//
+// 📐 ONE ENTRY PER REQUEST (written when the response finishes):
+//   { time, level, requestId, method, url, status, durationMs,
+//     requestBytes, responseBytes, userId, ip, userAgent, aborted?, headers? }
+//
+//   • level  → "error" for 5xx, "warn" for 4xx, "info" otherwise
+//   • config.logging.level hides less important entries; "debug" also
+//     records the (redacted) request headers
+//   • Console output is "pretty" or "json"; with LOG_FILE set, every entry is
+//     also appended to a JSON-lines file that rotates by size
 // ============================================================================
 
+const config = require('../config');
+const { createLogFile } = require('../utils/logFile');
+
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+// ---------- Helpers ----------
+
+/**
+ * redactHeaders — Copies `headers`, replacing sensitive values.
+ *
+ * @param {object}   headers - e.g. req.headers
+ * @param {string[]} names   - Lower-case header names to hide
+ */
+const redactHeaders = (headers, names) => {
+  const copy = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    copy[name] = names.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+  });
+  return copy;
+};
+
+/**
+ * levelFor — Severity of a finished request, from its status code.
+ */
+const levelFor = (status) => {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+};
+
+const toBytes = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? null : n;
+};
+
+/**
+ * formatPretty — One readable console line, e.g.
+ *   [LOG] 2026-01-01T12:00:00.000Z  ➜  GET /products 200 3.2ms 812B user#2 ::1 (req 9f1c…)
+ */
+const formatPretty = (entry) => {
+  const parts = [
+    `[LOG] ${entry.time}  ➜  ${entry.method} ${entry.url}`,
+    entry.aborted ? 'ABORTED' : entry.status,
+    `${entry.durationMs}ms`,
+  ];
+  if (entry.responseBytes !== null) parts.push(`${entry.responseBytes}B`);
+  parts.push(entry.userId ? `user#${entry.userId}` : 'anonymous');
+  parts.push(entry.ip, `(req ${entry.requestId})`);
+  return parts.join(' ');
+};
+
+// ---------- Factory ----------
+
 /**
- * logger – Logs the HTTP method, URL and timestamp of every incoming request.
+ * createLogger — Builds an access-log middleware.
  *
- * @param {import('express').Request}  req  - Express request object
- * @param {import('express').Response} res  - Express response object
- * @param {import('express').NextFunction} next - Passes control to the next middleware / route handler
+ * @param {object}   [options]                 - Defaults to config.logging
+ * @param {string}   [options.level]           - Minimum level to record
+ * @param {string}   [options.format]          - "pretty" | "json" (console)
+ * @param {string}   [options.file]            - JSON-lines file (optional)
+ * @param {number}   [options.maxSize]         - Rotation size in bytes
+ * @param {number}   [options.maxFiles]        - Rotated files to keep
+ * @param {string[]} [options.redactHeaders]   - Header names to redact
  */
-const logger = (req, res, next) => {
-  // Build a human-readable timestamp
-  const timestamp = new Date().toISOString();
+const createLogger = (options = config.logging) => {
+  const threshold = LEVELS[options.level] !== undefined ? LEVELS[options.level] : LEVELS.info;
+  const redacted  = options.redactHeaders || [];
+  const logFile   = options.file
+    ? createLogFile({ file: options.file, maxSize: options.maxSize, maxFiles: options.maxFiles })
+    : null;
+
+  const emit = (entry) => {
+    if (LEVELS[entry.level] > threshold) return;
+
+    const json = JSON.stringify(entry);
+    const line = options.format === 'json' ? json : formatPretty(entry);
+    if (entry.level === 'error') console.error(line);
+    else console.log(line);
 
-  // Log request details to the console
-  console.log(`[LOG] ${timestamp}  ➜  ${req.method} ${req.url}`);
+    if (logFile) {
+      try {
+        logFile.write(json);
+      } catch (err) {
+        // Never fail a request because the log book is unavailable
+        console.error(`[LOG] ⚠️  Could not write to ${logFile.file}: ${err.message}`);
+      }
+    }
+  };
 
-  // 🔑 CRITICAL: Always call next() so the request continues down the chain.
-  //    Without next(), the request would hang here forever — like a greeter
-  //    who never lets customers past the door!
-  next();
+  /**
+   * logger – Records one entry per request once the response is done.
+   *
+   * @param {import('express').Request}  req  - Express request object
+   * @param {import('express').Response} res  - Express response object
+   * @param {import('express').NextFunction} next - Passes control to the next middleware / route handler
+   */
+  const logger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const time      = new Date().toISOString();
+    // Routers rewrite req.url while matching, so keep the URL as received
+    const url       = req.originalUrl;
+    let logged      = false;
+
+    const done = () => {
+      if (logged) return;
+      logged = true;
+
+      const aborted = !res.writableFinished;
+      const status  = res.statusCode;
+      const entry = {
+        time,
+        level: aborted ? 'warn' : levelFor(status),
+        requestId: req.id,
+        method: req.method,
+        url,
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        requestBytes: toBytes(req.get('Content-Length')),
+        responseBytes: toBytes(res.getHeader('Content-Length')),
+        userId: req.user ? req.user.id : null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+      };
+      if (aborted) entry.aborted = true;
+      if (threshold >= LEVELS.debug) entry.headers = redactHeaders(req.headers, redacted);
+
+      emit(entry);
+    };
+
+    // "finish" → response fully handed to the OS; "close" alone → client hung up first
+    res.on('finish', done);
+    res.on('close', done);
+
+    // 🔑 CRITICAL: Always call next() so the request continues down the chain.
+    //    Without next(), the request would hang here forever — like a greeter
+    //    who never lets customers past the door!
+    next();
+  };
+
+  return logger;
 };
 
+// The app-wide logger, configured from config.logging (LOG_* environment variables)
+const logger = createLogger();
+
 module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.redactHeaders = redactHeaders;
@@ -0,0 +1,187 @@
+// ============================================================================
+// middleware/rateLimit.js — Request Budgets per Client
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Doorman with a Tally Sheet**.  Each guest may come through a given
+//   door only so many times per quarter hour — the public dining room
+//   (/products) is generous, the VIP lounge (/users) is stricter.  A guest
+//   who has used up their visits is politely asked to come back in N
+//   seconds (429 + Retry-After) instead of clogging the kitchen.
+//
+// 📐 WHO IS "THE CLIENT"?
+//   • A request with a VALID bearer token is counted per user ("user:2"), so
+//     a customer keeps one budget across networks and devices.
+//   • Anything else (no token, forged or expired token) is counted per IP
+//     ("ip:203.0.113.7").  Unverifiable tokens never choose the bucket.
+//
+// 📐 ALGORITHMS:
+//   fixed   → count requests in clock-aligned windows (12:00:00–12:00:59 …).
+//             Cheap, but allows a burst of 2× the budget around a boundary.
+//   sliding → "sliding window counter": the previous window's count is
+//             weighted by how much of it still overlaps the last `windowMs`:
+//               used = previous × (1 − elapsed / windowMs) + current
+//             Smooths out boundary bursts with the same two counters.
+//
+// 📐 HEADERS (draft IETF "RateLimit" fields):
+//   RateLimit-Limit: 120   RateLimit-Remaining: 87   RateLimit-Reset: 23
+//   RateLimit-Policy: 120;w=60
+//   Retry-After: 23        (only on 429 responses)
+//
+// 📐 STORES:
+//   Counters live in a store (see utils/rateLimitStore.js).  The default is
+//   in-memory — per process.  Pass `store` to share budgets between servers.
+// ============================================================================
+
+const config = require('../config');
+const { verify } = require('../utils/token');
+const { createMemoryStore } = require('../utils/rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const ALGORITHMS = ['fixed', 'sliding'];
+
+// One store for every limiter in this process; keys are prefixed by limiter name
+const defaultStore = createMemoryStore();
+
+// ---------- Helpers ----------
+
+/**
+ * clientKey — "user:<id>" for a verified bearer token, otherwise "ip:<address>".
+ *
+ * @param {import('express').Request} req
+ */
+const clientKey = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').trim().split(/\s+/);
+  if (/^Bearer$/i.test(scheme) && token) {
+    try {
+      return `user:${verify(token, config.auth).sub}`;
+    } catch (err) {
+      // Fall through — an invalid token is not an identity
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * slidingRetryMs — How long until one more request fits a sliding window.
+ *
+ * @param {number} previous - Requests in the previous window
+ * @param {number} current  - Requests in the current window (incl. this one)
+ * @param {number} elapsed  - ms since the current window started
+ * @param {number} windowMs
+ * @param {number} max
+ */
+const slidingRetryMs = (previous, current, elapsed, windowMs, max) => {
+  // Still inside this window: wait for the previous window's weight to fade
+  if (current <= max - 1 && previous > 0) {
+    return windowMs * (1 - (max - 1 - current) / previous) - elapsed;
+  }
+  // Otherwise: this window becomes "previous" and must fade in the next one
+  return (windowMs - elapsed) + windowMs * (1 - (max - 1) / current);
+};
+
+// ---------- Factory ----------
+
+/**
+ * rateLimit — Builds a rate-limiting middleware.
+ *
+ * Usage:  app.use('/products', rateLimit({ name: 'products', windowMs: 60000, max: 120 }), productRoutes)
+ *
+ * @param {object}   options
+ * @param {string}   options.name                 - Budget name (limiters with the same name share counters)
+ * @param {number}   options.windowMs             - Window length in ms
+ * @param {number}   options.max                  - Requests allowed per window
+ * @param {string}   [options.algorithm]          - "fixed" | "sliding" (default: config.rateLimit.algorithm)
+ * @param {object}   [options.store]              - Counter store (default: shared in-memory store)
+ * @param {Function} [options.keyGenerator]       - (req) → client key (default: token subject or IP)
+ * @param {boolean}  [options.enabled]            - false turns the limiter into a no-op
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  algorithm = config.rateLimit.algorithm,
+  store = defaultStore,
+  keyGenerator = clientKey,
+  enabled = config.rateLimit.enabled,
+}) => {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`rateLimit: unknown algorithm "${algorithm}" (use ${ALGORITHMS.join(' or ')}).`);
+  }
+  if (!enabled) return (req, res, next) => next();
+
+  const windowSeconds = Math.round(windowMs / 1000);
+
+  /**
+   * count — Records this request and measures how much of the budget is used.
+   *
+   * @returns {Promise<{ used: number, retryMs: number, resetMs: number }>}
+   */
+  const count = async (key) => {
+    const now     = Date.now();
+    const index   = Math.floor(now / windowMs);
+    const elapsed = now - index * windowMs;
+    const resetMs = windowMs - elapsed;
+
+    if (algorithm === 'fixed') {
+      const current = await store.increment(`${name}:${key}:${index}`, windowMs);
+      return { used: current, retryMs: resetMs, resetMs };
+    }
+
+    // Sliding: keep each window's counter long enough to serve as "previous"
+    const [current, previous] = await Promise.all([
+      store.increment(`${name}:${key}:${index}`, 2 * windowMs),
+      store.get(`${name}:${key}:${index - 1}`),
+    ]);
+    const used = previous * (1 - elapsed / windowMs) + current;
+    return { used, retryMs: slidingRetryMs(previous, current, elapsed, windowMs, max), resetMs };
+  };
+
+  /**
+   * limiter — Counts the request, sets RateLimit-* headers and rejects with
+   * 429 once the budget is used up.
+   */
+  const limiter = (req, res, next) => {
+    const key = keyGenerator(req);
+
+    const decide = ({ used, retryMs, resetMs }) => {
+      const blocked    = used > max;
+      const retryAfter = Math.max(1, Math.ceil(retryMs / 1000));
+
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, Math.floor(max - used))),
+        'RateLimit-Reset': String(blocked ? retryAfter : Math.max(1, Math.ceil(resetMs / 1000))),
+        'RateLimit-Policy': `${max};w=${windowSeconds}`,
+      });
+
+      if (!blocked) return next();
+
+      console.log(`[RATE] 🚦 ${key} exceeded the "${name}" budget (${max} per ${windowSeconds}s).`);
+      res.set('Retry-After', String(retryAfter));
+      return next(new TooManyRequestsError(
+        `Too Many Requests – Limit of ${max} requests per ${windowSeconds}s reached. Try again in ${retryAfter}s.`,
+        { limit: max, windowSeconds, retryAfter }
+      ));
+    };
+
+    // A broken (e.g. remote) store must not take the API down — fail open
+    const storeFailed = (err) => {
+      console.error(`[RATE] ⚠️  "${name}" store unavailable, request allowed: ${err.message}`);
+      next();
+    };
+
+    // .catch(next): an error thrown by decide() or further down still
+    // reaches the error handler instead of leaving the request hanging
+    count(key).then(decide, storeFailed).catch(next);
+  };
+
+  // Described in the API docs (utils/openapi.js)
+  limiter.rateLimit = { name, max, windowMs };
+  return limiter;
+};
+
+module.exports = {
+  rateLimit,
+  clientKey,
+};
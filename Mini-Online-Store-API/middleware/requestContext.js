@@ -0,0 +1,46 @@
+// ============================================================================
+// middleware/requestContext.js — Which Request Is This Code Running For?
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Ticket Clipped to the Tray**.  Whoever handles the dish later —
+//   even someone deep in the kitchen who never met the guest — can read
+//   whose order it is, without everybody passing the ticket along by hand.
+//
+// 📐 HOW IT WORKS:
+//   Node's AsyncLocalStorage keeps a value for everything that runs because
+//   of this request — later middleware, callbacks, timers.  We keep the
+//   request itself, so details added later (req.user after auth) are seen:
+//
+//     const { currentRequest } = require('../middleware/requestContext');
+//     const req = currentRequest();   // undefined outside a request
+//
+//   Used by the audit trail (utils/audit.js) to tell who made a change
+//   without threading `req` through every controller and repository.
+//   Code that reads a request body from stream events must bind its
+//   handlers (AsyncResource.bind) to stay in the context — see upload.js.
+// ============================================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * requestContext — Runs the rest of the request inside its own context.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const requestContext = (req, res, next) => storage.run(req, next);
+
+/**
+ * currentRequest — The request the calling code runs for, or undefined
+ * (startup, background work that started outside a request).
+ *
+ * @returns {import('express').Request | undefined}
+ */
+const currentRequest = () => storage.getStore();
+
+module.exports = requestContext;
+module.exports.currentRequest = currentRequest;
@@ -0,0 +1,37 @@
+// ============================================================================
+// middleware/requestId.js — Per-Request Correlation ID
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   Every order ticket gets a **Ticket Number** the moment the customer
+//   walks in.  If something goes wrong, the customer quotes the number and
+//   the manager can find exactly that ticket in the kitchen's records.
+//
+// 📐 HOW IT WORKS:
+//   • A client (or proxy) may send its own `X-Request-Id`; a sane value is
+//     reused so one ID can follow a request across several services.
+//   • Otherwise a random UUID is generated.
+//   • The ID is stored on `req.id` and echoed in the `X-Request-Id` response
+//     header; error responses also carry it as `requestId`.
+// ============================================================================
+
+const crypto = require('crypto');
+
+// Letters, digits and a few separators — keeps log lines and headers clean
+const INCOMING_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * requestId — Assigns `req.id` and sets the `X-Request-Id` response header.
+ *
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,197 @@
+// ============================================================================
+// middleware/upload.js — multipart/form-data File Uploads
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Delivery Hatch** at the back door.  Suppliers hand in parcels
+//   (files) with a delivery note (text fields).  The porter refuses anything
+//   that isn't a proper parcel, weighs the whole delivery while it comes in
+//   — stopping the moment it gets too heavy — then unpacks it onto the
+//   counter for the chef.  What's IN the parcels is the chef's business.
+//
+// 📐 USAGE (in a route file):
+//   router.post('/:id/images', adminOnly,
+//     uploadFiles({ field: 'images', maxFiles: 10, maxFileSize: 2 * 1024 * 1024 }),
+//     validate(schemas.uploadImages), controller.uploadImages);
+//
+//   After it runs:
+//     req.files → [{ field, filename, contentType, size, data: Buffer }]  (only `field`)
+//     req.body  → { textField: 'value', … }   (strings — checked by validate())
+//
+// 📐 ERRORS:
+//   415 UNSUPPORTED_MEDIA_TYPE → the request isn't multipart/form-data
+//   413 PAYLOAD_TOO_LARGE      → the body exceeds what maxFiles × maxFileSize
+//                                allows (reading stops right there)
+//   413 FILE_TOO_LARGE         → one file is over maxFileSize
+//   400 INVALID_MULTIPART      → malformed body
+//   400 VALIDATION_ERROR       → no file, too many files, or a file under
+//                                another field name
+//
+//   Parts are held in memory — fine for a few MB of images; stream to disk
+//   instead if you raise the limits a lot.
+// ============================================================================
+
+const { AsyncResource } = require('async_hooks');
+
+const { AppError, BadRequestError, ValidationError } = require('../utils/errors');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const FORM_OVERHEAD = 64 * 1024; // headers & text fields around the files
+
+// ---------- Helpers ----------
+
+const invalidMultipart = (detail) =>
+  new BadRequestError('INVALID_MULTIPART', `Bad Request – Malformed multipart body (${detail}).`);
+
+/**
+ * parsePartHeaders — "Content-Disposition: form-data; name=…" lines → { field, filename, contentType }.
+ */
+const parsePartHeaders = (text) => {
+  const headers = {};
+  text.split('\r\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+
+  const disposition = headers['content-disposition'] || '';
+  const name = disposition.match(/;\s*name="([^"]*)"/);
+  const filename = disposition.match(/;\s*filename="([^"]*)"/);
+  return {
+    field: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null,
+  };
+};
+
+/**
+ * parseMultipart — Splits a buffered body into its parts.
+ *
+ * @param {Buffer} body
+ * @param {string} boundary
+ * @returns {{ field: string, filename: string|null, contentType: string|null, data: Buffer }[]}
+ */
+const parseMultipart = (body, boundary) => {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const nextDelimiter = Buffer.concat([CRLF, delimiter]);
+  const parts = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) throw invalidMultipart('boundary not found');
+
+  for (;;) {
+    position += delimiter.length;
+    if (body.subarray(position, position + 2).toString() === '--') return parts; // closing delimiter
+    if (!body.subarray(position, position + 2).equals(CRLF)) throw invalidMultipart('bad delimiter line');
+    position += 2;
+
+    const end = body.indexOf(nextDelimiter, position);
+    if (end === -1) throw invalidMultipart('unterminated part');
+
+    const part = body.subarray(position, end);
+    const headerEnd = part.indexOf(HEADER_END);
+    if (headerEnd === -1) throw invalidMultipart('part without headers');
+
+    const headers = parsePartHeaders(part.subarray(0, headerEnd).toString('utf8'));
+    if (!headers.field) throw invalidMultipart('part without a name');
+    parts.push({ ...headers, data: part.subarray(headerEnd + HEADER_END.length) });
+
+    position = end + CRLF.length;
+  }
+};
+
+// ---------- Middleware Factory ----------
+
+/**
+ * uploadFiles — Builds a middleware that accepts files under one form field.
+ *
+ * @param {object} options
+ * @param {string} options.field       - Form field carrying the files
+ * @param {number} options.maxFiles    - Most files per request
+ * @param {number} options.maxFileSize - Most bytes per file
+ * @returns {import('express').RequestHandler & { upload: object }}
+ */
+const uploadFiles = ({ field, maxFiles, maxFileSize }) => {
+  const maxBodySize = maxFiles * maxFileSize + FORM_OVERHEAD;
+
+  const middleware = (req, res, next) => {
+    const type = req.get('Content-Type') || '';
+    const boundary = type.match(/^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^\s;]+))/i);
+    if (!boundary) {
+      return next(new AppError(415, 'UNSUPPORTED_MEDIA_TYPE',
+        `Unsupported Media Type – Send the files as multipart/form-data in the "${field}" field.`));
+    }
+
+    const chunks = [];
+    let received = 0;
+    let failed = false;
+
+    req.on('data', (chunk) => {
+      if (failed) return; // keep draining so the client gets our answer
+      received += chunk.length;
+      if (received > maxBodySize) {
+        failed = true;
+        chunks.length = 0;
+        next(new AppError(413, 'PAYLOAD_TOO_LARGE',
+          `Payload Too Large – At most ${maxFiles} file(s) of ${maxFileSize} bytes each.`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('error', (err) => {
+      if (!failed) {
+        failed = true;
+        next(err);
+      }
+    });
+
+    // Bound, so the handlers after us stay in the request's context
+    // (see middleware/requestContext.js) — stream events would lose it
+    req.on('end', AsyncResource.bind(() => {
+      if (failed) return;
+
+      let parts;
+      try {
+        parts = parseMultipart(Buffer.concat(chunks), boundary[1] || boundary[2]);
+      } catch (err) {
+        return next(err);
+      }
+
+      const files = parts.filter((part) => part.filename !== null);
+      const errors = files
+        .filter((file) => file.field !== field)
+        .map((file) => ({
+          location: 'body', field: file.field, code: 'UNEXPECTED_FILE',
+          message: `Files are only accepted in the "${field}" field.`,
+        }));
+      if (!files.length) {
+        errors.push({ location: 'body', field, code: 'REQUIRED', message: `"${field}" must contain at least one file.` });
+      } else if (files.length > maxFiles) {
+        errors.push({ location: 'body', field, code: 'TOO_MANY_FILES', message: `"${field}" accepts at most ${maxFiles} file(s).` });
+      }
+      if (errors.length) return next(new ValidationError(errors));
+
+      const tooLarge = files.find((file) => file.data.length > maxFileSize);
+      if (tooLarge) {
+        return next(new AppError(413, 'FILE_TOO_LARGE',
+          `Payload Too Large – "${tooLarge.filename}" is ${tooLarge.data.length} bytes; the limit is ${maxFileSize}.`,
+          { filename: tooLarge.filename, maxFileSize }));
+      }
+
+      req.files = files.map(({ filename, contentType, data }) => ({
+        field, filename, contentType, size: data.length, data,
+      }));
+      req.body = Object.fromEntries(parts
+        .filter((part) => part.filename === null)
+        .map((part) => [part.field, part.data.toString('utf8')]));
+      next();
+    }));
+  };
+
+  // Read by utils/openapi.js to document the multipart request body
+  middleware.upload = { field, maxFiles, maxFileSize };
+  return middleware;
+};
+
+module.exports = uploadFiles;
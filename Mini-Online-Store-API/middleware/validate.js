@@ -0,0 +1,241 @@
+// ============================================================================
+// middleware/validate.js — Declarative Request Validation
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Order-Taking Checklist**.  Before a ticket reaches the chef, the
+//   waiter checks it against the menu's rules: is every required field
+//   filled in, is "quantity" really a number, is the email an email, is the
+//   role one the restaurant actually has?  Anything wrong is sent straight
+//   back to the customer — ALL problems at once, each with a code — and the
+//   chef never sees a bad ticket.
+//
+// 📐 USAGE (in a route file):
+//   router.post('/', validate(schemas.createUser), controller.createUser);
+//   where schemas.createUser = { params?: {...}, query?: {...}, body?: {...} }
+//
+//   A schema maps each field to a rule:
+//     { type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object',
+//       required, nullable, default,
+//       enum, format: 'email' | 'date-time', pattern, trim,
+//       min, max, exclusiveMin, minLength, maxLength,
+//       items (array element rule), properties (object field rules),
+//       description (used by the API docs) }
+//
+//   Next to params / query / body a schema may carry documentation-only
+//   keys, ignored here and read by utils/openapi.js:
+//     summary, description, tag,
+//     response: { status = 200, data: 'Model' | ['Model'], paginated,
+//                 meta: { key: 'Model' } (extra top-level fields) },
+//     errors: [409, …]   (statuses beyond the ones the route's middleware implies)
+//   Routes without any input still get a schema, so every route is documented.
+//
+//   • params & query arrive as strings, so they are COERCED to the declared
+//     type ("2" → 2, "true" → true).  JSON bodies are checked strictly.
+//   • Query / body fields not declared in the schema are rejected
+//     (UNKNOWN_FIELD).  Route params come from the path, so undeclared ones
+//     are simply left alone.
+//   • Failures are passed to the error handler as a ValidationError (400).
+//   • On success the cleaned values (coerced, trimmed, defaults applied)
+//     replace req.params / req.query / req.body.
+//   • The schemas are attached to the middleware as `.schemas` so that the
+//     OpenAPI generator can describe the route from the same definitions.
+//   • validate.checkFields() applies the same rules to data that isn't a
+//     request part — e.g. the rows of an import file.
+// ============================================================================
+
+const { ValidationError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// ---------- Helpers ----------
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * coerce — Converts a string from the URL to the declared type, if possible.
+ */
+const coerce = (value, type) => {
+  if (typeof value !== 'string') return value;
+  if (type === 'integer' && /^-?\d+$/.test(value)) return Number(value);
+  if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeOf(value) === 'object';
+  return typeof value === type;
+};
+
+/**
+ * checkValue — Validates one value against its rule.
+ *
+ * @returns {{ value: *, errors: { field: string, code: string, message: string }[] }}
+ */
+const checkValue = (input, rule, field, shouldCoerce) => {
+  const errors = [];
+  const fail = (code, message) => errors.push({ field, code, message });
+  let value = shouldCoerce ? coerce(input, rule.type) : input;
+
+  if (value === null && rule.nullable) return { value, errors };
+
+  if (!matchesType(value, rule.type)) {
+    fail('INVALID_TYPE', `"${field}" must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}.`);
+    return { value, errors };
+  }
+
+  if (rule.type === 'string') {
+    if (rule.trim) value = value.trim();
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail('TOO_SHORT', rule.minLength === 1
+        ? `"${field}" must not be empty.`
+        : `"${field}" must be at least ${rule.minLength} characters long.`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      fail('TOO_LONG', `"${field}" must be at most ${rule.maxLength} characters long.`);
+    }
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      fail('INVALID_FORMAT', `"${field}" must be a valid email address.`);
+    }
+    if (rule.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      fail('INVALID_FORMAT', `"${field}" must be an ISO 8601 date-time.`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      fail('PATTERN_MISMATCH', rule.patternMessage || `"${field}" has an invalid format.`);
+    }
+  }
+
+  if (rule.type === 'number' || rule.type === 'integer') {
+    if (rule.min !== undefined && value < rule.min) {
+      fail('TOO_SMALL', `"${field}" must be ≥ ${rule.min}.`);
+    }
+    if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+      fail('TOO_SMALL', `"${field}" must be greater than ${rule.exclusiveMin}.`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      fail('TOO_LARGE', `"${field}" must be ≤ ${rule.max}.`);
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    fail('NOT_IN_ENUM', `"${field}" must be one of: ${rule.enum.join(', ')}.`);
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      fail('TOO_SHORT', `"${field}" must contain at least ${rule.minItems} item(s).`);
+    }
+    if (rule.items) {
+      value = value.map((item, i) => {
+        const result = checkValue(item, rule.items, `${field}[${i}]`, shouldCoerce);
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    const result = checkObject(value, rule.properties, `${field}.`, shouldCoerce);
+    errors.push(...result.errors);
+    value = result.value;
+  }
+
+  return { value, errors };
+};
+
+/**
+ * checkObject — Validates every declared field of an object and (unless
+ * `allowUnknown`) rejects undeclared ones.
+ */
+const checkObject = (input, fields, prefix, shouldCoerce, allowUnknown = false) => {
+  const errors = [];
+  const value  = allowUnknown ? { ...input } : {};
+
+  Object.keys(input).forEach((key) => {
+    if (!fields[key] && !allowUnknown) {
+      errors.push({ field: `${prefix}${key}`, code: 'UNKNOWN_FIELD', message: `"${prefix}${key}" is not an allowed field.` });
+    }
+  });
+
+  Object.entries(fields).forEach(([key, rule]) => {
+    const field = `${prefix}${key}`;
+    const raw = input[key];
+
+    if (raw === undefined || (raw === '' && shouldCoerce)) {
+      if (rule.default !== undefined) value[key] = rule.default;
+      else if (rule.required) errors.push({ field, code: 'REQUIRED', message: `"${field}" is required.` });
+      return;
+    }
+
+    const result = checkValue(raw, rule, field, shouldCoerce);
+    errors.push(...result.errors);
+    value[key] = result.value;
+  });
+
+  return { value, errors };
+};
+
+/**
+ * checkFields — Validates a plain object against a field-rule map outside
+ * of a request (the rows of an import file, …).  Undeclared fields are
+ * rejected, as in a request body.
+ *
+ * @param {object} input
+ * @param {object} fields - Field-rule map, as in a route schema
+ * @param {{ fromText?: boolean }} [options] - fromText: the values are strings
+ *        to coerce (CSV cells), like params & query
+ * @returns {{ value: object, errors: { field: string, code: string, message: string }[] }}
+ */
+const checkFields = (input, fields, { fromText = false } = {}) => checkObject(input, fields, '', fromText);
+
+// ---------- Middleware Factory ----------
+
+/**
+ * validate — Builds a middleware that validates req.params / req.query / req.body.
+ *
+ * @param {{ params?: object, query?: object, body?: object }} schemas
+ *        Field-rule maps for each part of the request (omit parts you don't check)
+ * @returns {import('express').RequestHandler & { schemas: object }}
+ */
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    LOCATIONS.filter((location) => schemas[location]).forEach((location) => {
+      const input = req[location] === undefined ? {} : req[location];
+
+      if (typeOf(input) !== 'object') {
+        errors.push({ location, field: location, code: 'INVALID_TYPE', message: `The request ${location} must be a JSON object.` });
+        return;
+      }
+
+      const fromUrl = location !== 'body';
+      const result = checkObject(input, schemas[location], '', fromUrl, location === 'params');
+      result.errors.forEach((error) => errors.push({ location, ...error }));
+      cleaned[location] = result.value;
+    });
+
+    if (errors.length) return next(new ValidationError(errors));
+
+    Object.assign(req, cleaned);
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = validate;
+module.exports.checkFields = checkFields;
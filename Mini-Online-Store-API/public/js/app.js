@@ -7,6 +7,16 @@ const API_BASE = ''; // same origin — no CORS needed
 
 // ─── STATE ───────────────────────────────────────────────────────────────────
 let authToken = '';
+let productsPage = 1;
+let categoryIcons = {}; // category name → Lucide icon, from GET /categories
+const PRODUCTS_PER_PAGE = 6;
+
+// Live updates (GET /products/stream)
+let productStream = null;
+let lastProductEventId = ''; // resume point after a reconnect
+let streamRetryDelay = 1000;
+const STREAM_RETRY_MAX = 30000;
+const PRODUCT_EVENTS = ['product.created', 'product.updated', 'product.stock_changed', 'product.deleted'];
 
 // ─── DOM REFS ────────────────────────────────────────────────────────────────
 const $  = (sel) => document.querySelector(sel);
@@ -15,6 +25,7 @@ const $$ = (sel) => document.querySelectorAll(sel);
 const tokenInput      = $('#auth-token');
 const tokenStatus     = $('#token-status');
 const productsGrid    = $('#products-grid');
+const productsPager   = $('#products-pagination');
 const getUserResult   = $('#get-user-result');
 const createUserResult= $('#create-user-result');
 const apiMethod       = $('#api-method');
@@ -29,18 +40,34 @@ const statProducts    = $('#stat-products');
 document.addEventListener('DOMContentLoaded', () => {
   lucide.createIcons();
   bindEvents();
-  loadProducts(); // auto-load on page open
+  // auto-load on page open — categories first, so product cards get their icons
+  loadCurrencies();
+  loadCategories().finally(() => loadProducts());
+  connectProductStream();
 });
 
 // ─── EVENT BINDINGS ──────────────────────────────────────────────────────────
 function bindEvents() {
   // Token
+  $('#btn-login').addEventListener('click', login);
+  $('#login-email').addEventListener('keydown', (e) => { if (e.key === 'Enter') login(); });
+  $('#login-password').addEventListener('keydown', (e) => { if (e.key === 'Enter') login(); });
   $('#btn-set-token').addEventListener('click', setToken);
   $('#btn-clear-token').addEventListener('click', clearToken);
   tokenInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') setToken(); });
 
   // Products
-  $('#btn-load-products').addEventListener('click', loadProducts);
+  $('#btn-load-products').addEventListener('click', () => loadProducts());
+  ['#filter-category', '#filter-sort', '#filter-min-price', '#filter-max-price', '#filter-currency'].forEach((sel) => {
+    $(sel).addEventListener('change', () => loadProducts(1));
+  });
+  // Stream events carry prices in the chosen currency, so re-subscribe
+  $('#filter-currency').addEventListener('change', connectProductStream);
+  $('#filter-q').addEventListener('input', debounce(() => loadProducts(1), 300));
+  productsPager.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-page]');
+    if (btn) loadProducts(Number(btn.dataset.page));
+  });
 
   // Users
   $('#btn-get-user').addEventListener('click', getUser);
@@ -62,13 +89,43 @@ function bindEvents() {
 }
 
 // ─── TOKEN MANAGEMENT ────────────────────────────────────────────────────────
+async function login() {
+  const email    = $('#login-email').value.trim();
+  const password = $('#login-password').value;
+  if (!email || !password) {
+    toast('Enter an account email and password to sign in.', 'error');
+    return;
+  }
+
+  try {
+    const res  = await apiFetch('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+    const data = await res.json();
+
+    if (data.success) {
+      authToken = `${data.data.tokenType} ${data.data.token}`;
+      tokenInput.value = authToken;
+      $('#login-password').value = '';
+      updateTokenUI(true);
+      toast(`Signed in as ${data.data.user.name} (${data.data.user.role}).`, 'success');
+    } else {
+      toast(data.message, 'error');
+    }
+  } catch (err) {
+    toast('Sign in failed. Check if the server is running.', 'error');
+  }
+}
+
 function setToken() {
   const val = tokenInput.value.trim();
   if (!val) {
     toast('Please enter a token value.', 'error');
     return;
   }
-  authToken = val;
+  // Accept a bare token as well as "Bearer <token>"
+  authToken = /^Bearer\s/i.test(val) ? val : `Bearer ${val}`;
   updateTokenUI(true);
   toast('Token set — /users endpoints are now accessible.', 'success');
 }
@@ -91,23 +148,86 @@ function updateTokenUI(authenticated) {
   lucide.createIcons();
 }
 
+// ─── CATEGORIES ──────────────────────────────────────────────────────────────
+async function loadCategories() {
+  try {
+    const res  = await apiFetch('/categories', { cache: 'no-cache' });
+    const data = await res.json();
+    if (!data.success) return;
+
+    // Sorted parents-first by the API; indent sub-categories by depth
+    const select = $('#filter-category');
+    select.innerHTML = '<option value="">All categories</option>' + data.data.map((c) => `
+      <option value="${c.slug}">${'\u2003'.repeat(c.depth)}${c.name} (${c.totalProductCount})</option>`).join('');
+
+    categoryIcons = Object.fromEntries(data.data.map((c) => [c.name, c.icon]));
+  } catch (err) {
+    toast('Could not load categories.', 'error');
+  }
+}
+
+// ─── CURRENCIES ──────────────────────────────────────────────────────────────
+async function loadCurrencies() {
+  try {
+    const res  = await apiFetch('/currencies', { cache: 'no-cache' });
+    const data = await res.json();
+    if (!data.success) return;
+
+    // The base currency is the default (empty) option
+    $('#filter-currency').innerHTML = `<option value="">${data.base}</option>` + data.data
+      .filter((c) => c.available && !c.base)
+      .map((c) => `<option value="${c.code}">${c.code}</option>`).join('');
+  } catch (err) {
+    toast('Could not load currencies.', 'error');
+  }
+}
+
+// Intl knows each currency's minor units (¥3,886 — €23.91 — KWD 7.979)
+function formatPrice(amount, currency) {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+}
+
 // ─── PRODUCTS ────────────────────────────────────────────────────────────────
-async function loadProducts() {
+function buildProductQuery(page) {
+  const params = new URLSearchParams({ page, limit: PRODUCTS_PER_PAGE });
+  const filters = {
+    q:        $('#filter-q').value.trim(),
+    category: $('#filter-category').value,
+    minPrice: $('#filter-min-price').value,
+    maxPrice: $('#filter-max-price').value,
+    sort:     $('#filter-sort').value,
+    currency: $('#filter-currency').value,
+  };
+  Object.entries(filters).forEach(([key, val]) => { if (val) params.set(key, val); });
+  return params.toString();
+}
+
+async function loadProducts(page = productsPage) {
   // Show skeleton placeholders
-  productsGrid.innerHTML = Array(5)
+  productsGrid.innerHTML = Array(PRODUCTS_PER_PAGE)
     .fill('<div class="skeleton skeleton-card"></div>')
     .join('');
 
   try {
-    const res  = await apiFetch('/products');
+    // "no-cache" = reuse the browser's copy only after the server confirms it
+    // (304 via ETag), so a product write shows up on the next load
+    const res  = await apiFetch(`/products?${buildProductQuery(page)}`, { cache: 'no-cache' });
     const data = await res.json();
 
     if (data.success) {
-      statProducts.textContent = data.count;
-      renderProducts(data.data);
-      toast(`Loaded ${data.count} products successfully.`, 'success');
+      productsPage = data.page;
+      statProducts.textContent = data.total;
+      if (data.count) {
+        renderProducts(data.data);
+      } else {
+        productsGrid.innerHTML = emptyState('No products match these filters.');
+        lucide.createIcons();
+      }
+      renderPagination(data);
+      toast(`Loaded ${data.count} of ${data.total} products.`, 'success');
     } else {
-      productsGrid.innerHTML = emptyState('Could not load products.');
+      productsGrid.innerHTML = emptyState(data.message || 'Could not load products.');
+      productsPager.innerHTML = '';
     }
   } catch (err) {
     productsGrid.innerHTML = emptyState('Network error — is the server running?');
@@ -115,17 +235,22 @@ async function loadProducts() {
   }
 }
 
+const STOCK_LABELS = {
+  in_stock:     (n) => `${n} in stock`,
+  low_stock:    (n) => `Only ${n} left`,
+  out_of_stock: ()  => 'Out of stock',
+};
+
 function renderProducts(products) {
-  const categoryIcons = {
-    'Electronics': 'cpu',
-    'Accessories': 'cable',
-    'Audio':       'headphones',
-  };
+  productsGrid.innerHTML = products.map(renderProductCard).join('');
+  lucide.createIcons();
+}
 
-  productsGrid.innerHTML = products.map((p) => {
-    const icon = categoryIcons[p.category] || 'box';
-    return `
-      <div class="product-card">
+function renderProductCard(p) {
+  const icon = categoryIcons[p.category] || 'box';
+  return `
+      <div class="product-card" data-product-id="${p.id}">
+        ${renderProductImage(p)}
         <div class="product-card-top">
           <div class="product-icon">
             <i data-lucide="${icon}"></i>
@@ -134,10 +259,128 @@ function renderProducts(products) {
         </div>
         <div class="product-name">${p.name}</div>
         <div class="product-id">ID: ${p.id}</div>
-        <div class="product-price">$${p.price.toFixed(2)} <span>USD</span></div>
+        ${renderRating(p)}
+        <div class="product-price">${formatPrice(p.price, p.currency)} <span>${p.currency}</span></div>
+        <span class="product-stock ${p.availability}">${STOCK_LABELS[p.availability](p.stock)}</span>
       </div>`;
-  }).join('');
+}
+
+function renderProductImage({ imageUrl, images, name }) {
+  if (!imageUrl) return '';
+  const alt = (images[0] && images[0].alt) || name;
+  return `<img class="product-image" src="${imageUrl}" alt="${alt}" loading="lazy">`;
+}
+
+function renderRating({ averageRating, reviewCount }) {
+  if (!reviewCount) {
+    return '<div class="product-rating empty">No reviews yet</div>';
+  }
+  const full  = Math.round(averageRating);
+  const stars = '★'.repeat(full) + '☆'.repeat(5 - full);
+  const label = reviewCount === 1 ? 'review' : 'reviews';
+  return `
+        <div class="product-rating" title="${averageRating} out of 5">
+          <span class="stars">${stars}</span>
+          <span>${averageRating.toFixed(1)} · ${reviewCount} ${label}</span>
+        </div>`;
+}
+
+function renderPagination({ page, pageCount, links }) {
+  if (pageCount <= 1) {
+    productsPager.innerHTML = '';
+    return;
+  }
+  productsPager.innerHTML = `
+    <button class="btn btn-ghost" data-page="${page - 1}" ${links.prev ? '' : 'disabled'}>
+      <i data-lucide="chevron-left"></i> Prev
+    </button>
+    <span>Page ${page} of ${pageCount}</span>
+    <button class="btn btn-ghost" data-page="${page + 1}" ${links.next ? '' : 'disabled'}>
+      Next <i data-lucide="chevron-right"></i>
+    </button>`;
+  lucide.createIcons();
+}
+
+// ─── LIVE PRODUCT UPDATES (Server-Sent Events) ───────────────────────────────
+function connectProductStream() {
+  if (productStream) productStream.close();
+
+  const params = new URLSearchParams();
+  const currency = $('#filter-currency').value;
+  if (currency) params.set('currency', currency);
+  // The browser resends Last-Event-ID on its own reconnects; a new
+  // EventSource can't set headers, so the resume point goes in the URL
+  if (lastProductEventId) params.set('lastEventId', lastProductEventId);
+
+  const stream = new EventSource(`${API_BASE}/products/stream?${params}`);
+  productStream = stream;
+  setLiveStatus('connecting');
+
+  stream.addEventListener('ready', (e) => {
+    lastProductEventId = e.lastEventId;
+    streamRetryDelay = 1000;
+    setLiveStatus('live');
+  });
+  // Too much happened while we were away — start from a fresh list
+  stream.addEventListener('reset', () => loadProducts());
+  PRODUCT_EVENTS.forEach((type) => {
+    stream.addEventListener(type, (e) => {
+      lastProductEventId = e.lastEventId;
+      applyProductEvent(type, JSON.parse(e.data));
+    });
+  });
 
+  stream.onerror = () => {
+    // CONNECTING: the browser is already retrying (network drop, server restart)
+    if (stream.readyState === EventSource.CONNECTING) {
+      setLiveStatus('connecting');
+      return;
+    }
+    // CLOSED: it gave up (e.g. 429 or 5xx) — retry ourselves with backoff
+    setLiveStatus('offline');
+    setTimeout(() => {
+      if (productStream === stream) connectProductStream();
+    }, streamRetryDelay);
+    streamRetryDelay = Math.min(streamRetryDelay * 2, STREAM_RETRY_MAX);
+  };
+}
+
+function setLiveStatus(state) {
+  const labels = { connecting: 'Connecting…', live: 'Live', offline: 'Offline' };
+  const badge = $('#live-status');
+  badge.dataset.state = state;
+  badge.querySelector('.live-label').textContent = labels[state];
+}
+
+function hasProductFilters() {
+  return ['#filter-q', '#filter-category', '#filter-min-price', '#filter-max-price']
+    .some((sel) => $(sel).value.trim() !== '');
+}
+
+// Updates the card in place; new products appear on an unfiltered first page
+function applyProductEvent(type, product) {
+  const card = productsGrid.querySelector(`[data-product-id="${product.id}"]`);
+
+  if (type === 'product.deleted') {
+    if (!card) return;
+    card.classList.add('is-removed');
+    setTimeout(() => card.remove(), 300);
+    statProducts.textContent = Math.max(0, Number(statProducts.textContent) - 1);
+    return;
+  }
+
+  if (card) {
+    card.outerHTML = renderProductCard(product);
+  } else if (type === 'product.created' && productsPage === 1 && !hasProductFilters()) {
+    if (!productsGrid.querySelector('.product-card')) productsGrid.innerHTML = '';
+    productsGrid.insertAdjacentHTML('afterbegin', renderProductCard(product));
+    statProducts.textContent = Number(statProducts.textContent) + 1;
+  } else {
+    if (type === 'product.created') toast(`New product: ${product.name}`, 'info');
+    return;
+  }
+
+  productsGrid.querySelector(`[data-product-id="${product.id}"]`).classList.add('is-updated');
   lucide.createIcons();
 }
 
@@ -245,8 +488,10 @@ async function createUser() {
 }
 
 // ─── API TESTER ──────────────────────────────────────────────────────────────
+const METHODS_WITH_BODY = ['POST', 'PUT', 'PATCH'];
+
 function toggleBodySection() {
-  apiBodySection.style.display = apiMethod.value === 'POST' ? 'block' : 'none';
+  apiBodySection.style.display = METHODS_WITH_BODY.includes(apiMethod.value) ? 'block' : 'none';
 }
 
 async function sendApiRequest() {
@@ -259,7 +504,7 @@ async function sendApiRequest() {
   }
 
   const opts = { method };
-  if (method === 'POST' && apiBody.value.trim()) {
+  if (METHODS_WITH_BODY.includes(method) && apiBody.value.trim()) {
     opts.body = apiBody.value.trim();
   }
 
@@ -318,6 +563,14 @@ function toast(message, type = 'info') {
 }
 
 // ─── HELPERS ─────────────────────────────────────────────────────────────────
+function debounce(fn, wait) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
 function emptyState(msg) {
   return `
     <div class="empty-state">
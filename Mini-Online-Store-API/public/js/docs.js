@@ -0,0 +1,293 @@
+// ============================================================================
+//  public/js/docs.js — Interactive API Docs
+//  Renders /openapi.json (generated by the server from its own routes and
+//  validation schemas) and lets you send requests from every endpoint.
+// ============================================================================
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const TOKEN_KEY = 'ministore.docsToken';
+
+// ─── STATE ───────────────────────────────────────────────────────────────────
+let spec = null;
+
+// ─── DOM REFS ────────────────────────────────────────────────────────────────
+const $ = (sel, root = document) => root.querySelector(sel);
+
+const tokenInput = $('#docs-token');
+const content    = $('#docs-content');
+const nav        = $('#docs-nav');
+
+// ─── INIT ────────────────────────────────────────────────────────────────────
+document.addEventListener('DOMContentLoaded', () => {
+  tokenInput.value = localStorage.getItem(TOKEN_KEY) || '';
+  tokenInput.addEventListener('change', () => localStorage.setItem(TOKEN_KEY, tokenInput.value.trim()));
+  $('#docs-login').addEventListener('click', login);
+  $('#docs-filter').addEventListener('input', (e) => filterOperations(e.target.value));
+  content.addEventListener('submit', (e) => {
+    e.preventDefault();
+    tryIt(e.target);
+  });
+  loadSpec();
+});
+
+async function loadSpec() {
+  try {
+    const res = await fetch('/openapi.json');
+    spec = await res.json();
+    render();
+  } catch (err) {
+    content.innerHTML = `<p class="docs-muted">Could not load /openapi.json: ${escapeHtml(err.message)}</p>`;
+  }
+}
+
+// ─── SCHEMA HELPERS ──────────────────────────────────────────────────────────
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Just enough Markdown for the generated descriptions: **bold** and `code`
+function markdown(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/`(.+?)`/g, '<code>$1</code>')
+    .replace(/\n\n/g, '<br />');
+}
+
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+function resolve(schema) {
+  if (schema.$ref) return spec.components.schemas[refName(schema.$ref)];
+  if (schema.allOf) return resolve(schema.allOf[0]);
+  return schema;
+}
+
+// Short type label, e.g. "integer ≥ 1", "Product[]", "string (email)"
+function typeLabel(schema) {
+  if (schema.$ref) return refName(schema.$ref);
+  if (schema.allOf) return `${typeLabel(schema.allOf[0])}${schema.nullable ? ' | null' : ''}`;
+  if (schema.type === 'array') return `${typeLabel(schema.items || {})}[]`;
+
+  let label = schema.type || 'any';
+  if (schema.format) label += ` (${schema.format})`;
+  if (schema.minimum !== undefined) label += ` ${schema.exclusiveMinimum ? '>' : '≥'} ${schema.minimum}`;
+  if (schema.maximum !== undefined) label += ` ≤ ${schema.maximum}`;
+  if (schema.enum) label += `: ${schema.enum.join(' | ')}`;
+  if (schema.nullable) label += ' | null';
+  return label;
+}
+
+// Example value built from the schema (defaults, first enum value, minimums)
+function example(schema, depth = 0) {
+  const s = resolve(schema);
+  if (s.default !== undefined) return s.default;
+  if (s.enum) return s.enum[0];
+  switch (s.type) {
+    case 'integer':
+    case 'number':  return s.minimum !== undefined ? s.minimum + (s.exclusiveMinimum ? 1 : 0) : 1;
+    case 'boolean': return true;
+    case 'array':   return depth > 3 ? [] : [example(s.items || {}, depth + 1)];
+    case 'object': {
+      const obj = {};
+      Object.entries(s.properties || {}).forEach(([name, prop]) => {
+        if (depth <= 3) obj[name] = example(prop, depth + 1);
+      });
+      return obj;
+    }
+    default:
+      if (s.format === 'email') return 'user@example.com';
+      if (s.format === 'date-time') return new Date().toISOString();
+      return 'string';
+  }
+}
+
+function fieldsTable(schema) {
+  const s = resolve(schema);
+  const required = s.required || [];
+  const rows = Object.entries(s.properties || {}).map(([name, prop]) => `
+    <tr>
+      <td><code>${escapeHtml(name)}</code>${required.includes(name) ? ' <span class="docs-required">*</span>' : ''}</td>
+      <td><code>${escapeHtml(typeLabel(prop))}</code></td>
+      <td>${escapeHtml(prop.description || '')}</td>
+    </tr>`);
+  return `<table class="docs-table"><tr><th>Field</th><th>Type</th><th>Description</th></tr>${rows.join('')}</table>`;
+}
+
+function parametersTable(parameters) {
+  const rows = parameters.map((p) => `
+    <tr>
+      <td><code>${escapeHtml(p.name)}</code>${p.required ? ' <span class="docs-required">*</span>' : ''}</td>
+      <td>${p.in}</td>
+      <td><code>${escapeHtml(typeLabel(p.schema))}</code></td>
+      <td>${escapeHtml(p.description || p.schema.description || '')}</td>
+    </tr>`);
+  return `<table class="docs-table"><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr>${rows.join('')}</table>`;
+}
+
+function responsesTable(responses) {
+  const rows = Object.entries(responses).map(([status, response]) => {
+    const r = response.$ref ? spec.components.responses[refName(response.$ref)] : response;
+    const media = r.content && Object.keys(r.content)[0];
+    const data = media && r.content[media].schema.properties && r.content[media].schema.properties.data;
+    const body = data ? typeLabel(data) : (r.content && r.content[media].schema.$ref ? 'Error' : media || '—');
+    return `<tr><td><strong>${status}</strong></td><td>${escapeHtml(r.description)}</td><td><code>${escapeHtml(body)}</code></td></tr>`;
+  });
+  return `<table class="docs-table"><tr><th>Status</th><th>Description</th><th>Body / data</th></tr>${rows.join('')}</table>`;
+}
+
+// ─── RENDER ──────────────────────────────────────────────────────────────────
+function operations() {
+  const list = [];
+  Object.entries(spec.paths).forEach(([path, item]) => {
+    METHODS.filter((m) => item[m]).forEach((method) => list.push({ path, method, op: item[method] }));
+  });
+  return list;
+}
+
+function render() {
+  document.title = `${spec.info.title} ${spec.info.version} — API Docs`;
+  $('#docs-title').textContent = `${spec.info.title} · v${spec.info.version}`;
+  $('#docs-description').textContent = spec.info.description || '';
+
+  const ops = operations();
+  const navHtml = [];
+  const contentHtml = [];
+
+  spec.tags.forEach(({ name }) => {
+    const tagged = ops.filter(({ op }) => op.tags[0] === name);
+    navHtml.push(`<div class="docs-nav-tag">${escapeHtml(name)}</div>`);
+    contentHtml.push(`<h2 class="docs-tag" id="tag-${escapeHtml(name)}">${escapeHtml(name)}</h2>`);
+
+    tagged.forEach(({ path, method, op }, i) => {
+      const id = `op-${name}-${i}`;
+      navHtml.push(`
+        <a href="#${id}" class="docs-nav-link" data-op="${id}">
+          <span class="method ${method}">${method}</span><code>${escapeHtml(path)}</code>
+        </a>`);
+      contentHtml.push(renderOperation(id, path, method, op));
+    });
+  });
+
+  nav.innerHTML = navHtml.join('');
+  content.innerHTML = contentHtml.join('');
+
+  // Open the operation a sidebar link points to
+  nav.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-op]');
+    if (link) document.getElementById(link.dataset.op).open = true;
+  });
+}
+
+function renderOperation(id, path, method, op) {
+  const parameters = op.parameters || [];
+  const body = op.requestBody && op.requestBody.content['application/json'].schema;
+
+  const inputs = parameters.map((p) => `
+    <label class="docs-try-field">
+      <span>${p.in === 'path' ? '{' + escapeHtml(p.name) + '}' : '?' + escapeHtml(p.name)}</span>
+      <input class="input" name="${p.in}:${escapeHtml(p.name)}" placeholder="${escapeHtml(typeLabel(p.schema))}"
+        ${p.in === 'path' ? 'required' : ''} />
+    </label>`).join('');
+
+  return `
+    <details class="docs-op" id="${id}" data-search="${escapeHtml(`${method} ${path} ${op.summary}`.toLowerCase())}">
+      <summary>
+        <span class="method ${method}">${method}</span>
+        <code>${escapeHtml(path)}</code>
+        <span class="docs-op-summary">${escapeHtml(op.summary)}</span>
+        ${op.security ? '<span class="docs-lock">🔒 token</span>' : ''}
+      </summary>
+      <div class="docs-op-body">
+        ${op.description ? `<p>${markdown(op.description)}</p>` : ''}
+        ${parameters.length ? `<h4>Parameters</h4>${parametersTable(parameters)}` : ''}
+        ${body ? `<h4>Request body</h4>${fieldsTable(body)}` : ''}
+        <h4>Responses</h4>${responsesTable(op.responses)}
+
+        <h4>Try it</h4>
+        <form class="docs-try" data-path="${escapeHtml(path)}" data-method="${method}">
+          ${inputs}
+          ${body ? `<textarea class="input textarea" name="body" rows="6">${escapeHtml(JSON.stringify(example(body), null, 2))}</textarea>` : ''}
+          <div><button class="btn btn-primary" type="submit">Send ${method.toUpperCase()}</button></div>
+          <div class="response-header" hidden><span class="docs-try-url"></span><span class="status-badge"></span></div>
+          <pre class="code-block" hidden></pre>
+        </form>
+      </div>
+    </details>`;
+}
+
+function filterOperations(text) {
+  const needle = text.trim().toLowerCase();
+  document.querySelectorAll('.docs-op').forEach((el) => {
+    const match = !needle || el.dataset.search.includes(needle);
+    el.hidden = !match;
+    const link = nav.querySelector(`[data-op="${el.id}"]`);
+    if (link) link.hidden = !match;
+  });
+}
+
+// ─── TRY IT ──────────────────────────────────────────────────────────────────
+async function tryIt(form) {
+  const query = new URLSearchParams();
+  let path = form.dataset.path;
+
+  new FormData(form).forEach((value, key) => {
+    const [location, name] = key.split(':');
+    if (location === 'path') path = path.replace(`{${name}}`, encodeURIComponent(value));
+    if (location === 'query' && value !== '') query.append(name, value);
+  });
+
+  const url = query.toString() ? `${path}?${query}` : path;
+  const headers = {};
+  const token = tokenInput.value.trim().replace(/^Bearer\s+/i, '');
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const options = { method: form.dataset.method.toUpperCase(), headers };
+  if (form.elements.body) {
+    headers['Content-Type'] = 'application/json';
+    options.body = form.elements.body.value;
+  }
+
+  const header = $('.response-header', form);
+  const badge  = $('.status-badge', form);
+  const output = $('.code-block', form);
+  header.hidden = false;
+  output.hidden = false;
+  $('.docs-try-url', form).textContent = `${options.method} ${url}`;
+
+  try {
+    const res  = await fetch(url, options);
+    const type = res.headers.get('Content-Type') || '';
+    const text = await res.text();
+    badge.textContent = res.status;
+    badge.className = `status-badge s${String(res.status)[0]}xx`;
+    output.textContent = type.includes('json') ? JSON.stringify(JSON.parse(text), null, 2) : text;
+  } catch (err) {
+    badge.textContent = 'ERR';
+    badge.className = 'status-badge s5xx';
+    output.textContent = err.message;
+  }
+}
+
+async function login() {
+  const email = $('#docs-login-email').value.trim();
+  const password = $('#docs-login-password').value;
+  if (!email || !password) return;
+
+  const res = await fetch('/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  const json = await res.json();
+  if (!res.ok) {
+    alert(json.message);
+    return;
+  }
+  tokenInput.value = json.data.token;
+  localStorage.setItem(TOKEN_KEY, json.data.token);
+}
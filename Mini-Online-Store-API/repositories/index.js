@@ -0,0 +1,77 @@
+// ============================================================================
+// repositories/index.js — Repository Factory
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Pantry Manager**.  Chefs ask "give me the products shelf" and don't
+//   care whether it's the kitchen chalkboard (memory) or the office ledger
+//   (JSON file) behind it — the house rules (config) decide.
+//
+// 📐 USAGE:
+//   const { getRepository } = require('../repositories');
+//   const products = getRepository('products', seedProducts);
+//
+//   Backend is chosen with  STORE_DRIVER=json | memory  (see config/index.js).
+//   Each collection is created once and shared by everyone who asks for it.
+//
+//   watchRecords(listener) is told about every record written in any
+//   collection — the audit trail (utils/audit.js) listens here.
+// ============================================================================
+
+const config = require('../config');
+const createMemoryRepository   = require('./memoryRepository');
+const createJsonFileRepository = require('./jsonFileRepository');
+
+const repositories = new Map();
+const recordListeners = new Set();
+
+/**
+ * reportTo — The onRecordChanges callback of one collection: tags each
+ * change with the collection name and hands the batch to every listener.
+ */
+const reportTo = (name) => (changes) => {
+  const tagged = changes.map((change) => ({ collection: name, ...change }));
+  recordListeners.forEach((listener) => listener(tagged));
+};
+
+const drivers = {
+  memory: (name, seed) => createMemoryRepository({ seed, onRecordChanges: reportTo(name) }),
+  json:   (name, seed) => createJsonFileRepository(name, {
+    dataDir: config.storage.dataDir, seed, onRecordChanges: reportTo(name),
+  }),
+};
+
+/**
+ * getRepository — Returns the (shared) repository for a named collection.
+ *
+ * @param {string}   name       - Collection name, e.g. 'products'
+ * @param {object[]} [seed=[]]  - Initial records used the first time the collection is created
+ */
+const getRepository = (name, seed = []) => {
+  if (!repositories.has(name)) {
+    const driver = drivers[config.storage.driver];
+    if (!driver) {
+      throw new Error(
+        `Unknown STORE_DRIVER "${config.storage.driver}" — use one of: ${Object.keys(drivers).join(', ')}.`
+      );
+    }
+    repositories.set(name, driver(name, seed));
+  }
+  return repositories.get(name);
+};
+
+/**
+ * watchRecords — Registers a listener called after every saved write with
+ * the changed records: [{ collection, action, before, after }] (one batch
+ * per write, or per transaction).
+ *
+ * @param {Function} listener
+ */
+const watchRecords = (listener) => {
+  recordListeners.add(listener);
+};
+
+module.exports = {
+  getRepository,
+  watchRecords,
+};
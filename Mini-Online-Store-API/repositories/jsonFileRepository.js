@@ -0,0 +1,79 @@
+// ============================================================================
+// repositories/jsonFileRepository.js — JSON-File Repository Backend
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Ledger Book** in the manager's office.  Everything written on the
+//   kitchen chalkboard is also copied into the ledger, so the next morning
+//   (after a restart) the restaurant picks up exactly where it left off.
+//
+// 📐 HOW IT WORKS:
+//   • Records live in memory (see memoryRepository.js) for fast reads.
+//   • After every write the whole collection is saved to
+//     <dataDir>/<name>.json as  { "nextId": 6, "items": [ ... ] }.
+//   • Saves are ATOMIC: we write a temporary file, flush it to disk and then
+//     rename() it over the real file.  A crash mid-write leaves either the
+//     old file or the new one — never a half-written mix.
+//   • On first run (no file yet) the collection is seeded and saved.
+// ============================================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+const createMemoryRepository = require('./memoryRepository');
+
+/**
+ * writeFileAtomic — Replaces `file` with `contents` in a crash-safe way.
+ */
+const writeFileAtomic = (file, contents) => {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+};
+
+/**
+ * loadState — Reads a previously saved collection, or returns undefined.
+ */
+const loadState = (file) => {
+  if (!fs.existsSync(file)) return undefined;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read data file ${file}: ${err.message}`);
+  }
+};
+
+/**
+ * createJsonFileRepository — Builds a repository persisted to a JSON file.
+ *
+ * @param {string}   name              - Collection name (used as the file name)
+ * @param {object}   options
+ * @param {string}   options.dataDir   - Directory holding the JSON files
+ * @param {object[]} [options.seed=[]] - Records used on first run
+ * @param {Function} [options.onRecordChanges] - See memoryRepository.js
+ */
+const createJsonFileRepository = (name, { dataDir, seed = [], onRecordChanges }) => {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const file  = path.join(dataDir, `${name}.json`);
+  const state = loadState(file);
+  const save  = (current) => writeFileAtomic(file, JSON.stringify(current, null, 2));
+
+  const repository = createMemoryRepository({ seed, state, onChange: save, onRecordChanges });
+
+  if (!state) {
+    console.log(`[STORE] 🌱 Seeding ${name} → ${file}`);
+    save({ nextId: Math.max(0, ...seed.map((item) => item.id)) + 1, items: seed });
+  }
+
+  return repository;
+};
+
+module.exports = createJsonFileRepository;
@@ -0,0 +1,146 @@
+// ============================================================================
+// repositories/memoryRepository.js — In-Memory Repository Backend
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Chalkboard** in the kitchen.  Chefs can write orders on it, cross
+//   them out and read them back instantly — but when the restaurant closes
+//   (the process exits) the board is wiped clean.  Perfect for tests and
+//   quick experiments where you WANT a clean slate every time.
+//
+// 📐 REPOSITORY CONTRACT (shared by every backend):
+//   findAll()              → every record
+//   find(predicate)        → records for which predicate(record) is true
+//   findOne(predicate)     → first matching record, or undefined
+//   findById(id)           → record with that ID, or undefined
+//   count()                → number of records
+//   nextId()               → the ID the next insert() will receive
+//   insert(data)           → stores a new record with the next ID
+//   update(id, changes)    → merges changes into a record (null if missing)
+//   remove(id)             → deletes and returns a record (null if missing)
+//   transaction(work)      → runs work(repository) as ONE write: saved once
+//                            at the end, rolled back if anything throws
+//
+//   Records are handed out as COPIES, so callers can't change stored data
+//   without going through update().
+//
+//   Every saved write is also reported record by record — { action:
+//   'create' | 'update' | 'delete', before, after } — to `onRecordChanges`
+//   (used by the audit trail, see utils/audit.js).  A transaction reports
+//   its changes together once saved, and nothing if it is rolled back.
+// ============================================================================
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * createMemoryRepository — Builds a repository that keeps records in memory.
+ *
+ * @param {object}   [options]
+ * @param {object[]} [options.seed=[]]   - Records to start with (when no state is given)
+ * @param {object}   [options.state]     - Previously saved { nextId, items } to resume from
+ * @param {Function} [options.onChange]  - Called with the new state after every write
+ * @param {Function} [options.onRecordChanges] - Called with [{ action, before, after }] after every saved write
+ */
+const createMemoryRepository = ({
+  seed = [], state, onChange = () => {}, onRecordChanges = () => {},
+} = {}) => {
+  const items = clone(state ? state.items : seed);
+
+  // A counter (instead of `items.length + 1`) guarantees IDs are never reused
+  let nextId = state && state.nextId
+    ? state.nextId
+    : Math.max(0, ...items.map((item) => item.id)) + 1;
+
+  // Inside transaction() the record changes are collected here and saved &
+  // reported once, when the work is done (null = no transaction running)
+  let pending = null;
+
+  const indexOf = (id) => items.findIndex((item) => item.id === id);
+
+  /**
+   * changed — Saves the collection and reports the write (or, inside a
+   * transaction, only notes it).
+   */
+  const changed = (change) => {
+    if (pending) {
+      pending.push(change);
+      return;
+    }
+    onChange({ nextId, items });
+    onRecordChanges([change]);
+  };
+
+  const repository = {
+    findAll: () => clone(items),
+
+    find: (predicate) => clone(items.filter(predicate)),
+
+    findOne: (predicate) => clone(items.find(predicate)),
+
+    findById: (id) => clone(items.find((item) => item.id === id)),
+
+    count: () => items.length,
+
+    nextId: () => nextId,
+
+    insert: (data) => {
+      const record = { id: nextId++, ...clone(data) };
+      items.push(record);
+      changed({ action: 'create', before: null, after: clone(record) });
+      return clone(record);
+    },
+
+    update: (id, changes) => {
+      const index = indexOf(id);
+      if (index === -1) return null;
+      const before = items[index];
+      items[index] = { ...before, ...clone(changes), id };
+      changed({ action: 'update', before: clone(before), after: clone(items[index]) });
+      return clone(items[index]);
+    },
+
+    remove: (id) => {
+      const index = indexOf(id);
+      if (index === -1) return null;
+      const [removed] = items.splice(index, 1);
+      changed({ action: 'delete', before: clone(removed), after: null });
+      return removed;
+    },
+
+    /**
+     * transaction — Runs `work(repository)` (synchronously) as one write.
+     * If the work throws, or saving the result fails, the collection is put
+     * back exactly as it was and the error is rethrown.  A transaction
+     * started inside another one simply joins it.
+     *
+     * @param {Function} work
+     * @returns {*} Whatever `work` returns
+     */
+    transaction: (work) => {
+      if (pending) return work(repository);
+
+      const before = { nextId, items: clone(items) };
+      let result;
+      let recorded;
+      pending = [];
+      try {
+        result = work(repository);
+        recorded = pending;
+        pending = null;
+        if (recorded.length) onChange({ nextId, items });
+      } catch (err) {
+        pending = null;
+        nextId = before.nextId;
+        items.splice(0, items.length, ...before.items);
+        throw err;
+      }
+
+      if (recorded.length) onRecordChanges(recorded);
+      return result;
+    },
+  };
+
+  return repository;
+};
+
+module.exports = createMemoryRepository;
@@ -0,0 +1,36 @@
+// ============================================================================
+// routes/audit.js — Audit Trail Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The logbook lies in the manager's office: only the manager (admin) may
+//   read it, and there is no pen — the API offers no way to change it.
+//
+//   The bouncer (auth) is mounted in front of this router in app.js.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const auditController = require('../controllers/auditController');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/audit.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/audit');
+
+// --------- Define Routes ---------
+
+// GET /audit  →  Audit entries, filtered & paginated (needs "audit:read")
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validate(schemas.listAuditEntries),
+  auditController.listAuditEntries
+);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/audit" (behind the auth middleware).
+module.exports = router;
@@ -0,0 +1,43 @@
+// ============================================================================
+// routes/auth.js — Authentication Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Reception Desk** menu.  Registering and logging in are open to
+//   everyone (you can't show a wristband before you've been given one),
+//   and so is asking for a reset slip when you forgot your secret word.
+//   "Who am I?" and changing your password need a valid wristband.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const authController = require('../controllers/authController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/auth');
+
+// --------- Define Routes ---------
+
+// POST /auth/register  →  Create a customer account and receive a token
+router.post('/register', validate(schemas.register), authController.register);
+
+// POST /auth/login  →  Exchange credentials for a signed bearer token
+router.post('/login', validate(schemas.login), authController.login);
+
+// GET /auth/me  →  Return the authenticated user (token required)
+router.get('/me', auth, validate(schemas.me), authController.me);
+
+// PUT /auth/password  →  Change your password (token required)
+router.put('/password', auth, validate(schemas.changePassword), authController.changePassword);
+
+// POST /auth/forgot-password  →  Mail a single-use reset token
+router.post('/forgot-password', validate(schemas.forgotPassword), authController.forgotPassword);
+
+// POST /auth/reset-password  →  Set a new password with a reset token
+router.post('/reset-password', validate(schemas.resetPassword), authController.resetPassword);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/auth".
+module.exports = router;
@@ -0,0 +1,53 @@
+// ============================================================================
+// routes/cart.js — Shopping Cart Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The guest's personal **Order Pad**.  Every route works on the cart of
+//   the person wearing the wristband (req.user) — there is no :userId in
+//   the URL, so nobody can scribble on someone else's pad.
+//
+//   The bouncer (auth) is mounted in front of this router in app.js.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const cartController = require('../controllers/cartController');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/cart.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/cart');
+
+// Every cart route needs the "cart:manage" permission
+router.use(requirePermission(PERMISSIONS.CART_MANAGE));
+
+// --------- Define Routes ---------
+
+// GET /cart  →  Current user's cart with line totals & subtotal
+router.get('/', validate(schemas.getCart), cartController.getCart);
+
+// DELETE /cart  →  Remove every item
+router.delete('/', validate(schemas.clear), cartController.clear);
+
+// POST /cart/items  →  Add a product (body: { productId, quantity })
+router.post('/items', validate(schemas.addItem), cartController.addItem);
+
+// PATCH /cart/items/:productId  →  Change the quantity (body: { quantity })
+router.patch('/items/:productId', validate(schemas.updateItem), cartController.updateItem);
+
+// DELETE /cart/items/:productId  →  Remove a product from the cart
+router.delete('/items/:productId', validate(schemas.removeItem), cartController.removeItem);
+
+// POST /cart/coupon  →  Apply a discount code (body: { code })
+router.post('/coupon', validate(schemas.applyCoupon), cartController.applyCoupon);
+
+// DELETE /cart/coupon  →  Remove the discount code
+router.delete('/coupon', validate(schemas.removeCoupon), cartController.removeCoupon);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/cart" (behind the auth middleware).
+module.exports = router;
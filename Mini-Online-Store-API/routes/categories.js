@@ -0,0 +1,57 @@
+// ============================================================================
+// routes/categories.js — Category Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Table of Contents** of the menu.  Anyone may read it; only the
+//   manager (admin) may add, rename, move or remove sections.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const categoryController = require('../controllers/categoryController');
+
+// Request validation — schemas live in schemas/categories.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/categories');
+
+// Reads are cached like the products they count (see routes/products.js)
+const config = require('../config');
+const httpCache = require('../middleware/httpCache');
+const { catalogValidators } = require('../utils/catalogVersion');
+
+const catalogCache = httpCache(catalogValidators, { maxAge: config.cache.productsMaxAge });
+const categoryCache = httpCache(catalogValidators, {
+  maxAge: config.cache.productsMaxAge,
+  check: categoryController.checkCategoryExists,
+});
+
+// Writes need a token with "categories:manage"
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+const managers = [auth, requirePermission(PERMISSIONS.CATEGORIES_MANAGE)];
+
+// --------- Define Routes ---------
+
+// GET /categories  →  List categories (public; ?tree=true for a nested tree)
+router.get('/', validate(schemas.listCategories), catalogCache, categoryController.listCategories);
+
+// GET /categories/:id  →  One category with its sub-categories (public)
+router.get('/:id', validate(schemas.getCategory), categoryCache, categoryController.getCategoryById);
+
+// POST /categories  →  Create a category (admin only)
+router.post('/', managers, validate(schemas.createCategory), categoryController.createCategory);
+
+// PATCH /categories/:id  →  Rename / move / describe a category (admin only)
+router.patch('/:id', managers, validate(schemas.updateCategory), categoryController.updateCategory);
+
+// DELETE /categories/:id  →  Delete an unused category (admin only)
+router.delete('/:id', managers, validate(schemas.deleteCategory), categoryController.deleteCategory);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/categories".
+module.exports = router;
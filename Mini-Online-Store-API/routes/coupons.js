@@ -0,0 +1,47 @@
+// ============================================================================
+// routes/coupons.js — Coupon Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The manager's **Voucher Drawer**.  Only managers (admins) may print,
+//   edit or shred vouchers; guests redeem them through their cart
+//   (POST /cart/coupon) or at checkout (POST /orders).
+//
+//   The bouncer (auth) is mounted in front of this router in app.js.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const couponController = require('../controllers/couponController');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/coupons.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/coupons');
+
+// Every coupon route needs the "coupons:manage" permission
+router.use(requirePermission(PERMISSIONS.COUPONS_MANAGE));
+
+// --------- Define Routes ---------
+
+// GET /coupons  →  List all coupons
+router.get('/', validate(schemas.listCoupons), couponController.listCoupons);
+
+// GET /coupons/:id  →  One coupon with its redemptions
+router.get('/:id', validate(schemas.getCoupon), couponController.getCouponById);
+
+// POST /coupons  →  Create a coupon
+router.post('/', validate(schemas.createCoupon), couponController.createCoupon);
+
+// PATCH /coupons/:id  →  Update a coupon
+router.patch('/:id', validate(schemas.updateCoupon), couponController.updateCoupon);
+
+// DELETE /coupons/:id  →  Delete a coupon
+router.delete('/:id', validate(schemas.deleteCoupon), couponController.deleteCoupon);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/coupons" (behind the auth middleware).
+module.exports = router;
@@ -0,0 +1,43 @@
+// ============================================================================
+// routes/currencies.js — Currency & Exchange-Rate Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Bureau de Change Board**.  Anyone may read which currencies the
+//   menu can be shown in; only the manager (admin) chalks up new rates.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const currencyController = require('../controllers/currencyController');
+
+// Request validation — schemas live in schemas/currencies.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/currencies');
+
+// The rate table needs a token with "currencies:manage"
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+const managers = [auth, requirePermission(PERMISSIONS.CURRENCIES_MANAGE)];
+
+// --------- Define Routes ---------
+
+// GET /currencies  →  Supported currencies with the rate in effect (public)
+router.get('/', validate(schemas.listCurrencies), currencyController.listCurrencies);
+
+// GET /currencies/rates  →  Exchange-rate table (admin only)
+router.get('/rates', managers, validate(schemas.listRates), currencyController.listRates);
+
+// POST /currencies/rates  →  Add a rate, now or scheduled (admin only)
+router.post('/rates', managers, validate(schemas.createRate), currencyController.createRate);
+
+// DELETE /currencies/rates/:id  →  Delete a mistaken rate (admin only)
+router.delete('/rates/:id', managers, validate(schemas.deleteRate), currencyController.deleteRate);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/currencies".
+module.exports = router;
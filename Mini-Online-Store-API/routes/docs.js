@@ -0,0 +1,31 @@
+// ============================================================================
+// routes/docs.js — API Documentation Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Menu Rack** by the entrance — free for everyone to read.
+//
+//   GET /openapi.json → machine-readable OpenAPI document
+//   GET /docs         → human-readable page built from that document
+//                       (served locally, no CDN)
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const docsController = require('../controllers/docsController');
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/docs');
+
+// --------- Define Routes ---------
+
+// GET /openapi.json  →  OpenAPI 3.0 document generated from the routes
+router.get('/openapi.json', validate(schemas.spec), docsController.getSpec);
+
+// GET /docs  →  Interactive docs page
+router.get('/docs', validate(schemas.page), docsController.getDocsPage);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the root path.
+module.exports = router;
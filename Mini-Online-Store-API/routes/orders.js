@@ -0,0 +1,47 @@
+// ============================================================================
+// routes/orders.js — Order Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Kitchen Ticket Rail**.  Guests hand in their order pad (checkout),
+//   check on their own tickets, and the manager moves tickets from station
+//   to station (status changes).
+//
+//   The bouncer (auth) is mounted in front of this router in app.js; which
+//   tickets a user may SEE is decided inside the controller.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const orderController = require('../controllers/orderController');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/orders.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/orders');
+
+// --------- Define Routes ---------
+
+// POST /orders  →  Checkout: turn the cart (or body.items) into an order
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.ORDERS_CREATE),
+  validate(schemas.checkout),
+  orderController.checkout
+);
+
+// GET /orders  →  Own orders (customers) or all orders (admins), ?status= filter
+router.get('/', validate(schemas.listOrders), orderController.listOrders);
+
+// GET /orders/:id  →  A single order
+router.get('/:id', validate(schemas.getOrder), orderController.getOrderById);
+
+// PATCH /orders/:id/status  →  Move the order through its lifecycle
+router.patch('/:id/status', validate(schemas.updateStatus), orderController.updateOrderStatus);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/orders" (behind the auth middleware).
+module.exports = router;
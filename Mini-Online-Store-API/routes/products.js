@@ -24,15 +24,122 @@ const express = require('express');
 // handling its own middleware and routes.
 const router = express.Router();
 
-// Import the controller that contains the business logic for products
-const productController = require('../controllers/productController');
+// Import the controllers that contain the business logic for products
+const productController   = require('../controllers/productController');
+const inventoryController = require('../controllers/inventoryController');
+const productStreamController = require('../controllers/productStreamController');
+const productImageController  = require('../controllers/productImageController');
+const productBulkController   = require('../controllers/productBulkController');
+
+// Request validation — schemas live in schemas/products.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/products');
+
+// Public reads answer conditional requests (304) from the catalog version
+const config = require('../config');
+const httpCache = require('../middleware/httpCache');
+const { catalogValidators } = require('../utils/catalogVersion');
+
+// The controller's own checks run first, so a bad query or an unknown ID
+// gets its 400 / 404 even when the client's copy matches
+const listCache = httpCache(catalogValidators, {
+  maxAge: config.cache.productsMaxAge,
+  check: productController.checkListQuery,
+});
+const productCache = httpCache(catalogValidators, {
+  maxAge: config.cache.productsMaxAge,
+  check: productController.checkProductExists,
+});
+
+// Picks the currency prices are shown in (?currency= / Accept-Currency)
+const negotiateCurrency = require('../middleware/currency');
+
+// Nested router for /products/:id/reviews
+const reviewRoutes = require('./reviews');
+
+// Write operations are for authenticated admins only: the bouncer (auth)
+// checks the token, then the floor manager checks "products:write".
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+const adminOnly = [auth, requirePermission(PERMISSIONS.PRODUCTS_WRITE)];
+
+// Image uploads arrive as multipart/form-data (checked AFTER the admin check,
+// so anonymous uploads are refused before their body is read)
+const uploadFiles = require('../middleware/upload');
+
+const imageUpload = uploadFiles({
+  field: 'images',
+  maxFiles: config.uploads.maxImagesPerProduct,
+  maxFileSize: config.uploads.maxImageSize,
+});
+
+// Catalog import files arrive the same way — one CSV / JSON file
+const importFile = uploadFiles({ field: 'file', maxFiles: 1, maxFileSize: config.catalogImport.maxFileSize });
+
+const inventoryManagers = [auth, requirePermission(PERMISSIONS.INVENTORY_MANAGE)];
 
 // --------- Define Routes ---------
 
 // GET /products  →  Returns all products
 //   The controller function is the "chef" that prepares the response.
 //   The route simply maps the HTTP verb + path to the correct controller.
-router.get('/', productController.getAllProducts);
+//   validate() checks & coerces the query string before the chef sees it,
+//   negotiateCurrency picks the currency, and listCache answers 304 if
+//   the client's copy is still current.
+router.get('/', validate(schemas.listProducts), negotiateCurrency, listCache, productController.getAllProducts);
+
+// GET /products/stream  →  Live product changes as Server-Sent Events (public)
+//   Declared before /:id so "stream" isn't taken for a product ID.
+router.get('/stream', validate(schemas.streamProducts), negotiateCurrency, productStreamController.streamProducts);
+
+// GET /products/export  →  Download the catalog as CSV / JSON (admin only, before /:id)
+router.get('/export', adminOnly, validate(schemas.exportProducts), productBulkController.exportProducts);
+
+// POST /products/import  →  Dry-run or commit a CSV / JSON file (admin only)
+router.post('/import', adminOnly, importFile, validate(schemas.importProducts), productBulkController.importProducts);
+
+// GET /products/:id  →  Returns a single product (public)
+router.get('/:id', validate(schemas.getProduct), negotiateCurrency, productCache, productController.getProductById);
+
+// POST /products  →  Create a product (admin only)
+router.post('/', adminOnly, validate(schemas.createProduct), productController.createProduct);
+
+// PUT /products/:id  →  Replace a product — an omitted SKU is removed (admin only)
+router.put('/:id', adminOnly, validate(schemas.replaceProduct), productController.replaceProduct);
+
+// PATCH /products/:id  →  Update some fields of a product (admin only)
+router.patch('/:id', adminOnly, validate(schemas.updateProduct), productController.updateProduct);
+
+// DELETE /products/:id  →  Remove a product (admin only)
+router.delete('/:id', adminOnly, validate(schemas.deleteProduct), productController.deleteProduct);
+
+// POST /products/:id/stock  →  Adjust stock with a reason (admin only)
+router.post('/:id/stock', inventoryManagers, validate(schemas.adjustStock), inventoryController.adjustStock);
+
+// GET /products/:id/stock/movements  →  Inventory movement history (admin only)
+router.get(
+  '/:id/stock/movements',
+  inventoryManagers,
+  validate(schemas.stockMovements),
+  inventoryController.getMovements
+);
+
+// GET /products/:id/images  →  A product's images (public)
+router.get('/:id/images', validate(schemas.listImages), productImageController.listImages);
+
+// POST /products/:id/images  →  Upload images (admin only, multipart/form-data)
+router.post('/:id/images', adminOnly, imageUpload, validate(schemas.uploadImages), productImageController.uploadImages);
+
+// PATCH /products/:id/images/:imageId  →  Alt text / make primary (admin only)
+router.patch('/:id/images/:imageId', adminOnly, validate(schemas.updateImage), productImageController.updateImage);
+
+// DELETE /products/:id/images/:imageId  →  Delete an image (admin only)
+router.delete('/:id/images/:imageId', adminOnly, validate(schemas.deleteImage), productImageController.deleteImage);
+
+// /products/:id/reviews/*  →  Product reviews (see routes/reviews.js)
+router.use('/:id/reviews', reviewRoutes);
 
 // --------- Export the Router ---------
 // This router will be mounted in app.js at the base path "/products".
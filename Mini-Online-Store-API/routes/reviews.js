@@ -0,0 +1,55 @@
+// ============================================================================
+// routes/reviews.js — Product Review Routes (nested Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Guest Book** chained to each dish on the menu.  Reading it is
+//   free for everyone; writing in it needs a wristband; covering up an
+//   entry is the manager's job.
+//
+// 📐 NESTED ROUTER:
+//   Mounted by routes/products.js at "/:id/reviews", so the product ID is
+//   part of the parent path.  `mergeParams: true` lets this router read
+//   it as req.params.id.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router({ mergeParams: true });
+
+const reviewController = require('../controllers/reviewController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/reviews.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/reviews');
+
+const writers    = [auth, requirePermission(PERMISSIONS.REVIEWS_WRITE)];
+const moderators = [auth, requirePermission(PERMISSIONS.REVIEWS_MODERATE)];
+
+// --------- Define Routes ---------
+
+// GET /products/:id/reviews  →  Visible reviews (public)
+router.get('/', validate(schemas.listReviews), reviewController.listReviews);
+
+// POST /products/:id/reviews  →  Post a review (one per user per product)
+router.post('/', writers, validate(schemas.createReview), reviewController.createReview);
+
+// PATCH /products/:id/reviews/:reviewId  →  Edit your own review
+router.patch('/:reviewId', writers, validate(schemas.updateReview), reviewController.updateReview);
+
+// DELETE /products/:id/reviews/:reviewId  →  Delete your own review (moderators: any)
+router.delete('/:reviewId', writers, validate(schemas.deleteReview), reviewController.deleteReview);
+
+// PATCH /products/:id/reviews/:reviewId/moderation  →  Hide / restore (moderators only)
+router.patch(
+  '/:reviewId/moderation',
+  moderators,
+  validate(schemas.moderateReview),
+  reviewController.moderateReview
+);
+
+// --------- Export the Router ---------
+module.exports = router;
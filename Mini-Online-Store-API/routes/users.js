@@ -23,19 +23,65 @@ const router = express.Router();
 // Import the controller that contains the business logic for users
 const userController = require('../controllers/userController');
 
+// Permission checks — `auth` (mounted in app.js) has already set req.user
+const { requirePermission, requireOwnerOrPermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/users.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/users');
+
+const ownerOrAdmin = requireOwnerOrPermission(PERMISSIONS.USERS_UPDATE_ANY, PERMISSIONS.USERS_UPDATE_OWN);
+
 // --------- Define Routes ---------
 
+// GET /users  →  List users with search (?q=), role filter & pagination (admins only)
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.USERS_READ_ANY),
+  validate(schemas.listUsers),
+  userController.listUsers
+);
+
 // GET /users/:id  →  Fetch a specific user by ID
 //   :id is a Route Parameter — Express captures the value from the URL
 //   and makes it available via req.params.id inside the controller.
 //   Example: GET /users/2  →  req.params.id === '2'
-router.get('/:id', userController.getUserById);
+//   Admins may read anyone; customers may only read their own record.
+router.get(
+  '/:id',
+  validate(schemas.getUser),
+  requireOwnerOrPermission(PERMISSIONS.USERS_READ_ANY, PERMISSIONS.USERS_READ_OWN),
+  userController.getUserById
+);
 
 // POST /users  →  Create a new user
 //   The client sends a JSON body with the user data.
 //   express.json() middleware (applied globally in app.js) parses the body
 //   and makes it available via req.body inside the controller.
-router.post('/', userController.createUser);
+//   Only roles holding "users:create" (admins) may create users.
+//   validate() rejects bad emails, unknown roles and unexpected fields.
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.USERS_CREATE),
+  validate(schemas.createUser),
+  userController.createUser
+);
+
+// PUT /users/:id  →  Replace name & email (admins: anyone, customers: themselves)
+//   Only holders of "users:update:any" may change a role (checked in the controller).
+router.put('/:id', validate(schemas.replaceUser), ownerOrAdmin, userController.replaceUser);
+
+// PATCH /users/:id  →  Update some fields (same rules as PUT)
+router.patch('/:id', validate(schemas.updateUser), ownerOrAdmin, userController.updateUser);
+
+// DELETE /users/:id  →  Delete an account (admins only; never the last admin)
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.USERS_DELETE),
+  validate(schemas.deleteUser),
+  userController.deleteUser
+);
 
 // --------- Export the Router ---------
 // This router will be mounted in app.js at the base path "/users".
@@ -0,0 +1,61 @@
+// ============================================================================
+// routes/webhooks.js — Webhook Routes (Express Router)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The runner's desk.  Only the manager (admin) may add partners to the
+//   subscription book, read the delivery book or send a note again.
+//
+//   The bouncer (auth) is mounted in front of this router in app.js.
+// ============================================================================
+
+const express = require('express');
+
+const router = express.Router();
+
+const webhookController = require('../controllers/webhookController');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Request validation — schemas live in schemas/webhooks.js
+const validate = require('../middleware/validate');
+const schemas  = require('../schemas/webhooks');
+
+// Every webhook route needs the "webhooks:manage" permission
+router.use(requirePermission(PERMISSIONS.WEBHOOKS_MANAGE));
+
+// --------- Define Routes ---------
+
+// GET /webhooks/events  →  Event types to subscribe to (before /:id)
+router.get('/events', validate(schemas.listEventTypes), webhookController.listEventTypes);
+
+// GET /webhooks  →  List subscriptions
+router.get('/', validate(schemas.listWebhooks), webhookController.listWebhooks);
+
+// GET /webhooks/:id  →  One subscription
+router.get('/:id', validate(schemas.getWebhook), webhookController.getWebhookById);
+
+// POST /webhooks  →  Subscribe a URL
+router.post('/', validate(schemas.createWebhook), webhookController.createWebhook);
+
+// PATCH /webhooks/:id  →  Change a subscription
+router.patch('/:id', validate(schemas.updateWebhook), webhookController.updateWebhook);
+
+// DELETE /webhooks/:id  →  Unsubscribe
+router.delete('/:id', validate(schemas.deleteWebhook), webhookController.deleteWebhook);
+
+// POST /webhooks/:id/ping  →  Test delivery
+router.post('/:id/ping', validate(schemas.pingWebhook), webhookController.pingWebhook);
+
+// GET /webhooks/:id/deliveries  →  Delivery log
+router.get('/:id/deliveries', validate(schemas.listDeliveries), webhookController.listDeliveries);
+
+// GET /webhooks/:id/deliveries/:deliveryId  →  One delivery with its attempts
+router.get('/:id/deliveries/:deliveryId', validate(schemas.getDelivery), webhookController.getDelivery);
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver  →  Send it again
+router.post('/:id/deliveries/:deliveryId/redeliver', validate(schemas.redeliver), webhookController.redeliver);
+
+// --------- Export the Router ---------
+// Mounted in app.js at the base path "/webhooks" (behind the auth middleware).
+module.exports = router;
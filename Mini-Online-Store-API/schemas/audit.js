@@ -0,0 +1,26 @@
+// ============================================================================
+// schemas/audit.js — Validation Schemas for /audit Routes
+// ============================================================================
+
+const { AUDIT_RESOURCES, AUDIT_ACTIONS } = require('../utils/audit');
+
+module.exports = {
+  listAuditEntries: {
+    summary: 'Audit trail of write operations, newest first',
+    description: 'One entry per created, updated or deleted record, with who did it, the request and '
+      + 'the changed fields as `{ from, to }`. Secrets show as `[REDACTED]`.',
+    response: { data: ['AuditEntry'], paginated: true },
+    query: {
+      actorId:    { type: 'integer', min: 1, description: 'Only changes made by this user' },
+      resource:   { type: 'string', enum: AUDIT_RESOURCES, description: 'Only changes to this kind of record' },
+      resourceId: { type: 'integer', min: 1, description: 'Only changes to the record with this ID' },
+      action:     { type: 'string', enum: AUDIT_ACTIONS, description: 'Only creates, updates or deletes' },
+      requestId:  { type: 'string', trim: true, maxLength: 128, description: 'Only changes made by this request (X-Request-Id)' },
+      from:       { type: 'string', format: 'date-time', description: 'Changes at or after this time' },
+      to:         { type: 'string', format: 'date-time', description: 'Changes at or before this time' },
+      sort:       { type: 'string', description: 'Comma-separated sort fields, "-" prefix = descending (default "-id": newest first)' },
+      page:       { type: 'integer', min: 1, default: 1, description: 'Page number (1-based)' },
+      limit:      { type: 'integer', min: 1, max: 100, default: 20, description: 'Page size' },
+    },
+  },
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// schemas/auth.js — Validation Schemas for /auth Routes
+// ============================================================================
+//
+// Only length limits are checked here — the password strength rules
+// (utils/password.js) need the user's name & email, so the controller
+// applies them and answers 400 WEAK_PASSWORD.
+// ============================================================================
+
+const email    = { type: 'string', required: true, trim: true, format: 'email', maxLength: 254 };
+const password = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+
+module.exports = {
+  register: {
+    summary: 'Create a customer account and receive a token',
+    response: { status: 201, data: 'AuthToken' },
+    errors: [409],
+    body: {
+      name:     { type: 'string', required: true, trim: true, minLength: 1, maxLength: 100, description: 'Full name' },
+      email:    { ...email, description: 'Email address (must be unique)' },
+      password: { ...password, description: 'Password (see the strength rules)' },
+    },
+  },
+
+  login: {
+    summary: 'Exchange email & password for a signed bearer token',
+    response: { data: 'AuthToken' },
+    errors: [401],
+    body: {
+      email:    { ...email, description: 'Account email address' },
+      password: { ...password, description: 'Account password' },
+    },
+  },
+
+  me: {
+    summary: 'Return the authenticated user',
+    response: { data: 'User' },
+  },
+
+  changePassword: {
+    summary: 'Change your password (signs out your other sessions)',
+    description: 'Answers with a new token; tokens issued before the change are rejected with `AUTH_TOKEN_REVOKED`.',
+    response: { data: 'AuthToken' },
+    body: {
+      currentPassword: { ...password, description: 'Your current password' },
+      newPassword:     { ...password, description: 'The new password (see the strength rules)' },
+    },
+  },
+
+  forgotPassword: {
+    summary: 'Mail a single-use password reset token',
+    description: 'Always answers 202, whether or not the email belongs to an account.',
+    response: { status: 202 },
+    body: {
+      email: { ...email, description: 'Account email address' },
+    },
+  },
+
+  resetPassword: {
+    summary: 'Set a new password with a reset token',
+    description: 'Fails with `RESET_TOKEN_INVALID` (unknown or used) or `RESET_TOKEN_EXPIRED`.',
+    body: {
+      token:    { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200, description: 'Token from the reset email' },
+      password: { ...password, description: 'The new password (see the strength rules)' },
+    },
+  },
+};
@@ -0,0 +1,57 @@
+// ============================================================================
+// schemas/cart.js — Validation Schemas for /cart Routes
+// ============================================================================
+
+const { idParam, quantity } = require('./common');
+
+const itemParams = { productId: idParam('Product ID') };
+
+module.exports = {
+  getCart: {
+    summary: "Current user's cart with line totals & subtotal",
+    response: { data: 'Cart' },
+  },
+
+  clear: {
+    summary: 'Remove every item',
+    response: { data: 'Cart' },
+  },
+
+  addItem: {
+    summary: 'Add a product to the cart',
+    response: { status: 201, data: 'Cart' },
+    body: {
+      productId: idParam('Product ID'),
+      quantity:  { ...quantity, default: 1 },
+    },
+  },
+
+  updateItem: {
+    summary: 'Change the quantity of a cart item',
+    response: { data: 'Cart' },
+    params: itemParams,
+    body: {
+      quantity: { ...quantity, required: true },
+    },
+  },
+
+  removeItem: {
+    summary: 'Remove a product from the cart',
+    response: { data: 'Cart' },
+    params: itemParams,
+  },
+
+  applyCoupon: {
+    summary: 'Apply a discount code',
+    description: 'Rejected coupons (unknown, expired, used up, not applicable) answer 400 COUPON_REJECTED.',
+    response: { data: 'Cart' },
+    body: {
+      code: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 32, description: 'Coupon code' },
+    },
+  },
+
+  removeCoupon: {
+    summary: 'Remove the discount code',
+    response: { data: 'Cart' },
+  },
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// schemas/categories.js — Validation Schemas for /categories Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+
+const fields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: 60, description: 'Unique category name' },
+  slug: {
+    type: 'string', trim: true, maxLength: 60, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    patternMessage: '"slug" must be lower-case letters and digits separated by single "-".',
+    description: 'Unique URL-friendly name (derived from the name when omitted)',
+  },
+  parentId: { type: 'integer', min: 1, nullable: true, description: 'Parent category ID (null = top level)' },
+  icon: {
+    type: 'string', trim: true, maxLength: 40, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    patternMessage: '"icon" must be a Lucide icon name, e.g. "headphones".',
+    description: 'Lucide icon name shown by the frontend (default "box")',
+  },
+  description: { type: 'string', trim: true, maxLength: 300, description: 'Short description' },
+};
+
+const categoryParams = { id: idParam('Category ID') };
+
+module.exports = {
+  listCategories: {
+    summary: 'List categories with paths and product counts',
+    response: { data: ['Category'] },
+    query: {
+      tree: { type: 'boolean', default: false, description: 'Nest sub-categories under their parents (`children`)' },
+    },
+  },
+
+  getCategory: {
+    summary: 'Get a category with its direct sub-categories',
+    response: { data: 'Category' },
+    params: categoryParams,
+  },
+
+  createCategory: {
+    summary: 'Create a category',
+    response: { status: 201, data: 'Category' },
+    errors: [409],
+    body: {
+      ...fields,
+      name: { ...fields.name, required: true },
+    },
+  },
+
+  updateCategory: {
+    summary: 'Rename, move or describe a category',
+    description: 'A new name is applied to every product and coupon in the category. ' +
+      'Moving a category below itself or a sub-category fails with `CATEGORY_CYCLE`.',
+    response: { data: 'Category' },
+    errors: [409],
+    params: categoryParams,
+    body: fields,
+  },
+
+  deleteCategory: {
+    summary: 'Delete an unused category',
+    description: 'Refused with 409 `CATEGORY_IN_USE` while products, sub-categories or coupons refer to it.',
+    response: { data: 'Category' },
+    errors: [409],
+    params: categoryParams,
+  },
+};
@@ -0,0 +1,24 @@
+// ============================================================================
+// schemas/common.js — Validation Rules Shared by Several Resources
+// ============================================================================
+//
+// Building blocks for the route schemas in this folder.  See
+// middleware/validate.js for the rule format.
+// ============================================================================
+
+/**
+ * idParam — Rule for a numeric ID in the URL (e.g. /users/:id).
+ *
+ * @param {string} [description]
+ */
+const idParam = (description = 'Numeric ID') => ({
+  type: 'integer', required: true, min: 1, description,
+});
+
+// Positive integer quantity (cart lines, order lines)
+const quantity = { type: 'integer', min: 1, description: 'Number of units' };
+
+module.exports = {
+  idParam,
+  quantity,
+};
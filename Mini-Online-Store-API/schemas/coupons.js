@@ -0,0 +1,63 @@
+// ============================================================================
+// schemas/coupons.js — Validation Schemas for /coupons Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+const { COUPON_TYPES } = require('../controllers/couponController');
+
+const fields = {
+  code: {
+    type: 'string', trim: true, pattern: /^[A-Za-z0-9_-]{3,32}$/,
+    patternMessage: '"code" must be 3–32 letters, digits, "-" or "_".',
+    description: 'Coupon code (stored upper-case)',
+  },
+  type:         { type: 'string', enum: COUPON_TYPES, description: 'Percentage off or fixed amount off' },
+  value:        { type: 'number', exclusiveMin: 0, description: 'Percent (≤ 100) or amount' },
+  category:     { type: 'string', trim: true, nullable: true, description: 'Only discount items of this category (name or slug) or its sub-categories' },
+  minSubtotal:  { type: 'number', min: 0, nullable: true, description: 'Minimum cart subtotal' },
+  expiresAt:    { type: 'string', format: 'date-time', nullable: true, description: 'Expiry date-time (ISO 8601)' },
+  maxUses:      { type: 'integer', min: 1, nullable: true, description: 'Total number of uses allowed' },
+  perUserLimit: { type: 'integer', min: 1, nullable: true, description: 'Uses allowed per customer' },
+  active:       { type: 'boolean', description: 'Inactive coupons are rejected' },
+};
+
+const couponParams = { id: idParam('Coupon ID') };
+
+module.exports = {
+  listCoupons: {
+    summary: 'List all coupons',
+    response: { data: ['Coupon'] },
+  },
+
+  getCoupon: {
+    summary: 'One coupon with its redemptions',
+    response: { data: 'Coupon' },
+    params: couponParams,
+  },
+
+  createCoupon: {
+    summary: 'Create a coupon',
+    response: { status: 201, data: 'Coupon' },
+    errors: [409],
+    body: {
+      ...fields,
+      code:  { ...fields.code, required: true },
+      type:  { ...fields.type, required: true },
+      value: { ...fields.value, required: true },
+    },
+  },
+
+  updateCoupon: {
+    summary: 'Update a coupon',
+    response: { data: 'Coupon' },
+    errors: [409],
+    params: couponParams,
+    body: fields,
+  },
+
+  deleteCoupon: {
+    summary: 'Delete a coupon',
+    response: { data: 'Coupon' },
+    params: couponParams,
+  },
+};
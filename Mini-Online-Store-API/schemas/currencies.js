@@ -0,0 +1,43 @@
+// ============================================================================
+// schemas/currencies.js — Validation Schemas for /currencies Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/money');
+
+// Rates are kept for every currency except the one prices are stored in
+const RATE_CURRENCIES = Object.keys(CURRENCIES).filter((code) => code !== BASE_CURRENCY);
+
+module.exports = {
+  listCurrencies: {
+    summary: 'Supported currencies with the exchange rate in effect',
+    response: { data: ['Currency'] },
+  },
+
+  listRates: {
+    summary: 'Exchange-rate table, newest first',
+    response: { data: ['ExchangeRate'] },
+    query: {
+      currency: { type: 'string', enum: RATE_CURRENCIES, description: 'Only rates of this currency' },
+    },
+  },
+
+  createRate: {
+    summary: 'Add an exchange rate, effective now or from a later moment',
+    description: `\`rate\` is the number of \`currency\` units per 1 ${BASE_CURRENCY}.`,
+    response: { status: 201, data: 'ExchangeRate' },
+    errors: [409],
+    body: {
+      currency:      { type: 'string', required: true, enum: RATE_CURRENCIES, description: 'ISO 4217 code' },
+      rate:          { type: 'number', required: true, exclusiveMin: 0, max: 1000000, description: `Units per 1 ${BASE_CURRENCY}` },
+      effectiveFrom: { type: 'string', format: 'date-time', description: 'When the rate starts to apply (default: now)' },
+      note:          { type: 'string', trim: true, maxLength: 200, description: 'Free-text note (e.g. the source)' },
+    },
+  },
+
+  deleteRate: {
+    summary: 'Delete a mistaken exchange rate',
+    response: { data: 'ExchangeRate' },
+    params: { id: idParam('Exchange rate ID') },
+  },
+};
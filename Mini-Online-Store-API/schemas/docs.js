@@ -0,0 +1,27 @@
+// ============================================================================
+// schemas/docs.js — Schemas for the Documentation Routes
+// ============================================================================
+//
+// These routes take no input; the schemas only describe them in the
+// generated OpenAPI document (see utils/openapi.js).
+// ============================================================================
+
+module.exports = {
+  welcome: {
+    summary: 'Welcome message with the list of endpoints',
+    tag: 'Docs',
+    response: { mediaType: 'application/json' },
+  },
+
+  spec: {
+    summary: 'This OpenAPI 3.0 document',
+    tag: 'Docs',
+    response: { mediaType: 'application/json' },
+  },
+
+  page: {
+    summary: 'Interactive API documentation (HTML page)',
+    tag: 'Docs',
+    response: { mediaType: 'text/html' },
+  },
+};
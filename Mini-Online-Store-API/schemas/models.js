@@ -0,0 +1,346 @@
+// ============================================================================
+// schemas/models.js — Response Models (for the API documentation)
+// ============================================================================
+//
+// What the API sends BACK, written in the same rule format as the request
+// schemas (see middleware/validate.js).  Route schemas point at these by
+// name — e.g. `response: { data: 'Product' }` — and utils/openapi.js turns
+// them into `components.schemas` of the OpenAPI document.
+//
+// `model: 'Name'` references another model.
+// ============================================================================
+
+const { ORDER_STATUSES } = require('../controllers/orderController');
+const { COUPON_TYPES } = require('../controllers/couponController');
+const { DELIVERY_STATUSES } = require('../controllers/webhookController');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+const { AUDIT_RESOURCES, AUDIT_ACTIONS } = require('../utils/audit');
+
+const id        = (description) => ({ type: 'integer', description });
+const money     = (description) => ({ type: 'number', description });
+const timestamp = (description) => ({ type: 'string', format: 'date-time', description });
+
+module.exports = {
+  Product: {
+    id:            id('Product ID'),
+    sku:           { type: 'string', nullable: true, description: 'Stock keeping unit (unique, upper case)' },
+    name:          { type: 'string', description: 'Product name' },
+    price:         money('Unit price, rounded to the minor unit of `currency`'),
+    currency:      { type: 'string', description: 'ISO 4217 code of `price` (USD unless converted)' },
+    category:      { type: 'string', description: 'Category name (see Category)' },
+    stock:         { type: 'integer', description: 'Units in stock' },
+    inStock:       { type: 'boolean', description: 'true while stock > 0' },
+    availability:  { type: 'string', enum: ['in_stock', 'low_stock', 'out_of_stock'], description: 'Stock level bucket' },
+    averageRating: { type: 'number', nullable: true, description: 'Average of visible reviews (null without reviews)' },
+    reviewCount:   { type: 'integer', description: 'Number of visible reviews' },
+    imageUrl:      { type: 'string', nullable: true, description: 'URL of the primary image (null without images)' },
+    images:        { type: 'array', items: { model: 'ProductImage' }, description: 'Every image, primary first' },
+  },
+
+  ProductImage: {
+    id:          id('Image ID'),
+    url:         { type: 'string', description: 'Where the image is served (content-hashed, cacheable for a year)' },
+    alt:         { type: 'string', description: 'Alt text' },
+    primary:     { type: 'boolean', description: 'Shown on the product card' },
+    contentType: { type: 'string', description: 'Detected image type, e.g. image/png' },
+    size:        { type: 'integer', description: 'Bytes' },
+    createdAt:   timestamp('Uploaded at'),
+  },
+
+  ImportRow: {
+    row:       { type: 'integer', description: 'Row in the file (a CSV header is row 1)' },
+    action:    { type: 'string', enum: ['create', 'update', 'unchanged', 'error'], description: 'What the row does / did' },
+    productId: { type: 'integer', nullable: true, description: 'Matched or created product (null before a create is committed)' },
+    sku:       { type: 'string', nullable: true, description: 'SKU of the product' },
+    changes:   { type: 'object', description: 'Changed fields as { field: { from, to } } (for a create: from is null)' },
+    warnings:  { type: 'array', items: { type: 'string' }, description: 'Values that were ignored' },
+    errors:    { type: 'array', items: { type: 'object' }, description: 'Problems as { field, code, message }' },
+  },
+
+  ImportReport: {
+    mode:      { type: 'string', enum: ['dry-run', 'commit'], description: 'Whether the changes were applied' },
+    format:    { type: 'string', enum: ['csv', 'json'], description: 'How the file was read' },
+    summary:   { type: 'object', description: 'Row counts: { rows, create, update, unchanged, error }' },
+    rows:      { type: 'array', items: { model: 'ImportRow' }, description: 'One entry per product row' },
+  },
+
+  Conversion: {
+    code:          { type: 'string', description: 'Currency the prices are shown in' },
+    base:          { type: 'string', description: 'Currency prices are stored in (USD)' },
+    rate:          { type: 'number', description: 'Units of `code` per 1 unit of `base`' },
+    rateId:        { type: 'integer', nullable: true, description: 'Exchange rate used (null for the base currency)' },
+    effectiveFrom: { type: 'string', format: 'date-time', nullable: true, description: 'Since when that rate applies' },
+    minorUnits:    { type: 'integer', description: 'Decimals prices are rounded to (0 for JPY, 3 for KWD)' },
+  },
+
+  Currency: {
+    code:          { type: 'string', description: 'ISO 4217 code' },
+    name:          { type: 'string', description: 'Currency name' },
+    minorUnits:    { type: 'integer', description: 'Decimals the currency is counted in' },
+    base:          { type: 'boolean', description: 'true for the currency prices are stored in' },
+    available:     { type: 'boolean', description: 'false until a rate is in effect' },
+    rate:          { type: 'number', nullable: true, description: 'Rate in effect now' },
+    effectiveFrom: { type: 'string', format: 'date-time', nullable: true, description: 'Since when that rate applies' },
+  },
+
+  ExchangeRate: {
+    id:            id('Exchange rate ID'),
+    currency:      { type: 'string', description: 'ISO 4217 code' },
+    rate:          { type: 'number', description: 'Units of `currency` per 1 USD' },
+    effectiveFrom: timestamp('Applies from this moment until a later rate takes over'),
+    note:          { type: 'string', description: 'Free-text note (e.g. the source)' },
+    status:        { type: 'string', enum: ['scheduled', 'current', 'superseded'], description: 'Relative to now' },
+    createdBy:     { type: 'integer', nullable: true, description: 'Admin who added it (null = seed data)' },
+    createdAt:     timestamp('Added at'),
+  },
+
+  Category: {
+    id:                id('Category ID'),
+    name:              { type: 'string', description: 'Unique name — what products refer to' },
+    slug:              { type: 'string', description: 'Unique URL-friendly name, e.g. "home-garden"' },
+    parentId:          { type: 'integer', nullable: true, description: 'Parent category (null = top level)' },
+    icon:              { type: 'string', description: 'Lucide icon name used by the frontend' },
+    description:       { type: 'string', description: 'Short description' },
+    path:              { type: 'string', description: 'Names from the top level down, e.g. "Electronics / Audio"' },
+    depth:             { type: 'integer', description: '0 for top-level categories' },
+    productCount:      { type: 'integer', description: 'Products directly in this category' },
+    totalProductCount: { type: 'integer', description: 'Products in this category and its sub-categories' },
+    children:          { type: 'array', items: { model: 'Category' }, description: 'Sub-categories (single category & ?tree=true only)' },
+  },
+
+  StockMovement: {
+    id:         id('Movement ID'),
+    productId:  id('Product ID'),
+    delta:      { type: 'integer', description: 'Units added (+) or removed (−)' },
+    stockAfter: { type: 'integer', description: 'Stock level after the movement' },
+    type:       { type: 'string', enum: ['order', 'cancellation', 'adjustment'], description: 'What caused the movement' },
+    reason:     { type: 'string', description: 'Free-text reason' },
+    orderId:    id('Order that caused the movement (orders & cancellations)'),
+    userId:     id('User who caused the movement'),
+    at:         timestamp('When the movement happened'),
+  },
+
+  StockAdjustment: {
+    product:  { model: 'Product' },
+    movement: { model: 'StockMovement' },
+  },
+
+  Review: {
+    id:         id('Review ID'),
+    productId:  id('Product ID'),
+    userId:     id('Author ID'),
+    author:     { type: 'string', description: 'Author display name' },
+    rating:     { type: 'integer', min: 1, max: 5, description: 'Star rating' },
+    text:       { type: 'string', description: 'Review text' },
+    hidden:     { type: 'boolean', description: 'Hidden by a moderator' },
+    moderation: {
+      type: 'object',
+      description: 'Last moderation decision (if any)',
+      properties: {
+        by:     id('Moderator ID'),
+        at:     timestamp('When the decision was made'),
+        reason: { type: 'string', nullable: true, description: 'Moderation note' },
+      },
+    },
+    createdAt:  timestamp('Created at'),
+    updatedAt:  timestamp('Last edited at'),
+  },
+
+  User: {
+    id:    id('User ID'),
+    name:  { type: 'string', description: 'Full name' },
+    email: { type: 'string', format: 'email', description: 'Email address' },
+    role:  { type: 'string', enum: Object.keys(ROLE_PERMISSIONS), description: 'Role' },
+  },
+
+  AuthToken: {
+    token:     { type: 'string', description: 'Signed bearer token' },
+    tokenType: { type: 'string', enum: ['Bearer'], description: 'Send as "Authorization: Bearer <token>"' },
+    expiresIn: { type: 'integer', description: 'Lifetime in seconds' },
+    user:      { model: 'User' },
+  },
+
+  AppliedCoupon: {
+    code:             { type: 'string', description: 'Coupon code' },
+    applied:          { type: 'boolean', description: 'Whether the discount was granted' },
+    rule:             { type: 'string', description: 'Human-readable rule, e.g. "20% off Audio items"' },
+    eligibleSubtotal: money('Part of the subtotal the coupon applies to'),
+    reason:           { type: 'string', description: 'Why the coupon was rejected (when applied = false)' },
+    message:          { type: 'string', description: 'Explanation of the rejection' },
+  },
+
+  CartItem: {
+    productId: id('Product ID'),
+    name:      { type: 'string', description: 'Current product name' },
+    category:  { type: 'string', description: 'Current product category' },
+    unitPrice: money('Current unit price'),
+    quantity:  { type: 'integer', description: 'Units in the cart' },
+    available: { type: 'boolean', description: 'false if the product was removed from the catalog' },
+    lineTotal: money('unitPrice × quantity'),
+  },
+
+  Cart: {
+    items:     { type: 'array', items: { model: 'CartItem' } },
+    itemCount: { type: 'integer', description: 'Total units' },
+    subtotal:  money('Sum of available lines'),
+    discount:  money('Coupon discount'),
+    total:     money('subtotal − discount'),
+    coupon:    { model: 'AppliedCoupon', nullable: true },
+  },
+
+  OrderItem: {
+    productId: id('Product ID'),
+    name:      { type: 'string', description: 'Product name at checkout' },
+    category:  { type: 'string', description: 'Product category at checkout' },
+    unitPrice: money('Unit price at checkout'),
+    quantity:  { type: 'integer', description: 'Units ordered' },
+    lineTotal: money('unitPrice × quantity'),
+  },
+
+  Order: {
+    id:            id('Order ID'),
+    userId:        id('Customer ID'),
+    status:        { type: 'string', enum: ORDER_STATUSES, description: 'Lifecycle status' },
+    items:         { type: 'array', items: { model: 'OrderItem' } },
+    subtotal:      money('Sum of line totals'),
+    discount:      money('Coupon discount'),
+    total:         money('Amount charged'),
+    coupon: {
+      type: 'object',
+      nullable: true,
+      description: 'Coupon used at checkout',
+      properties: {
+        code: { type: 'string', description: 'Coupon code' },
+        rule: { type: 'string', description: 'Human-readable rule' },
+      },
+    },
+    statusHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ORDER_STATUSES, description: 'New status' },
+          at:     timestamp('When the status changed'),
+          by:     id('User who changed it'),
+        },
+      },
+    },
+    createdAt:     timestamp('Placed at'),
+    updatedAt:     timestamp('Last status change'),
+  },
+
+  Coupon: {
+    id:           id('Coupon ID'),
+    code:         { type: 'string', description: 'Upper-case code' },
+    type:         { type: 'string', enum: COUPON_TYPES, description: 'Percentage or fixed amount off' },
+    value:        { type: 'number', description: 'Percent or amount' },
+    category:     { type: 'string', nullable: true, description: 'Only discounts items of this category and its sub-categories' },
+    minSubtotal:  { type: 'number', nullable: true, description: 'Minimum cart subtotal' },
+    expiresAt:    { type: 'string', format: 'date-time', nullable: true, description: 'Expiry' },
+    maxUses:      { type: 'integer', nullable: true, description: 'Total uses allowed' },
+    perUserLimit: { type: 'integer', nullable: true, description: 'Uses allowed per customer' },
+    active:       { type: 'boolean', description: 'Inactive coupons are rejected' },
+    usedCount:    { type: 'integer', description: 'Times redeemed' },
+    rule:         { type: 'string', description: 'Human-readable rule' },
+    redemptions:  { type: 'array', items: { model: 'CouponRedemption' }, description: 'Uses so far (GET /coupons/:id only)' },
+    createdAt:    timestamp('Created at'),
+    updatedAt:    timestamp('Last changed at'),
+  },
+
+  CouponRedemption: {
+    id:       id('Redemption ID'),
+    couponId: id('Coupon ID'),
+    userId:   id('Customer ID'),
+    orderId:  id('Order ID'),
+    at:       timestamp('Redeemed at'),
+  },
+
+  WebhookEventType: {
+    type:        { type: 'string', description: 'Event type, e.g. order.created' },
+    description: { type: 'string', description: 'When it is published' },
+  },
+
+  Webhook: {
+    id:          id('Webhook ID'),
+    url:         { type: 'string', description: 'Where deliveries are POSTed' },
+    events:      { type: 'array', items: { type: 'string' }, description: 'Subscribed event types ("*" = all)' },
+    description: { type: 'string', description: 'What the receiver is for' },
+    active:      { type: 'boolean', description: 'Disabled subscriptions receive nothing' },
+    secret:      { type: 'string', description: 'Signing secret (only when just created or changed)' },
+    secretHint:  { type: 'string', description: 'Last 4 characters of the secret' },
+    deliveries: {
+      type: 'object',
+      description: 'Number of logged deliveries by status',
+      properties: Object.fromEntries(DELIVERY_STATUSES.map((status) => [status, { type: 'integer' }])),
+    },
+    createdBy:   id('Admin who created it'),
+    createdAt:   timestamp('Created at'),
+    updatedAt:   timestamp('Last changed at'),
+  },
+
+  WebhookAttempt: {
+    number:       { type: 'integer', description: '1-based attempt number' },
+    at:           timestamp('Sent at'),
+    statusCode:   { type: 'integer', nullable: true, description: 'Receiver\'s HTTP status (null: no answer)' },
+    durationMs:   { type: 'integer', description: 'Round-trip time' },
+    error:        { type: 'string', nullable: true, description: 'Why it failed (null: 2xx)' },
+    responseBody: { type: 'string', nullable: true, description: 'Start of the receiver\'s answer' },
+  },
+
+  WebhookDelivery: {
+    id:            id('Delivery ID (sent as X-Webhook-Delivery)'),
+    webhookId:     id('Webhook ID'),
+    eventId:       { type: 'string', description: 'Event ID — the same on retries and redeliveries' },
+    eventType:     { type: 'string', description: 'Event type (sent as X-Webhook-Event)' },
+    payload:       { type: 'object', description: 'The event sent as the request body (single delivery only)' },
+    status:        { type: 'string', enum: DELIVERY_STATUSES, description: 'pending → succeeded | failed' },
+    attempts:      { type: 'array', items: { model: 'WebhookAttempt' }, description: 'Every attempt so far' },
+    lastError:     { type: 'string', nullable: true, description: 'Error of the latest attempt' },
+    nextAttemptAt: { type: 'string', format: 'date-time', nullable: true, description: 'When the next attempt runs (pending only)' },
+    redeliveryOf:  { type: 'integer', nullable: true, description: 'Delivery this one repeats' },
+    createdAt:     timestamp('Queued at'),
+    updatedAt:     timestamp('Last attempt recorded at'),
+  },
+
+  AuditEntry: {
+    id:         id('Entry ID (entries are never changed or deleted)'),
+    at:         timestamp('When the change was saved'),
+    actor: {
+      type: 'object',
+      nullable: true,
+      description: 'Who made the change (null: no signed-in user, e.g. registration)',
+      properties: {
+        id:    id('User ID'),
+        email: { type: 'string', description: 'Email at the time of the change' },
+        role:  { type: 'string', description: 'Role at the time of the change' },
+      },
+    },
+    action:     { type: 'string', enum: AUDIT_ACTIONS, description: 'What happened to the record' },
+    resource:   { type: 'string', enum: AUDIT_RESOURCES, description: 'Kind of record' },
+    resourceId: id('ID of the record'),
+    changes:    { type: 'object', description: 'Changed fields as { field: { from, to } } — secrets show as "[REDACTED]"' },
+    requestId:  { type: 'string', nullable: true, description: 'X-Request-Id of the request that made the change' },
+    method:     { type: 'string', nullable: true, description: 'HTTP method of that request' },
+    path:       { type: 'string', nullable: true, description: 'Path of that request' },
+  },
+
+  Error: {
+    success:   { type: 'boolean', enum: [false] },
+    code:      { type: 'string', description: 'Machine-readable error code, e.g. PRODUCT_NOT_FOUND' },
+    message:   { type: 'string', description: 'Human-readable explanation' },
+    errors: {
+      type: 'array',
+      description: 'Every failing field (VALIDATION_ERROR only)',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['params', 'query', 'body', 'cart', 'file'] },
+          field:    { type: 'string' },
+          code:     { type: 'string' },
+          message:  { type: 'string' },
+        },
+      },
+    },
+    requestId: { type: 'string', description: 'Matches the X-Request-Id response header' },
+  },
+};
@@ -0,0 +1,61 @@
+// ============================================================================
+// schemas/orders.js — Validation Schemas for /orders Routes
+// ============================================================================
+
+const { idParam, quantity } = require('./common');
+const { ORDER_STATUSES } = require('../controllers/orderController');
+
+const status = { type: 'string', enum: ORDER_STATUSES, description: 'Order status' };
+
+module.exports = {
+  checkout: {
+    summary: 'Checkout: turn the cart (or body.items) into an order',
+    description: 'Without `items` the whole cart is ordered and then emptied.',
+    response: { status: 201, data: 'Order' },
+    errors: [409],
+    body: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        description: 'Items to order; omit to order the whole cart',
+        items: {
+          type: 'object',
+          properties: {
+            productId: idParam('Product ID'),
+            quantity:  { ...quantity, required: true },
+          },
+        },
+      },
+      couponCode: {
+        type: 'string', nullable: true, trim: true, maxLength: 32,
+        description: 'Coupon to apply (null = ignore the cart\'s coupon)',
+      },
+    },
+  },
+
+  listOrders: {
+    summary: 'Own orders (customers) or all orders (admins)',
+    response: { data: ['Order'] },
+    query: {
+      status,
+      userId: { type: 'integer', min: 1, description: 'Only orders of this user (admins only)' },
+    },
+  },
+
+  getOrder: {
+    summary: 'Get an order (owner or admin)',
+    response: { data: 'Order' },
+    params: { id: idParam('Order ID') },
+  },
+
+  updateStatus: {
+    summary: 'Move the order through its lifecycle',
+    description: 'Admins may advance or cancel any order; owners may cancel their own pending orders.',
+    response: { data: 'Order' },
+    errors: [403, 409],
+    params: { id: idParam('Order ID') },
+    body: {
+      status: { ...status, required: true },
+    },
+  },
+};
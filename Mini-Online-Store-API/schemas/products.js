@@ -0,0 +1,208 @@
+// ============================================================================
+// schemas/products.js — Validation Schemas for /products Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+const { CURRENCIES } = require('../utils/money');
+const { ACCEPTED_TYPES } = require('../utils/imageStore');
+
+const name     = { type: 'string', trim: true, minLength: 1, maxLength: 120, description: 'Product name' };
+const price    = { type: 'number', exclusiveMin: 0, description: 'Unit price' };
+const sku      = {
+  type: 'string', trim: true, nullable: true, pattern: /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/,
+  patternMessage: '"sku" must be 1–32 letters, digits, ".", "_" or "-", starting with a letter or digit.',
+  description: 'Stock keeping unit — unique, stored in upper case (null removes it)',
+};
+const category = {
+  type: 'string', trim: true, minLength: 1, maxLength: 60,
+  description: 'Category name or slug (see GET /categories) — stored by name',
+};
+
+const productParams = { id: idParam('Product ID') };
+const imageParams   = { ...productParams, imageId: idParam('Image ID') };
+
+// Product reads may show prices in another currency (see middleware/currency.js)
+const currency = {
+  type: 'string', enum: Object.keys(CURRENCIES),
+  description: 'Show prices in this currency (overrides the Accept-Currency header)',
+};
+const priced = { currency: 'Conversion' };
+
+// One product in an import file — a CSV row or a JSON object (see
+// controllers/productBulkController.js).  Every column is optional: what
+// a row must contain depends on whether it creates or updates a product.
+const importRow = {
+  id:    { type: 'integer', min: 1, description: 'Product to update (leave empty to match by SKU or create)' },
+  sku,
+  name,
+  price,
+  category,
+  stock: { type: 'integer', min: 0, description: 'Initial units in stock — new products only' },
+};
+
+const importFormat = { type: 'string', enum: ['csv', 'json'] };
+
+module.exports = {
+  listProducts: {
+    summary: 'List products — filter, search, sort and paginate',
+    description: 'Prices, `minPrice` and `maxPrice` are in the negotiated currency.',
+    response: { data: ['Product'], paginated: true, meta: priced },
+    query: {
+      currency,
+      category: { type: 'string', trim: true, description: 'Category name or slug — includes its sub-categories' },
+      minPrice: { type: 'number', min: 0, description: 'Minimum price (inclusive)' },
+      maxPrice: { type: 'number', min: 0, description: 'Maximum price (inclusive)' },
+      q:        { type: 'string', trim: true, maxLength: 100, description: 'Case-insensitive search in the name (or the exact SKU)' },
+      sort:     { type: 'string', description: 'Comma-separated sort fields, "-" prefix = descending (e.g. "price,-name")' },
+      page:     { type: 'integer', min: 1, default: 1, description: 'Page number (1-based)' },
+      limit:    { type: 'integer', min: 1, max: 100, default: 20, description: 'Page size' },
+    },
+  },
+
+  streamProducts: {
+    summary: 'Live product changes (Server-Sent Events)',
+    description: 'Pushes `product.created`, `product.updated`, `product.deleted` and `product.stock_changed` '
+      + 'events with the product as `data`, priced in the negotiated currency. Send `Last-Event-ID` '
+      + '(or `lastEventId`) to replay the changes missed since; a `reset` event means they are gone — reload the list.',
+    response: { mediaType: 'text/event-stream' },
+    query: {
+      currency,
+      lastEventId: { type: 'string', maxLength: 40, description: 'Resume after this event (for clients that can\'t send Last-Event-ID)' },
+    },
+  },
+
+  getProduct: {
+    summary: 'Get a product by ID',
+    response: { data: 'Product', meta: priced },
+    params: productParams,
+    query: { currency },
+  },
+
+  createProduct: {
+    summary: 'Create a product',
+    description: 'An unknown category is rejected with `UNKNOWN_CATEGORY`, a SKU in use with `SKU_TAKEN`.',
+    response: { status: 201, data: 'Product' },
+    errors: [409],
+    body: {
+      sku,
+      name:     { ...name, required: true },
+      price:    { ...price, required: true },
+      category: { ...category, required: true },
+      stock:    { type: 'integer', min: 0, default: 0, description: 'Initial units in stock' },
+    },
+  },
+
+  replaceProduct: {
+    summary: 'Replace a product — name, price & category required',
+    description: 'An omitted `sku` removes the SKU; use PATCH to keep fields that are left out.',
+    response: { data: 'Product' },
+    errors: [409],
+    params: productParams,
+    body: {
+      sku,
+      name:     { ...name, required: true },
+      price:    { ...price, required: true },
+      category: { ...category, required: true },
+    },
+  },
+
+  updateProduct: {
+    summary: 'Update some fields of a product',
+    response: { data: 'Product' },
+    errors: [409],
+    params: productParams,
+    body: { sku, name, price, category },
+  },
+
+  deleteProduct: {
+    summary: 'Remove a product',
+    response: { data: 'Product' },
+    params: productParams,
+  },
+
+  adjustStock: {
+    summary: 'Adjust stock with a reason',
+    tag: 'Inventory',
+    response: { data: 'StockAdjustment' },
+    errors: [409],
+    params: productParams,
+    body: {
+      delta:  { type: 'integer', required: true, description: 'Units to add (positive) or remove (negative); not 0' },
+      reason: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 200, description: 'Why the stock changed' },
+    },
+  },
+
+  stockMovements: {
+    summary: 'Inventory movement history of a product',
+    tag: 'Inventory',
+    response: { data: ['StockMovement'] },
+    params: productParams,
+  },
+
+  listImages: {
+    summary: 'A product\'s images, primary first',
+    tag: 'Images',
+    response: { data: ['ProductImage'] },
+    params: productParams,
+  },
+
+  uploadImages: {
+    summary: 'Upload product images (multipart/form-data)',
+    tag: 'Images',
+    description: `Send one or more files in the \`images\` field (${ACCEPTED_TYPES.join(', ')}). `
+      + 'The type is detected from the file contents. The first image of a product becomes its primary image.',
+    response: { status: 201, data: ['ProductImage'] },
+    errors: [409],
+    params: productParams,
+    // Text fields of the form — strings, like a query string
+    body: {
+      alt:     { type: 'string', trim: true, maxLength: 200, description: 'Alt text for every uploaded image' },
+      primary: { type: 'string', enum: ['true', 'false'], description: '"true" makes the first uploaded image primary' },
+    },
+  },
+
+  updateImage: {
+    summary: 'Change an image\'s alt text or make it primary',
+    tag: 'Images',
+    response: { data: 'ProductImage' },
+    params: imageParams,
+    body: {
+      alt:     { type: 'string', trim: true, maxLength: 200, description: 'Alt text' },
+      primary: { type: 'boolean', enum: [true], description: 'Make this the primary image' },
+    },
+  },
+
+  deleteImage: {
+    summary: 'Delete a product image',
+    tag: 'Images',
+    response: { data: 'ProductImage' },
+    params: imageParams,
+  },
+
+  exportProducts: {
+    summary: 'Export the catalog as CSV or JSON',
+    tag: 'Import & Export',
+    description: `Every product as a file download with the columns ${Object.keys(importRow).join(', ')} — `
+      + 'prices in USD.  The file can be edited and imported again.',
+    response: { mediaType: 'text/csv' },
+    query: {
+      format: { ...importFormat, default: 'csv', description: 'File format' },
+    },
+  },
+
+  importProducts: {
+    summary: 'Import products from a CSV or JSON file',
+    tag: 'Import & Export',
+    description: 'Send the file in the `file` field. Rows are matched by `id`, else by `sku`; unmatched rows '
+      + 'create products. `dry-run` only reports what would happen. `commit` applies every row or — if any row '
+      + 'has a problem — none (400 `VALIDATION_ERROR` listing the rows).',
+    response: { data: 'ImportReport' },
+    query: {
+      mode:   { type: 'string', enum: ['dry-run', 'commit'], default: 'dry-run', description: 'Report only, or apply the changes' },
+      format: { ...importFormat, description: 'File format (default: from the file name or its Content-Type)' },
+    },
+  },
+};
+
+// Row rules, used by the import to check each row like a request body
+module.exports.importRow = importRow;
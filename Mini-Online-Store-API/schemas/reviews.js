@@ -0,0 +1,58 @@
+// ============================================================================
+// schemas/reviews.js — Validation Schemas for /products/:id/reviews Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+
+const rating = { type: 'integer', min: 1, max: 5, description: 'Star rating from 1 to 5' };
+const text   = { type: 'string', trim: true, minLength: 1, maxLength: 2000, description: 'Review text' };
+
+const productParams = { id: idParam('Product ID') };
+const reviewParams  = { id: idParam('Product ID'), reviewId: idParam('Review ID') };
+
+module.exports = {
+  listReviews: {
+    summary: 'Visible reviews of a product',
+    tag: 'Reviews',
+    response: { data: ['Review'] },
+    params: productParams,
+  },
+
+  createReview: {
+    summary: 'Post a review (one per user per product)',
+    tag: 'Reviews',
+    response: { status: 201, data: 'Review' },
+    errors: [409],
+    params: productParams,
+    body: {
+      rating: { ...rating, required: true },
+      text:   { ...text, required: true },
+    },
+  },
+
+  updateReview: {
+    summary: 'Edit your own review',
+    tag: 'Reviews',
+    response: { data: 'Review' },
+    params: reviewParams,
+    body: { rating, text },
+  },
+
+  deleteReview: {
+    summary: 'Delete your own review (moderators: any)',
+    tag: 'Reviews',
+    response: { data: 'Review' },
+    params: reviewParams,
+  },
+
+  moderateReview: {
+    summary: 'Hide or restore a review',
+    tag: 'Reviews',
+    response: { data: 'Review' },
+    params: reviewParams,
+    body: {
+      hidden: { type: 'boolean', required: true, description: 'true hides the review, false restores it' },
+      reason: { type: 'string', trim: true, maxLength: 200, description: 'Moderation note' },
+    },
+  },
+};
@@ -0,0 +1,79 @@
+// ============================================================================
+// schemas/users.js — Validation Schemas for /users Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const name  = { type: 'string', trim: true, minLength: 1, maxLength: 100, description: 'Full name' };
+const email = { type: 'string', trim: true, format: 'email', maxLength: 254, description: 'Email address (must be unique)' };
+const role  = { type: 'string', enum: ROLES, description: 'Role (only admins may change it)' };
+
+const userParams = { id: idParam('User ID') };
+
+module.exports = {
+  listUsers: {
+    summary: 'List users — search, filter by role, sort and paginate',
+    response: { data: ['User'], paginated: true },
+    query: {
+      q:     { type: 'string', trim: true, maxLength: 100, description: 'Case-insensitive search in name and email' },
+      role:  { type: 'string', enum: ROLES, description: 'Only users with this role' },
+      sort:  { type: 'string', description: 'Comma-separated sort fields, "-" prefix = descending (e.g. "role,-name")' },
+      page:  { type: 'integer', min: 1, default: 1, description: 'Page number (1-based)' },
+      limit: { type: 'integer', min: 1, max: 100, default: 20, description: 'Page size' },
+    },
+  },
+
+  getUser: {
+    summary: 'Get a user by ID (admins: any, customers: own record)',
+    response: { data: 'User' },
+    params: userParams,
+  },
+
+  createUser: {
+    summary: 'Create a user',
+    response: { status: 201, data: 'User' },
+    errors: [409],
+    body: {
+      name:  { ...name, required: true },
+      email: { ...email, required: true },
+      role:  { ...role, default: 'customer', description: 'Role (defaults to "customer")' },
+      password: {
+        type: 'string', maxLength: 128,
+        description: 'Initial password (optional — without one the user sets it via forgot-password)',
+      },
+    },
+  },
+
+  replaceUser: {
+    summary: 'Replace a user — name & email required (admins: any, customers: own record)',
+    description: 'An omitted `role` is kept. Changing the role needs `users:update:any`.',
+    response: { data: 'User' },
+    errors: [409],
+    params: userParams,
+    body: {
+      name:  { ...name, required: true },
+      email: { ...email, required: true },
+      role,
+    },
+  },
+
+  updateUser: {
+    summary: 'Update some fields of a user (admins: any, customers: own record)',
+    description: 'Changing the role needs `users:update:any`.',
+    response: { data: 'User' },
+    errors: [409],
+    params: userParams,
+    body: { name, email, role },
+  },
+
+  deleteUser: {
+    summary: 'Delete a user (orders are kept)',
+    description: 'The last admin cannot be deleted (409 LAST_ADMIN).',
+    response: { data: 'User' },
+    errors: [409],
+    params: userParams,
+  },
+};
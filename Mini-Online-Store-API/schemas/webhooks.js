@@ -0,0 +1,107 @@
+// ============================================================================
+// schemas/webhooks.js — Validation Schemas for /webhooks Routes
+// ============================================================================
+
+const { idParam } = require('./common');
+const { EVENT_TYPES } = require('../utils/events');
+const { DELIVERY_STATUSES } = require('../controllers/webhookController');
+
+const fields = {
+  url: {
+    type: 'string', trim: true, maxLength: 2000, pattern: /^https?:\/\/[^\s/?#]+\S*$/i,
+    patternMessage: '"url" must be an http:// or https:// URL.',
+    description: 'Where deliveries are POSTed',
+  },
+  events: {
+    type: 'array', minItems: 1,
+    items: { type: 'string', enum: [...Object.keys(EVENT_TYPES), '*'] },
+    description: 'Event types to receive ("*" = all of them)',
+  },
+  description: { type: 'string', trim: true, maxLength: 200, description: 'What the receiver is for' },
+  active:      { type: 'boolean', description: 'Disabled subscriptions receive nothing' },
+  secret: {
+    type: 'string', minLength: 16, maxLength: 200,
+    description: 'HMAC signing secret (generated when omitted)',
+  },
+};
+
+const webhookParams  = { id: idParam('Webhook ID') };
+const deliveryParams = { ...webhookParams, deliveryId: idParam('Delivery ID') };
+
+module.exports = {
+  listEventTypes: {
+    summary: 'Event types a webhook can subscribe to',
+    response: { data: ['WebhookEventType'] },
+  },
+
+  listWebhooks: {
+    summary: 'List webhook subscriptions',
+    response: { data: ['Webhook'] },
+  },
+
+  getWebhook: {
+    summary: 'One webhook subscription with its delivery counts',
+    response: { data: 'Webhook' },
+    params: webhookParams,
+  },
+
+  createWebhook: {
+    summary: 'Subscribe a URL to store events',
+    description: 'The response contains the signing `secret` — the only time it is shown.',
+    response: { status: 201, data: 'Webhook' },
+    body: {
+      ...fields,
+      url:    { ...fields.url, required: true },
+      events: { ...fields.events, required: true },
+    },
+  },
+
+  updateWebhook: {
+    summary: 'Change a webhook subscription',
+    description: 'Send `"secret": null` to generate a new secret; a new or changed secret is returned once.',
+    response: { data: 'Webhook' },
+    params: webhookParams,
+    body: {
+      ...fields,
+      secret: { ...fields.secret, nullable: true },
+    },
+  },
+
+  deleteWebhook: {
+    summary: 'Delete a webhook subscription and its delivery log',
+    response: { data: 'Webhook' },
+    params: webhookParams,
+  },
+
+  pingWebhook: {
+    summary: 'Send a "webhook.ping" event to this subscription',
+    response: { status: 202, data: 'WebhookDelivery' },
+    errors: [409],
+    params: webhookParams,
+  },
+
+  listDeliveries: {
+    summary: 'Delivery log of a webhook, newest first',
+    response: { data: ['WebhookDelivery'], paginated: true },
+    params: webhookParams,
+    query: {
+      status: { type: 'string', enum: DELIVERY_STATUSES, description: 'Only deliveries with this status' },
+      page:   { type: 'integer', min: 1, default: 1, description: 'Page number (1-based)' },
+      limit:  { type: 'integer', min: 1, max: 100, default: 20, description: 'Page size' },
+    },
+  },
+
+  getDelivery: {
+    summary: 'One delivery with its payload and attempts',
+    response: { data: 'WebhookDelivery' },
+    params: deliveryParams,
+  },
+
+  redeliver: {
+    summary: 'Send a finished delivery again',
+    description: 'Queues a new delivery with the same event (and event ID).',
+    response: { status: 202, data: 'WebhookDelivery' },
+    errors: [409],
+    params: deliveryParams,
+  },
+};
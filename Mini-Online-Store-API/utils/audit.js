@@ -0,0 +1,129 @@
+// ============================================================================
+// utils/audit.js — Append-Only Audit Trail
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Manager's Logbook**.  Whenever anything on the menu, the staff
+//   list or an order is changed, a line goes into the logbook: who did it,
+//   when, on which ticket, and what it said before and after.  Lines are
+//   only ever added — nobody tears pages out.
+//
+// 📐 HOW IT WORKS:
+//   The repositories report every saved write (see repositories/index.js →
+//   watchRecords).  For the collections in AUDITED_COLLECTIONS one entry per
+//   changed record is appended to the "auditLog" repository:
+//
+//   { id, at, actor: { id, email, role } | null, action: 'create' | 'update' | 'delete',
+//     resource: 'product', resourceId: 3, changes: { price: { from: 34.5, to: 29.99 } },
+//     requestId, method, path }
+//
+//   • The actor and request come from the request context (see
+//     middleware/requestContext.js); changes made outside a request (or
+//     before login, e.g. registration) have `actor: null`.
+//   • `changes` lists only the fields that differ — every field for a
+//     create (from null) or delete (to null).  An update that changes
+//     nothing is not logged.  Secrets are never copied into the log:
+//     REDACTED_FIELDS show as "[REDACTED]".
+//   • Carts, reset tokens and the stock / delivery logs are not audited —
+//     they are customer scratch space, secrets, or logs of their own.
+//   • Nothing in the API updates or deletes an audit entry.  Only the
+//     newest config.audit.maxEntries are kept: each write drops the oldest
+//     beyond that, so the log (and the cost of saving it) stays bounded.
+// ============================================================================
+
+const config = require('../config');
+const { getRepository, watchRecords } = require('../repositories');
+const { currentRequest } = require('../middleware/requestContext');
+
+// Repository collection → resource name in the log
+const AUDITED_COLLECTIONS = {
+  users:         'user',
+  products:      'product',
+  productImages: 'product_image',
+  categories:    'category',
+  exchangeRates: 'exchange_rate',
+  coupons:       'coupon',
+  orders:        'order',
+  reviews:       'review',
+  webhooks:      'webhook',
+};
+
+const AUDIT_RESOURCES = Object.values(AUDITED_COLLECTIONS);
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+const REDACTED_FIELDS = ['passwordHash', 'secret'];
+const REDACTED = '[REDACTED]';
+
+// ---------- Model (Repository) ----------
+const auditLog = getRepository('auditLog');
+
+// ---------- Helpers ----------
+
+const redact = (field, value) => (REDACTED_FIELDS.includes(field) && value !== null && value !== undefined ? REDACTED : value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * diffRecords — { field: { from, to } } for every field that differs
+ * (the `id` is the entry's resourceId, not a change).
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ */
+const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+
+  const changes = {};
+  fields.forEach((field) => {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (!sameValue(from, to)) changes[field] = { from: redact(field, from), to: redact(field, to) };
+  });
+  return changes;
+};
+
+/**
+ * toEntry — The audit entry for one record change, or null if nothing changed.
+ */
+const toEntry = ({ collection, action, before, after }, req, at) => {
+  const changes = diffRecords(before, after);
+  if (!Object.keys(changes).length) return null;
+
+  const user = req && req.user;
+  return {
+    at,
+    actor: user ? { id: user.id, email: user.email, role: user.role } : null,
+    action,
+    resource: AUDITED_COLLECTIONS[collection],
+    resourceId: (after || before).id,
+    changes,
+    requestId: req ? req.id : null,
+    method: req ? req.method : null,
+    path: req ? req.originalUrl.split('?')[0] : null,
+  };
+};
+
+// Every saved write → audit entries (one transaction-worth at a time, so a
+// bulk import is written to the log in one go)
+watchRecords((changes) => {
+  const req = currentRequest();
+  const at = new Date().toISOString();
+  const entries = changes
+    .filter((change) => AUDITED_COLLECTIONS[change.collection])
+    .map((change) => toEntry(change, req, at))
+    .filter(Boolean);
+
+  if (!entries.length) return;
+
+  auditLog.transaction((log) => {
+    entries.forEach((entry) => log.insert(entry));
+    const excess = log.count() - config.audit.maxEntries;
+    if (excess > 0) log.findAll().slice(0, excess).forEach((entry) => log.remove(entry.id));
+  });
+});
+
+module.exports = {
+  AUDIT_RESOURCES,
+  AUDIT_ACTIONS,
+};
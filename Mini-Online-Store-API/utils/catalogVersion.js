@@ -0,0 +1,73 @@
+// ============================================================================
+// utils/catalogVersion.js — One Version Number for the Whole Catalog
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Menu Edition Number** printed in the corner.  Whenever a dish,
+//   its price, its stock, its reviews or a menu section changes, the next
+//   edition is printed.  Guests holding the current edition don't need a
+//   new copy (see middleware/httpCache.js).
+//
+// 📐 WHAT BUMPS IT:
+//   Everything a product or category response shows — product writes,
+//   stock changes, review changes and category changes all call
+//   touchCatalog().  The ETag / Last-Modified of the public catalog reads
+//   are derived from it, so a conditional GET can be answered without
+//   building the response.  Responses with converted prices also depend on
+//   the exchange rate in effect, which can change at a scheduled moment
+//   without any write — so that rate is folded in as well.
+// ============================================================================
+
+const { getRepository } = require('../repositories');
+
+// A single record { id: 1, version, updatedAt }.  The start time of its
+// first run keeps ETags from a wiped store (memory driver) from matching.
+const catalogMeta = getRepository('catalog', [{ id: 1, version: 1, updatedAt: new Date().toISOString() }]);
+
+/**
+ * getCatalogVersion — The current catalog version and when it last changed.
+ *
+ * @returns {{ version: number, updatedAt: string }}
+ */
+const getCatalogVersion = () => {
+  const { version, updatedAt } = catalogMeta.findById(1);
+  return { version, updatedAt };
+};
+
+/**
+ * touchCatalog — Bumps the catalog version after anything a catalog
+ * response shows has changed.
+ */
+const touchCatalog = () => {
+  const { version } = getCatalogVersion();
+  catalogMeta.update(1, { version: version + 1, updatedAt: new Date().toISOString() });
+};
+
+/**
+ * catalogValidators — ETag & Last-Modified for public catalog reads
+ * (the validator function of middleware/httpCache.js).
+ *
+ * The ETag is strong: a response is only ever built from one version (and,
+ * with req.currency set by middleware/currency.js, one exchange rate).
+ *
+ * @param {import('express').Request} req
+ */
+const catalogValidators = (req) => {
+  const { version, updatedAt } = getCatalogVersion();
+  let tag = `catalog-${version}-${Date.parse(updatedAt).toString(36)}`;
+  let changed = Date.parse(updatedAt);
+
+  const { currency } = req;
+  if (currency) {
+    tag += `-${currency.code}${currency.rateId ? `.${currency.rateId}` : ''}`;
+    if (currency.effectiveFrom) changed = Math.max(changed, Date.parse(currency.effectiveFrom));
+  }
+
+  return { etag: `"${tag}"`, lastModified: new Date(changed) };
+};
+
+module.exports = {
+  getCatalogVersion,
+  touchCatalog,
+  catalogValidators,
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+// utils/csv.js — Reading & Writing CSV (RFC 4180)
+// ============================================================================
+//
+// Just enough CSV for spreadsheets: comma-separated cells, "quoted" cells
+// that may contain commas, line breaks and doubled "" quotes, CRLF or LF
+// line endings, and the byte-order mark Excel puts in front of UTF-8 files.
+//
+// 📐 FORMULA INJECTION:
+//   A spreadsheet runs a cell starting with = + - @ as a formula, so a
+//   product called "=HYPERLINK(…)" could do harm when an export is opened.
+//   toCsv() prefixes such text cells with an apostrophe (shown as text by
+//   spreadsheets); readCell() removes it again on import.
+// ============================================================================
+
+const BOM = '\uFEFF';
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * parseCsv — Splits CSV text into rows of cells.  Empty lines come back as
+ * [''] so that row numbers match the file.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {SyntaxError} for an unterminated quoted cell
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let quoteRow = 0;
+
+  for (let i = text.startsWith(BOM) ? 1 : 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (text[i + 1] === '"') { cell += '"'; i += 1; }
+      else quoted = false;
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+      quoteRow = rows.length + 1;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new SyntaxError(`Unterminated quoted cell starting in row ${quoteRow}`);
+  if (cell !== '' || row.length) rows.push([...row, cell]); // no line break at the end
+  return rows;
+};
+
+/**
+ * readCell — A cell's text with toCsv()'s formula guard removed.
+ */
+const readCell = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * formatCell — One value as a CSV cell (quoted when needed, formulas defused).
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * toCsv — Rows of values → CSV text with CRLF line endings and a BOM (so
+ * Excel reads it as UTF-8).
+ *
+ * @param {Array<Array<string|number|null>>} rows - The first row is the header
+ * @returns {string}
+ */
+const toCsv = (rows) => BOM + rows.map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  readCell,
+  toCsv,
+};
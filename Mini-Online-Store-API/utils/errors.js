@@ -0,0 +1,126 @@
+// ============================================================================
+// utils/errors.js — Typed HTTP Errors
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   These are the **Complaint Slips** a chef can fill in instead of walking
+//   out to the table.  The chef just writes "dish not found" or "sold out"
+//   and hands the slip back (`throw`); the front-of-house manager
+//   (middleware/errorHandler.js) turns every slip into the same, politely
+//   worded answer for the customer.
+//
+// 📐 ANATOMY OF AN ERROR:
+//   status  → HTTP status code (400, 401, 403, 404, 409, 429 …)
+//   code    → stable, machine-readable reason (e.g. "PRODUCT_NOT_FOUND")
+//   message → human-readable explanation
+//   details → extra fields merged into the response body
+//             (e.g. { errors: [...] } or { missingPermission: "users:create" })
+// ============================================================================
+
+/**
+ * AppError — Base class for every error we expect to send to the client.
+ */
+class AppError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} code
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * BadRequestError — 400 for requests that are well-formed but can't be
+ * processed as sent (empty cart, rejected coupon, malformed JSON…).
+ */
+class BadRequestError extends AppError {
+  constructor(code, message, details) {
+    super(400, code, message, details);
+    this.name = 'BadRequestError';
+  }
+}
+
+/**
+ * ValidationError — 400 listing every invalid field.
+ *
+ * @param {{ location: string, field: string, code: string, message: string }[]} errors
+ */
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(400, 'VALIDATION_ERROR',
+      `Validation Error – ${errors.length} problem(s) with the request.`, { errors });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * UnauthorizedError — 401: missing, invalid or expired credentials.
+ */
+class UnauthorizedError extends AppError {
+  constructor(code, message, details) {
+    super(401, code, message, details);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * ForbiddenError — 403: authenticated, but not allowed.
+ *
+ * @param {string} message
+ * @param {string} missingPermission - Permission (or "role:…") the user lacks
+ */
+class ForbiddenError extends AppError {
+  constructor(message, missingPermission) {
+    super(403, 'FORBIDDEN', message, { missingPermission });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * NotFoundError — 404 for an unknown resource (or one the user may not see).
+ */
+class NotFoundError extends AppError {
+  constructor(code, message, details) {
+    super(404, code, message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * ConflictError — 409: the request clashes with the current state
+ * (duplicate code, not enough stock, invalid status transition…).
+ */
+class ConflictError extends AppError {
+  constructor(code, message, details) {
+    super(409, code, message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * TooManyRequestsError — 429: the client used up its request budget.
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, details) {
+    super(429, 'RATE_LIMITED', message, details);
+    this.name = 'TooManyRequestsError';
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
@@ -0,0 +1,90 @@
+// ============================================================================
+// utils/events.js — In-Process Event Bus for Store Events
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Kitchen Bell**.  Whenever something noteworthy happens — a new
+//   guest signs the book, a dish comes off the menu, an order changes
+//   status — the chef rings the bell and shouts what happened.  The chef
+//   doesn't know or care who is listening; the runner taking messages to
+//   partner businesses (webhooks) is just one of the listeners.
+//
+// 📐 EVENT SHAPE (what listeners — and webhook receivers — get):
+//   { id: 'evt_…', type: 'order.created', createdAt: '…', data: { …record… } }
+//
+//   `data` is the public view of the record AFTER the change (for
+//   "*.deleted": the record as it was).  Controllers publish once their
+//   write has succeeded, so a rejected request never rings the bell.
+//
+// 📐 USAGE:
+//   publish('user.created', toUserView(user));
+//   const unsubscribe = subscribe((event) => { … });
+//
+//   Listeners run synchronously inside the request that published — they
+//   should only queue work (see utils/webhooks.js), and an exception in one
+//   is logged and never fails the request.
+// ============================================================================
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Every event the store publishes — also the list webhooks can subscribe to
+const EVENT_TYPES = {
+  'user.created':          'An account was registered or created by an admin',
+  'user.updated':          'A user\'s name, email or role changed',
+  'user.deleted':          'An account was deleted',
+  'product.created':       'A product was added to the catalog',
+  'product.updated':       'A product was replaced or updated',
+  'product.deleted':       'A product was removed from the catalog',
+  'product.stock_changed': 'A product\'s stock level changed (adjustment, checkout, cancellation)',
+  'order.created':         'A customer placed an order',
+  'order.status_changed':  'An order moved to its next status (paid, shipped, cancelled…)',
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one per listening subsystem, not per request
+
+/**
+ * publish — Announces a store event to every listener.
+ *
+ * @param {string} type - A key of EVENT_TYPES
+ * @param {object} data - Public view of the affected record
+ * @returns {{ id: string, type: string, createdAt: string, data: object }} The event
+ */
+const publish = (type, data) => {
+  if (!EVENT_TYPES[type]) throw new Error(`Unknown event type "${type}".`);
+
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+  bus.emit('event', event);
+  return event;
+};
+
+/**
+ * subscribe — Calls `listener(event)` for every published event.
+ *
+ * @param {(event: object) => void} listener
+ * @returns {() => void} Removes the listener again
+ */
+const subscribe = (listener) => {
+  const safeListener = (event) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error(`[EVENTS] ⚠️  Listener failed on ${event.type} (${event.id}): ${err.message}`);
+    }
+  };
+
+  bus.on('event', safeListener);
+  return () => bus.off('event', safeListener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,104 @@
+// ============================================================================
+// utils/imageStore.js — Product Images on Local Disk
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Photo Album** of the dishes.  Every photo is filed under its own
+//   fingerprint (a hash of its bytes), so the same photo is never filed
+//   twice and a filed photo never changes — which is why browsers may keep
+//   a copy for a year.  A photo is only thrown out once no dish uses it.
+//
+// 📐 LAYOUT:
+//   <config.uploads.dir>/products/<sha256 of the bytes, 32 hex chars>.<ext>
+//   served at  /uploads/products/<file>  (see app.js)
+//
+//   The image type is decided from the file's first bytes ("magic
+//   numbers"), never from its name or the Content-Type the client claims.
+//   SVG is deliberately not accepted — it can carry scripts.
+// ============================================================================
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const config = require('../config');
+const { getRepository } = require('../repositories');
+
+const IMAGE_DIR  = path.join(config.uploads.dir, 'products');
+const URL_PREFIX = '/uploads/products';
+
+// Signature checks for the accepted formats
+const IMAGE_TYPES = [
+  { contentType: 'image/jpeg', ext: 'jpg',  matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png',  ext: 'png',  matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/gif',  ext: 'gif',  matches: (b) => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+  { contentType: 'image/webp', ext: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+const ACCEPTED_TYPES = IMAGE_TYPES.map((type) => type.contentType);
+
+// Records that point at files — a file is deleted once none does
+const images = () => getRepository('productImages');
+
+/**
+ * detectImageType — The image format of `data`, or null if it isn't one we accept.
+ *
+ * @param {Buffer} data
+ * @returns {{ contentType: string, ext: string } | null}
+ */
+const detectImageType = (data) => {
+  const type = IMAGE_TYPES.find((candidate) => candidate.matches(data));
+  return type ? { contentType: type.contentType, ext: type.ext } : null;
+};
+
+/**
+ * hashImage — Content hash used as the file name.
+ */
+const hashImage = (data) => crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+
+/**
+ * saveImage — Writes the image (unless the same bytes are already stored).
+ *
+ * @param {Buffer} data
+ * @param {string} ext - From detectImageType()
+ * @returns {{ hash: string, file: string }}
+ */
+const saveImage = (data, ext) => {
+  const hash = hashImage(data);
+  const file = `${hash}.${ext}`;
+  const target = path.join(IMAGE_DIR, file);
+
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(IMAGE_DIR, { recursive: true });
+    // Write-then-rename, so a half-written file is never served
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, data);
+    fs.renameSync(temp, target);
+  }
+  return { hash, file };
+};
+
+/**
+ * releaseImageFile — Deletes a stored file once no image record uses it.
+ * Call after removing the record.
+ *
+ * @param {string} file
+ */
+const releaseImageFile = (file) => {
+  if (images().findOne((image) => image.file === file)) return;
+  fs.rmSync(path.join(IMAGE_DIR, file), { force: true });
+};
+
+/**
+ * imageUrl — Public URL of a stored file.
+ */
+const imageUrl = (file) => `${URL_PREFIX}/${file}`;
+
+module.exports = {
+  ACCEPTED_TYPES,
+  detectImageType,
+  hashImage,
+  saveImage,
+  releaseImageFile,
+  imageUrl,
+};
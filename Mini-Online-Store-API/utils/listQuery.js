@@ -0,0 +1,99 @@
+// ============================================================================
+// utils/listQuery.js — Sorting & Pagination for List Endpoints
+// ============================================================================
+//
+// Shared by every "GET /<resource>" that supports ?sort=, ?page= & ?limit=
+// (products, users).  Filtering stays in each controller — only the parts
+// that are the same for every resource live here.
+//
+//   ?sort=price,-name   → ascending price, then descending name
+//   ?page=2&limit=20    → items 21–40, plus total / pageCount / links
+// ============================================================================
+
+/**
+ * parseSort — Turns "price,-name" into [{ field: 'price', dir: 1 }, { field: 'name', dir: -1 }].
+ *
+ * @param {string}   [sortParam] - Raw ?sort= value
+ * @param {string[]} sortable    - Fields that may be sorted by
+ * @returns {{ sort: { field: string, dir: number }[], errors: object[] }}
+ */
+const parseSort = (sortParam, sortable) => {
+  const sort   = [];
+  const errors = [];
+  if (!sortParam) return { sort, errors };
+
+  sortParam.split(',').map((t) => t.trim()).filter(Boolean).forEach((token) => {
+    const dir   = token.startsWith('-') ? -1 : 1;
+    const field = token.replace(/^[-+]/, '');
+    if (sortable.includes(field)) {
+      sort.push({ field, dir });
+    } else {
+      errors.push({
+        location: 'query',
+        field: 'sort',
+        code: 'NOT_IN_ENUM',
+        message: `Cannot sort by "${field}" — use one of: ${sortable.join(', ')}.`,
+      });
+    }
+  });
+
+  return { sort, errors };
+};
+
+/**
+ * sortItems — Sorts a copy of `items` by the parsed sort fields, then by ID.
+ */
+const sortItems = (items, sort) => [...items].sort((a, b) => {
+  for (const { field, dir } of sort) {
+    const x = a[field];
+    const y = b[field];
+    const cmp = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    if (cmp !== 0) return cmp * dir;
+  }
+  return a.id - b.id; // stable default order
+});
+
+/**
+ * pageLink — Builds the URL of another page, keeping every other query param.
+ */
+const pageLink = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.set('page', page);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+};
+
+/**
+ * paginate — Cuts one page out of `items` and builds the list response body.
+ *
+ * @param {import('express').Request} req
+ * @param {object[]} items - Filtered & sorted items
+ * @param {{ page: number, limit: number }} options
+ * @returns {{ success: true, count, total, page, limit, pageCount, links, data }}
+ */
+const paginate = (req, items, { page, limit }) => {
+  const total     = items.length;
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const start     = (page - 1) * limit;
+  const data      = items.slice(start, start + limit);
+
+  return {
+    success: true,
+    count: data.length,
+    total,
+    page,
+    limit,
+    pageCount,
+    links: {
+      self: pageLink(req, page),
+      next: page < pageCount ? pageLink(req, page + 1) : null,
+      prev: page > 1 ? pageLink(req, Math.min(page - 1, pageCount)) : null,
+    },
+    data,
+  };
+};
+
+module.exports = {
+  parseSort,
+  sortItems,
+  paginate,
+};
@@ -0,0 +1,71 @@
+// ============================================================================
+// utils/logFile.js — Append-Only Log File with Size-Based Rotation
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The greeter's **Log Book**.  When the current book is full, it is put on
+//   the shelf as "book 1" (the older ones move up to 2, 3 …) and a fresh
+//   book is started.  Only the last few books are kept; the oldest one is
+//   thrown away.
+//
+// 📐 FILES (path = logs/access.log, maxFiles = 3):
+//   logs/access.log     ← current
+//   logs/access.log.1   ← previous
+//   logs/access.log.2
+//   logs/access.log.3   ← oldest (deleted on the next rotation)
+//
+//   Writes are synchronous, like the JSON repository: a log line is on disk
+//   before the next request is handled, and nothing interleaves.
+// ============================================================================
+
+const fs   = require('fs');
+const path = require('path');
+
+/**
+ * createLogFile — Opens (or creates) a rotating log file.
+ *
+ * @param {object} options
+ * @param {string} options.file           - Path of the current log file
+ * @param {number} [options.maxSize]      - Rotate once the file would exceed this many bytes
+ * @param {number} [options.maxFiles]     - Rotated files to keep (0 = just truncate)
+ * @returns {{ write: (line: string) => void, file: string }}
+ */
+const createLogFile = ({ file, maxSize = 5 * 1024 * 1024, maxFiles = 5 }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const rotate = () => {
+    if (maxFiles > 0) {
+      // access.log.2 → access.log.3, access.log.1 → access.log.2, …
+      for (let i = maxFiles - 1; i >= 1; i -= 1) {
+        if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.truncateSync(file, 0);
+    }
+    size = 0;
+  };
+
+  /**
+   * write — Appends one line (a newline is added).
+   *
+   * @param {string} line
+   */
+  const write = (line) => {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+
+    if (size > 0 && size + bytes > maxSize) rotate();
+
+    fs.appendFileSync(file, data);
+    size += bytes;
+  };
+
+  return { write, file };
+};
+
+module.exports = {
+  createLogFile,
+};
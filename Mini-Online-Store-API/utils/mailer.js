@@ -0,0 +1,124 @@
+// ============================================================================
+// utils/mailer.js — Outgoing Mail with Pluggable Transports
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Letter Tray** at the front desk.  Staff write the letter
+//   (to / subject / text) and drop it in the tray; who carries it is the
+//   courier's business.  The default courier just files every letter in the
+//   "outbox" drawer (a local folder) so you can read it during development.
+//   Hire a real courier (SMTP, an email API…) by plugging in a transport —
+//   nobody who writes letters has to change.
+//
+// 📐 TRANSPORT INTERFACE:
+//   send(message) → result | Promise<result>
+//     message = { from, to, subject, text }
+//
+//   Built in:  "outbox"  → one .eml file per message in config.mail.outboxDir
+//              "console" → prints the message (handy in containers)
+//   Custom:    mailer.setTransport({ send: (message) => … })
+// ============================================================================
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const config = require('../config');
+
+// ---------- Transports ----------
+
+/**
+ * toEml — Renders a message as a minimal RFC 5322 text file.
+ */
+const toEml = ({ from, to, subject, text }, id, date) => [
+  `Message-ID: <${id}@ministore.local>`,
+  `Date: ${date.toUTCString()}`,
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text,
+  '',
+].join('\r\n');
+
+/**
+ * createOutboxTransport — Writes every message to `<dir>/<timestamp>-<id>.eml`.
+ *
+ * @param {{ dir: string }} options
+ */
+const createOutboxTransport = ({ dir }) => ({
+  name: 'outbox',
+  send: (message) => {
+    const id   = crypto.randomUUID();
+    const date = new Date();
+    const file = path.join(dir, `${date.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, toEml(message, id, date));
+    return { id, file };
+  },
+});
+
+/**
+ * createConsoleTransport — Prints every message to stdout.
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: (message) => {
+    const id = crypto.randomUUID();
+    console.log(`[MAIL] ✉️  To: ${message.to} — ${message.subject}\n${message.text}`);
+    return { id };
+  },
+});
+
+const TRANSPORTS = {
+  outbox:  () => createOutboxTransport({ dir: config.mail.outboxDir }),
+  console: () => createConsoleTransport(),
+};
+
+// ---------- Mailer ----------
+
+/**
+ * createMailer — A mailer that hands messages to `transport`.
+ *
+ * @param {object} options
+ * @param {{ send: Function }} options.transport
+ * @param {string} options.from - Default sender
+ */
+const createMailer = ({ transport, from }) => {
+  let current = transport;
+
+  return {
+    /**
+     * send — Delivers a message; always returns a Promise.
+     *
+     * @param {{ to: string, subject: string, text: string, from?: string }} message
+     */
+    send: (message) => Promise.resolve()
+      .then(() => current.send({ from, ...message }))
+      .then((result) => {
+        console.log(`[MAIL] ✉️  "${message.subject}" → ${message.to} (${current.name || 'custom'} transport)`);
+        return result;
+      }),
+
+    setTransport: (next) => {
+      current = next;
+    },
+  };
+};
+
+const createTransport = TRANSPORTS[config.mail.transport];
+if (!createTransport) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${config.mail.transport}" — use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+}
+
+// The app-wide mailer, configured from config.mail (MAIL_* environment variables)
+const mailer = createMailer({ transport: createTransport(), from: config.mail.from });
+
+module.exports = {
+  mailer,
+  createMailer,
+  createOutboxTransport,
+  createConsoleTransport,
+};
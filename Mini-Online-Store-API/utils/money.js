@@ -0,0 +1,54 @@
+// ============================================================================
+// utils/money.js — Money Helpers
+// ============================================================================
+//
+// Prices are stored as decimal numbers (e.g. 25.99) in the BASE currency
+// (USD).  Floating-point maths can produce values like 51.980000000000004,
+// so every computed amount is rounded to the currency's minor unit (cents
+// for USD) before it is sent to the client.
+//
+// 📐 MINOR UNITS (ISO 4217):
+//   The number of decimals a currency is counted in — 2 for USD / EUR
+//   (cents), 0 for JPY (no subunit), 3 for KWD (fils).  A converted price is
+//   rounded to exactly that many decimals: ¥3,888 — never ¥3,887.65.
+// ============================================================================
+
+// Prices in the repositories are stored in this currency
+const BASE_CURRENCY = 'USD';
+
+// Currencies prices can be shown in (ISO 4217 code → name & minor units)
+const CURRENCIES = {
+  USD: { name: 'US Dollar',         minorUnits: 2 },
+  EUR: { name: 'Euro',              minorUnits: 2 },
+  GBP: { name: 'Pound Sterling',    minorUnits: 2 },
+  PKR: { name: 'Pakistani Rupee',   minorUnits: 2 },
+  JPY: { name: 'Japanese Yen',      minorUnits: 0 },
+  KWD: { name: 'Kuwaiti Dinar',     minorUnits: 3 },
+};
+
+/**
+ * roundToMinorUnits — Rounds an amount half away from zero to `minorUnits` decimals.
+ *
+ * @param {number} amount
+ * @param {number} minorUnits - e.g. 2 for cents, 0 for JPY
+ * @returns {number}
+ */
+const roundToMinorUnits = (amount, minorUnits) => {
+  const factor = 10 ** minorUnits;
+  return (Math.sign(amount) * Math.round(Math.abs(amount) * factor * (1 + Number.EPSILON))) / factor;
+};
+
+/**
+ * roundMoney — Rounds an amount to 2 decimal places (cents).
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  roundToMinorUnits,
+  roundMoney,
+};
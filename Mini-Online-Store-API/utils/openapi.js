@@ -0,0 +1,422 @@
+// ============================================================================
+// utils/openapi.js — OpenAPI Document Generated from the Routes
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Printed Menu**.  Nobody types it up by hand: the printer walks
+//   through the kitchen (the mounted routers), reads each dish's recipe card
+//   (the validation schema) and the signs at each door (auth, permissions,
+//   rate limits), and prints exactly what is served today.  Add a route or
+//   change a schema and the next printed menu changes with it — the docs
+//   can't drift from the code.
+//
+// 📐 WHERE THE INFORMATION COMES FROM:
+//   path & method      → app._router.stack (mounted routers, walked recursively)
+//   params/query/body  → validate(schema).schemas   (schemas/*.js)
+//   summary, response  → doc-only keys of the same schema (see validate.js)
+//   401 + bearer token → the `auth` middleware in the route's chain
+//   403 + permission   → authorize.js middleware (`.permission`, `.roles`)
+//   429 + budget       → rateLimit() middleware (`.rateLimit`)
+//   304                → httpCache() middleware (`.httpCache`)
+//   multipart, 413/415 → uploadFiles() middleware (`.upload`)
+//   404                → any route with path parameters
+//   models             → schemas/models.js  (components.schemas)
+// ============================================================================
+
+const http = require('http');
+
+const auth = require('../middleware/auth');
+const models = require('../schemas/models');
+const { version } = require('../package.json');
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  415: 'UnsupportedMediaType',
+  429: 'TooManyRequests',
+};
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (VALIDATION_ERROR lists every failing field)',
+  401: 'Missing, invalid or expired bearer token',
+  403: 'Authenticated, but missing a permission (see `missingPermission`)',
+  404: 'Resource not found',
+  409: 'Conflicts with the current state',
+  413: 'A file or the whole upload is over the size limit',
+  415: 'Not multipart/form-data, or a file of an unsupported type',
+  429: 'Request budget used up (see the Retry-After header)',
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// ---------- Walking the Routers ----------
+
+/**
+ * layerPath — Recovers the mount path of a router-level layer from its
+ * regexp, e.g. /^(?:\/([^/]+?))\/reviews\/?(?=\/|$)/i → "/:id/reviews".
+ */
+const layerPath = (layer) => {
+  if (layer.regexp.fast_slash) return '';
+
+  let index = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g, () => `/:${layer.keys[index++].name}`)
+    .replace(/\\(.)/g, '$1');
+};
+
+/**
+ * appliesTo — Whether middleware mounted at `mountPath` runs for `path`.
+ */
+const appliesTo = (mountPath, path) =>
+  mountPath === '' || path === mountPath || path.startsWith(`${mountPath}/`);
+
+/**
+ * walk — Collects { method, path, handlers } for every route in `stack`.
+ *
+ * @param {object[]} stack     - Layers of an app or router
+ * @param {string}   prefix    - Path the stack is mounted at
+ * @param {Function[]} inherited - Middleware that runs before this stack
+ */
+const walk = (stack, prefix, inherited) => {
+  const routes = [];
+  const middleware = []; // { path, handle } in registration order
+
+  const before = (path) => [
+    ...inherited,
+    ...middleware.filter((mw) => appliesTo(mw.path, path)).map((mw) => mw.handle),
+  ];
+
+  stack.forEach((layer) => {
+    if (layer.route) {
+      const path = `${prefix}${layer.route.path === '/' ? '' : layer.route.path}` || '/';
+      const chain = [...before(path), ...layer.route.stack.map((l) => l.handle)];
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .forEach((method) => routes.push({ method: method.toUpperCase(), path, handlers: chain }));
+      return;
+    }
+
+    const path = `${prefix}${layerPath(layer)}`;
+    if (layer.name === 'router') {
+      routes.push(...walk(layer.handle.stack, path, before(path)));
+    } else if (layer.handle.length < 4) {
+      middleware.push({ path, handle: layer.handle });
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * collectRoutes — Every route of the app with what its middleware reveals.
+ *
+ * @param {import('express').Application} app
+ * @returns {{ method: string, path: string, operationId: string, schema: object,
+ *             auth: boolean, permission?: string, ownPermission?: string,
+ *             roles?: string[], rateLimit?: object, httpCache?: object, upload?: object }[]}
+ */
+const collectRoutes = (app) => {
+  app.lazyrouter();
+
+  return walk(app._router.stack, '', []).map(({ method, path, handlers }) => {
+    const route = { method, path, operationId: handlers[handlers.length - 1].name, schema: {}, auth: false };
+
+    handlers.forEach((handle) => {
+      if (handle === auth) route.auth = true;
+      if (handle.schemas) route.schema = { ...route.schema, ...handle.schemas };
+      if (handle.permission) route.permission = handle.permission;
+      if (handle.ownPermission) route.ownPermission = handle.ownPermission;
+      if (handle.roles) route.roles = handle.roles;
+      if (handle.rateLimit) route.rateLimit = handle.rateLimit;
+      if (handle.httpCache) route.httpCache = handle.httpCache;
+      if (handle.upload) route.upload = handle.upload;
+    });
+
+    return route;
+  });
+};
+
+/**
+ * requirement — Short human-readable access rule, e.g. "products:write".
+ */
+const requirement = (route) => {
+  if (route.roles) return `role ${route.roles.join(' or ')}`;
+  if (route.ownPermission) return `${route.permission}, or ${route.ownPermission} for your own record`;
+  if (route.permission) return route.permission;
+  return route.auth ? 'token required' : 'public';
+};
+
+// ---------- Rules → JSON Schema ----------
+
+/**
+ * toJsonSchema — Converts one validation rule (or model field) to JSON Schema.
+ *
+ * @param {object}  rule
+ * @param {boolean} [strict] - Undeclared object fields are rejected (request side)
+ */
+const toJsonSchema = (rule, strict = false) => {
+  if (rule.model) {
+    const ref = { $ref: `#/components/schemas/${rule.model}` };
+    return rule.nullable ? { allOf: [ref], nullable: true } : ref;
+  }
+
+  const schema = { type: rule.type };
+  ['description', 'enum', 'format', 'nullable', 'default', 'minLength', 'maxLength', 'minItems']
+    .filter((key) => rule[key] !== undefined)
+    .forEach((key) => { schema[key] = rule[key]; });
+
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.exclusiveMin !== undefined) {
+    schema.minimum = rule.exclusiveMin;
+    schema.exclusiveMinimum = true;
+  }
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.items) schema.items = toJsonSchema(rule.items, strict);
+  if (rule.properties) Object.assign(schema, objectSchema(rule.properties, strict));
+
+  return schema;
+};
+
+/**
+ * objectSchema — JSON Schema for a map of field rules.
+ */
+const objectSchema = (fields, strict = false) => {
+  const properties = {};
+  Object.entries(fields).forEach(([name, rule]) => {
+    properties[name] = toJsonSchema(rule, strict);
+  });
+
+  const required = Object.keys(fields)
+    .filter((name) => fields[name].required && fields[name].default === undefined);
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length && { required }),
+    ...(strict && { additionalProperties: false }),
+  };
+};
+
+// ---------- Operations ----------
+
+/**
+ * successSchema — The `{ success: true, … }` envelope around a response model.
+ */
+const successSchema = ({ data, paginated, meta = {} }) => {
+  const list = Array.isArray(data);
+  const model = toJsonSchema({ model: list ? data[0] : data });
+  const properties = {
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string', description: 'Present on writes' },
+  };
+
+  if (list) properties.count = { type: 'integer', description: 'Items in `data`' };
+  if (paginated) {
+    Object.assign(properties, {
+      total:     { type: 'integer', description: 'Matches across all pages' },
+      page:      { type: 'integer', description: 'Current page' },
+      limit:     { type: 'integer', description: 'Page size' },
+      pageCount: { type: 'integer', description: 'Number of pages' },
+      links: {
+        type: 'object',
+        properties: {
+          self: { type: 'string' },
+          next: { type: 'string', nullable: true },
+          prev: { type: 'string', nullable: true },
+        },
+      },
+    });
+  }
+  Object.entries(meta).forEach(([key, name]) => {
+    properties[key] = toJsonSchema({ model: name });
+  });
+  properties.data = list ? { type: 'array', items: model } : model;
+
+  return { type: 'object', properties };
+};
+
+/**
+ * successResponse — The documented 2xx response of a route.
+ */
+const successResponse = (response = {}) => {
+  const status = response.status || 200;
+  const description = http.STATUS_CODES[status];
+
+  if (response.mediaType) {
+    const schema = response.mediaType === 'application/json' ? { type: 'object' } : { type: 'string' };
+    return { [status]: { description, content: { [response.mediaType]: { schema } } } };
+  }
+  if (!response.data) return { [status]: { description } };
+
+  return {
+    [status]: {
+      description,
+      content: { 'application/json': { schema: successSchema(response) } },
+    },
+  };
+};
+
+/**
+ * errorStatuses — Error responses implied by the route's middleware & schema.
+ */
+const errorStatuses = (route) => {
+  const statuses = new Set(route.schema.errors || []);
+  if (LOCATIONS.some((location) => route.schema[location])) statuses.add(400);
+  if (route.auth) statuses.add(401);
+  if (route.permission || route.roles) statuses.add(403);
+  if (route.path.includes(':')) statuses.add(404);
+  if (route.rateLimit) statuses.add(429);
+  if (route.upload) [413, 415].forEach((status) => statuses.add(status));
+  return [...statuses].filter((status) => ERROR_RESPONSES[status]).sort();
+};
+
+/**
+ * buildOperation — One OpenAPI operation object for a collected route.
+ */
+const buildOperation = (route) => {
+  const { schema } = route;
+  const segment = route.path.split('/')[1];
+  const tag = schema.tag || (segment ? segment[0].toUpperCase() + segment.slice(1) : 'General');
+
+  const notes = [];
+  if (schema.description) notes.push(schema.description);
+  if (route.auth) notes.push(`**Access:** ${requirement(route)}.`);
+  if (route.rateLimit) {
+    const { name, max, windowMs } = route.rateLimit;
+    notes.push(`**Rate limit:** ${max} requests per ${Math.round(windowMs / 1000)}s ("${name}" budget).`);
+  }
+  if (route.httpCache) {
+    notes.push('**Caching:** send `If-None-Match` (ETag) or `If-Modified-Since` to get 304 while unchanged.');
+  }
+
+  const pathParams = (route.path.match(/:\w+/g) || []).map((param) => param.slice(1));
+  const parameters = [
+    ...pathParams.map((name) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: toJsonSchema((schema.params && schema.params[name]) || { type: 'string' }),
+    })),
+    ...Object.entries(schema.query || {}).map(([name, rule]) => ({
+      name,
+      in: 'query',
+      required: Boolean(rule.required && rule.default === undefined),
+      ...(rule.description && { description: rule.description }),
+      schema: toJsonSchema(rule),
+    })),
+  ];
+
+  const operation = {
+    tags: [tag],
+    summary: schema.summary || `${route.method} ${route.path}`,
+    ...(notes.length && { description: notes.join('\n\n') }),
+    ...(route.operationId && { operationId: route.operationId }),
+    ...(parameters.length && { parameters }),
+  };
+
+  if (route.upload) {
+    // Text fields from the schema + the file field
+    const { field, maxFiles, maxFileSize } = route.upload;
+    const form = objectSchema(schema.body || {});
+    form.properties[field] = {
+      type: 'array',
+      items: { type: 'string', format: 'binary' },
+      description: `Up to ${maxFiles} file(s) of at most ${maxFileSize} bytes each`,
+    };
+    form.required = [...(form.required || []), field];
+    operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: form } } };
+  } else if (schema.body) {
+    const body = objectSchema(schema.body, true);
+    operation.requestBody = {
+      required: Boolean(body.required),
+      content: { 'application/json': { schema: body } },
+    };
+  }
+
+  operation.responses = successResponse(schema.response);
+  if (route.httpCache) operation.responses[304] = { description: http.STATUS_CODES[304] };
+  errorStatuses(route).forEach((status) => {
+    operation.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+  });
+
+  if (route.auth) operation.security = [{ bearerAuth: [] }];
+
+  return { tag, operation };
+};
+
+// ---------- Document ----------
+
+/**
+ * buildOpenApiSpec — The OpenAPI 3.0 document describing every route of `app`.
+ *
+ * @param {import('express').Application} app - Fully mounted app
+ */
+const buildOpenApiSpec = (app) => {
+  const paths = {};
+  const tags = [];
+  const operationIds = new Set();
+
+  collectRoutes(app).forEach((route) => {
+    const { tag, operation } = buildOperation(route);
+
+    // Handler names double as operation IDs — keep them unique
+    if (operation.operationId) {
+      let id = operation.operationId;
+      for (let n = 2; operationIds.has(id); n += 1) id = `${operation.operationId}${n}`;
+      operation.operationId = id;
+      operationIds.add(id);
+    }
+
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: operation };
+    if (!tags.includes(tag)) tags.push(tag);
+  });
+
+  const schemas = {};
+  Object.entries(models).forEach(([name, fields]) => {
+    schemas[name] = objectSchema(fields);
+  });
+
+  const responses = {};
+  Object.entries(ERROR_RESPONSES).forEach(([status, name]) => {
+    responses[name] = {
+      description: ERROR_DESCRIPTIONS[status],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Mini Online Store API',
+      version,
+      description: 'Products, reviews, carts, orders and coupons. Generated from the mounted routes and their validation schemas.',
+    },
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Token from POST /auth/login or POST /auth/register',
+        },
+      },
+      schemas,
+      responses,
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiSpec,
+  collectRoutes,
+  requirement,
+};
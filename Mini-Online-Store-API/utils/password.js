@@ -0,0 +1,102 @@
+// ============================================================================
+// utils/password.js — Password Hashing & Strength Rules
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Safe in the Manager's Office**.  Guests' secret words are never
+//   written on the reservation card — only a scrambled fingerprint of them
+//   (hash) with a pinch of guest-specific salt.  Checking a guest means
+//   scrambling what they say the same way and comparing fingerprints.
+//   Scrambling is deliberately SLOW, so a stolen card box is useless to a
+//   thief trying billions of guesses.
+//
+// 📐 STORED FORMAT (one string, self-describing):
+//   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+//
+//   The cost parameters travel with every hash, so they can be raised later
+//   without breaking existing passwords.
+// ============================================================================
+
+const crypto = require('crypto');
+
+// scrypt cost: N = 2^15 (≈ 32 MB, tens of ms per hash), r = 8, p = 1
+const PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Refused outright, whatever else they contain
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'iloveyou', 'letmein123', 'welcome123', 'admin123',
+];
+
+const derive = (password, salt, { N, r, p }) =>
+  crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+
+/**
+ * hashPassword — Salts and hashes a password for storage.
+ *
+ * @param {string} password
+ * @returns {string} e.g. "scrypt$32768$8$1$<salt>$<hash>"
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = derive(password, salt, PARAMS);
+  return ['scrypt', PARAMS.N, PARAMS.r, PARAMS.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * verifyPassword — Checks a password against a stored hash (constant-time compare).
+ *
+ * @param {string} password
+ * @param {string} [stored] - Output of hashPassword(); a missing hash never matches
+ * @returns {boolean}
+ */
+const verifyPassword = (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = derive(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * checkPasswordStrength — Lists why a password is too weak (empty = OK).
+ *
+ * Rules: minimum length, at most 128 characters (hashing cost), at least one
+ * letter and one digit, not a well-known password, and not containing the
+ * user's name or the local part of their email.
+ *
+ * @param {string} password
+ * @param {object} [options]
+ * @param {number} [options.minLength=8]
+ * @param {string} [options.email]
+ * @param {string} [options.name]
+ * @returns {string[]} Human-readable problems
+ */
+const checkPasswordStrength = (password, { minLength = 8, email, name } = {}) => {
+  const problems = [];
+  const lower = password.toLowerCase();
+
+  if (password.length < minLength) problems.push(`must be at least ${minLength} characters long`);
+  if (password.length > 128) problems.push('must be at most 128 characters long');
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) problems.push('must contain a letter and a digit');
+  if (COMMON_PASSWORDS.includes(lower)) problems.push('is too common');
+
+  const personal = [
+    email && email.split('@')[0],
+    ...(name ? name.split(/\s+/) : []),
+  ].filter((part) => part && part.length >= 3);
+  if (personal.some((part) => lower.includes(part.toLowerCase()))) {
+    problems.push('must not contain your name or email');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+};
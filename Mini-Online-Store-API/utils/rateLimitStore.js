@@ -0,0 +1,77 @@
+// ============================================================================
+// utils/rateLimitStore.js — Counter Stores for the Rate Limiter
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The doorman's **Tally Sheet**: how many times each guest has come
+//   through the door in the current quarter hour.  Today the sheet hangs at
+//   this one door (memory).  If the restaurant opens a second entrance, both
+//   doormen need ONE shared sheet — a store backed by e.g. Redis — and
+//   nothing else in the limiter has to change.
+//
+// 📐 STORE INTERFACE (what middleware/rateLimit.js relies on):
+//   increment(key, ttlMs) → number   Adds 1 to `key` and returns the new count.
+//                                    The first increment starts a `ttlMs` expiry.
+//   get(key)              → number   Current count (0 if missing / expired).
+//   reset(key)            → void     Forgets a key.
+//
+//   Every method may return a plain value OR a Promise, so a networked store
+//   can be dropped in.  With Redis, increment is `INCR key` followed by
+//   `PEXPIRE key ttlMs NX` — which is why the limiter only ever needs
+//   counters with an expiry, never timestamps or locks.
+// ============================================================================
+
+/**
+ * createMemoryStore — Counters in a Map, for a single server process.
+ *
+ * @param {object} [options]
+ * @param {number} [options.sweepIntervalMs=60000] - How often expired keys are purged
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map(); // key → { count, expiresAt }
+
+  const live = (key, now = Date.now()) => {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= now) {
+      counters.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Expired keys are also dropped on access; the sweep keeps memory bounded
+  // for clients that never come back.  unref() lets the process exit normally.
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.expiresAt <= now) counters.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    increment: (key, ttlMs) => {
+      const now = Date.now();
+      const entry = live(key, now);
+      if (entry) {
+        entry.count += 1;
+        return entry.count;
+      }
+      counters.set(key, { count: 1, expiresAt: now + ttlMs });
+      return 1;
+    },
+
+    get: (key) => {
+      const entry = live(key);
+      return entry ? entry.count : 0;
+    },
+
+    reset: (key) => {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,118 @@
+// ============================================================================
+// utils/token.js — Signed, Expiring Bearer Tokens (JWT-style, HS256)
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   A token is the **VIP Wristband**.  The manager stamps it with a secret
+//   seal (HMAC signature) and writes an expiry time on it.  The bouncer can
+//   later check the seal and the time without phoning the manager — if the
+//   seal doesn't match, or the time has passed, the wristband is worthless.
+//
+// 📐 FORMAT:
+//   base64url(header) . base64url(payload) . base64url(signature)
+//   header    → { alg: 'HS256', typ: 'JWT' }
+//   payload   → { sub, role, iat, exp }   (iat/exp in seconds since epoch)
+//   signature → HMAC-SHA256(header + '.' + payload, secret)
+// ============================================================================
+
+const crypto = require('crypto');
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * TokenError — Raised when a token cannot be trusted.
+ * `code` tells the caller WHY (malformed / invalid signature / expired).
+ */
+class TokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+// ---------- Helpers ----------
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const hmac = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * decodeSegment — base64url JSON → object.  Header and payload must both be
+ * JSON objects; anything else (null, a number, an array) is malformed.
+ */
+const decodeSegment = (segment) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new TokenError('AUTH_TOKEN_MALFORMED', 'Token segments are not valid base64url-encoded JSON.');
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TokenError('AUTH_TOKEN_MALFORMED', 'Token segments must be JSON objects.');
+  }
+  return value;
+};
+
+// ---------- Public API ----------
+
+/**
+ * sign — Creates a signed token for the given claims.
+ *
+ * @param {object} claims              - Custom claims (e.g. { sub: 1, role: 'admin' })
+ * @param {object} options
+ * @param {string} options.secret      - HMAC secret
+ * @param {number} options.expiresIn   - Lifetime in seconds
+ * @returns {string} The encoded token
+ */
+const sign = (claims, { secret, expiresIn }) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat, exp: iat + expiresIn };
+
+  const unsigned = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify(payload))}`;
+  return `${unsigned}.${hmac(unsigned, secret)}`;
+};
+
+/**
+ * verify — Checks structure, signature and expiry, then returns the payload.
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {string} options.secret
+ * @returns {object} The decoded payload
+ * @throws {TokenError} AUTH_TOKEN_MALFORMED | AUTH_TOKEN_INVALID | AUTH_TOKEN_EXPIRED
+ */
+const verify = (token, { secret }) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts.some((p) => !p)) {
+    throw new TokenError('AUTH_TOKEN_MALFORMED', 'Token must have three dot-separated segments.');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header  = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  if (header.alg !== HEADER.alg) {
+    throw new TokenError('AUTH_TOKEN_INVALID', `Unsupported token algorithm "${header.alg}".`);
+  }
+
+  // Constant-time comparison so the signature can't be guessed byte by byte
+  const expected = Buffer.from(hmac(`${encodedHeader}.${encodedPayload}`, secret));
+  const actual   = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('AUTH_TOKEN_INVALID', 'Token signature is invalid.');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('AUTH_TOKEN_EXPIRED', 'Token has expired — please log in again.');
+  }
+
+  return payload;
+};
+
+module.exports = {
+  sign,
+  verify,
+  TokenError,
+};
@@ -0,0 +1,264 @@
+// ============================================================================
+// utils/webhooks.js — Signed Webhook Delivery with Retries
+// ============================================================================
+//
+// 🍽️  RESTAURANT ANALOGY:
+//   The **Runner** who carries news to partner businesses.  When the kitchen
+//   bell rings (utils/events.js), the runner checks the subscription book,
+//   writes one sealed note per interested partner (HMAC signature) and
+//   delivers it.  Nobody home?  The runner tries again later — waiting
+//   twice as long each time — and logs every attempt in the delivery book.
+//
+// 📐 DELIVERY RECORD (stored in the "webhookDeliveries" repository):
+//   { id, webhookId, eventId, eventType, payload, status, attempts: [
+//       { number, at, statusCode, durationMs, error, responseBody } ],
+//     lastError, nextAttemptAt, redeliveryOf, createdAt, updatedAt }
+//
+//   status: "pending" (queued or waiting for a retry) → "succeeded" (a 2xx
+//   answer) | "failed" (config.webhooks.maxAttempts used up, or the
+//   subscription was disabled meanwhile).
+//
+// 📐 THE REQUEST (POST to the subscription's URL):
+//   Content-Type:        application/json       body = the event, as JSON
+//   X-Webhook-Event:     order.created
+//   X-Webhook-Delivery:  42                     (delivery ID — a redelivery gets a new one)
+//   X-Webhook-Timestamp: 1792413600             (Unix seconds, fresh for every attempt)
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+//
+//   Receivers recompute the signature over the raw body, compare in
+//   constant time and reject old timestamps (replays).  The event `id` is
+//   the same on every retry and redelivery, so it can be used to dedupe.
+//
+// 📐 RETRIES:
+//   Anything but a 2xx (including timeouts, refused connections and
+//   redirects, which are not followed) is retried after
+//   retryBaseMs × 2^(attempt − 1): 10 s, 20 s, 40 s, 80 s … by default.
+//   Pending deliveries survive a restart with the JSON backend — they are
+//   rescheduled when this module loads.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const config = require('../config');
+const { getRepository } = require('../repositories');
+const { subscribe } = require('./events');
+
+const webhooks   = getRepository('webhooks');
+const deliveries = getRepository('webhookDeliveries');
+
+const USER_AGENT = 'MiniStore-Webhooks/1.0';
+const RESPONSE_BODY_LIMIT = 1000; // characters of the receiver's answer kept in the log
+
+// Retry timers of pending deliveries, by delivery ID
+const timers = new Map();
+
+// ---------- Signing & Sending ----------
+
+/**
+ * signPayload — The X-Webhook-Signature value for a body sent at `timestamp`.
+ *
+ * @param {string} secret    - The subscription's secret
+ * @param {number} timestamp - Unix seconds (also sent as X-Webhook-Timestamp)
+ * @param {string} body      - The exact JSON text sent
+ * @returns {string} "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * backoffDelay — Milliseconds to wait after the `attempt`-th failed attempt.
+ *
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ */
+const backoffDelay = (attempt) => config.webhooks.retryBaseMs * 2 ** (attempt - 1);
+
+/**
+ * send — POSTs a delivery's payload to `url` once.
+ *
+ * @returns {Promise<{ statusCode: number|null, durationMs: number, error: string|null, responseBody: string|null }>}
+ *          Never rejects — network failures are reported in `error`
+ */
+const send = async ({ url, secret }, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(secret, timestamp, body),
+      },
+      body,
+    });
+    const text = await response.text();
+    const ok = response.status >= 200 && response.status < 300;
+
+    return {
+      statusCode: response.status,
+      durationMs: Date.now() - started,
+      error: ok ? null : `HTTP ${response.status}`,
+      responseBody: text.slice(0, RESPONSE_BODY_LIMIT),
+    };
+  } catch (err) {
+    const reason = err.name === 'TimeoutError'
+      ? `Timed out after ${config.webhooks.timeoutMs} ms`
+      : (err.cause && (err.cause.code || err.cause.message)) || err.message;
+
+    return { statusCode: null, durationMs: Date.now() - started, error: reason, responseBody: null };
+  }
+};
+
+// ---------- Delivery Queue ----------
+
+/**
+ * schedule — Runs the next attempt of a delivery at `at` (ISO string).
+ */
+const schedule = (deliveryId, at) => {
+  clearTimeout(timers.get(deliveryId));
+  const timer = setTimeout(() => {
+    timers.delete(deliveryId);
+    // A failed attempt (e.g. the delivery log can't be saved) must not end the process
+    attemptDelivery(deliveryId).catch((err) => {
+      console.warn(`[WEBHOOK] ⚠️  Delivery ${deliveryId} attempt could not be completed: ${err.message}`);
+    });
+  }, Math.max(0, Date.parse(at) - Date.now()));
+
+  timer.unref(); // a waiting retry never keeps the process alive
+  timers.set(deliveryId, timer);
+};
+
+/**
+ * attemptDelivery — Makes one attempt and records it; schedules a retry
+ * (exponential backoff) or marks the delivery succeeded / failed.
+ *
+ * @param {number} deliveryId
+ */
+const attemptDelivery = async (deliveryId) => {
+  const delivery = deliveries.findById(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return;
+
+  const webhook = webhooks.findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    deliveries.update(deliveryId, {
+      status: 'failed',
+      lastError: 'Subscription disabled before delivery',
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const at = new Date().toISOString();
+  const result = await send(webhook, delivery);
+
+  // The subscription (and its log) may have been deleted while we waited
+  const current = deliveries.findById(deliveryId);
+  if (!current) return;
+
+  const attempts = [...current.attempts, { number: current.attempts.length + 1, at, ...result }];
+  const succeeded = result.error === null;
+  const exhausted = attempts.length >= config.webhooks.maxAttempts;
+  const nextAttemptAt = succeeded || exhausted
+    ? null
+    : new Date(Date.now() + backoffDelay(attempts.length)).toISOString();
+
+  deliveries.update(deliveryId, {
+    status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+    attempts,
+    lastError: result.error,
+    nextAttemptAt,
+    updatedAt: new Date().toISOString(),
+  });
+
+  if (nextAttemptAt) {
+    schedule(deliveryId, nextAttemptAt);
+  } else if (!succeeded) {
+    console.warn(`[WEBHOOK] ⚠️  Delivery ${deliveryId} (${delivery.eventType}) to ${webhook.url} failed after ${attempts.length} attempt(s): ${result.error}`);
+  }
+};
+
+/**
+ * pruneDeliveries — Keeps only the newest config.webhooks.historyLimit
+ * finished deliveries of a subscription.
+ */
+const pruneDeliveries = (webhookId) => {
+  deliveries.find((d) => d.webhookId === webhookId && d.status !== 'pending')
+    .sort((a, b) => b.id - a.id)
+    .slice(config.webhooks.historyLimit)
+    .forEach((d) => deliveries.remove(d.id));
+};
+
+/**
+ * enqueueDelivery — Queues `event` for one subscription; the first attempt
+ * runs right after the current request.
+ *
+ * @param {object} webhook - Subscription record
+ * @param {object} event   - Event from utils/events.js (or a ping)
+ * @param {object} [options]
+ * @param {number} [options.redeliveryOf] - ID of the delivery being repeated
+ * @returns {object} The delivery record
+ */
+const enqueueDelivery = (webhook, event, { redeliveryOf = null } = {}) => {
+  const now = new Date().toISOString();
+  const delivery = deliveries.insert({
+    webhookId: webhook.id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    status: 'pending',
+    attempts: [],
+    lastError: null,
+    nextAttemptAt: now,
+    redeliveryOf,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  pruneDeliveries(webhook.id);
+  schedule(delivery.id, now);
+  return delivery;
+};
+
+/**
+ * cancelDeliveries — Stops the retry timers of a subscription's pending
+ * deliveries (before it is deleted).
+ *
+ * @param {number} webhookId
+ */
+const cancelDeliveries = (webhookId) => {
+  deliveries.find((d) => d.webhookId === webhookId && d.status === 'pending').forEach((d) => {
+    clearTimeout(timers.get(d.id));
+    timers.delete(d.id);
+  });
+};
+
+/**
+ * subscribesTo — True when a subscription wants events of `type`.
+ */
+const subscribesTo = (webhook, type) =>
+  webhook.active && (webhook.events.includes('*') || webhook.events.includes(type));
+
+// ---------- Wiring ----------
+
+// Every store event → one delivery per interested subscription
+subscribe((event) => {
+  webhooks.find((w) => subscribesTo(w, event.type)).forEach((w) => enqueueDelivery(w, event));
+});
+
+// Resume deliveries that were still pending when the server stopped
+deliveries.find((d) => d.status === 'pending').forEach((d) => schedule(d.id, d.nextAttemptAt));
+
+module.exports = {
+  signPayload,
+  backoffDelay,
+  enqueueDelivery,
+  cancelDeliveries,
+};